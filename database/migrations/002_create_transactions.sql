@@ -0,0 +1,42 @@
+-- Create transactions table: durable ledger of every enquiry/purchase,
+-- independent of the conversation session in user_sessions
+CREATE TABLE IF NOT EXISTS transactions (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    async_request_id TEXT NOT NULL UNIQUE,
+    phone_number TEXT NOT NULL,
+    mobile_number TEXT,
+    meter_number TEXT,
+    account_number TEXT,
+    type TEXT NOT NULL,
+    amount NUMERIC(12, 2),
+    status TEXT NOT NULL DEFAULT 'ENQUIRED',
+    customer_name TEXT,
+    ecg_reference_id TEXT,
+    ecg_transaction_reference TEXT,
+    payment_reference TEXT,
+    payment_provider TEXT,
+    token TEXT,
+    failure_reason TEXT,
+    enquiry_response JSONB,
+    charge_response JSONB,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    paid_at TIMESTAMP WITH TIME ZONE,
+    completed_at TIMESTAMP WITH TIME ZONE
+);
+
+-- Create index on phone_number for listing a user's purchases
+CREATE INDEX IF NOT EXISTS idx_transactions_phone_number ON transactions(phone_number, created_at DESC);
+
+-- Create index on status for reconciliation queries
+CREATE INDEX IF NOT EXISTS idx_transactions_status ON transactions(status);
+
+-- Create index on meter_number for support lookups
+CREATE INDEX IF NOT EXISTS idx_transactions_meter_number ON transactions(meter_number);
+
+-- Create trigger to automatically update updated_at
+-- (update_updated_at_column() is created in 001_create_sessions.sql)
+CREATE TRIGGER update_transactions_updated_at 
+    BEFORE UPDATE ON transactions
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
@@ -0,0 +1,28 @@
+-- Create saved_meters table: meters a WhatsApp number has successfully enquired,
+-- optionally named with a nickname for quick reuse
+CREATE TABLE IF NOT EXISTS saved_meters (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    phone_number TEXT NOT NULL,
+    nickname TEXT,
+    meter_type TEXT NOT NULL,
+    mobile_number TEXT,
+    meter_number TEXT NOT NULL,
+    account_number TEXT,
+    customer_name TEXT,
+    last_used_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (phone_number, meter_number)
+);
+
+-- Nicknames are unique per WhatsApp number (case-insensitive)
+CREATE UNIQUE INDEX IF NOT EXISTS idx_saved_meters_nickname
+    ON saved_meters(phone_number, LOWER(nickname))
+    WHERE nickname IS NOT NULL;
+
+-- Create trigger to automatically update updated_at
+-- (update_updated_at_column() is created in 001_create_sessions.sql)
+CREATE TRIGGER update_saved_meters_updated_at 
+    BEFORE UPDATE ON saved_meters
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
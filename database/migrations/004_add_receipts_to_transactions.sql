@@ -0,0 +1,8 @@
+-- Add receipt details to transactions so receipts can be re-sent and downloaded later
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS receipt_number TEXT;
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS units TEXT;
+
+-- Receipt numbers are unique across all transactions
+CREATE UNIQUE INDEX IF NOT EXISTS idx_transactions_receipt_number
+    ON transactions(receipt_number)
+    WHERE receipt_number IS NOT NULL;
@@ -0,0 +1,15 @@
+-- Create user_preferences table: per WhatsApp number settings such as the
+-- language the bot replies in (en, tw, gaa, ee)
+CREATE TABLE IF NOT EXISTS user_preferences (
+    phone_number TEXT PRIMARY KEY,
+    language TEXT NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Create trigger to automatically update updated_at
+-- (update_updated_at_column() is created in 001_create_sessions.sql)
+CREATE TRIGGER update_user_preferences_updated_at 
+    BEFORE UPDATE ON user_preferences
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
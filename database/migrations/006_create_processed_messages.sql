@@ -0,0 +1,12 @@
+-- Create processed_messages table: provider message IDs of inbound WhatsApp
+-- messages already handled, so webhook redeliveries are not processed twice.
+-- Rows older than INBOUND_MESSAGE_TTL_HOURS are purged by the application.
+CREATE TABLE IF NOT EXISTS processed_messages (
+    provider TEXT NOT NULL,
+    message_id TEXT NOT NULL,
+    phone_number TEXT,
+    received_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (provider, message_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_processed_messages_received_at ON processed_messages(received_at);
@@ -0,0 +1,32 @@
+-- Create outbound_messages table: durable queue of WhatsApp messages to send.
+-- A worker sends PENDING messages in order per recipient, retrying failures with
+-- exponential backoff; messages that keep failing are moved to DEAD for an admin to resend.
+CREATE TABLE IF NOT EXISTS outbound_messages (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    phone_number TEXT NOT NULL,
+    body TEXT NOT NULL,
+    interactive JSONB,
+    preferred_provider TEXT,
+    status TEXT NOT NULL DEFAULT 'PENDING',
+    attempts INTEGER NOT NULL DEFAULT 0,
+    max_attempts INTEGER NOT NULL DEFAULT 6,
+    next_attempt_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    last_error TEXT,
+    provider TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    sent_at TIMESTAMP WITH TIME ZONE
+);
+
+-- Create index for the worker's due-message query
+CREATE INDEX IF NOT EXISTS idx_outbound_messages_due ON outbound_messages(status, next_attempt_at);
+
+-- Create index for keeping each recipient's messages in order
+CREATE INDEX IF NOT EXISTS idx_outbound_messages_phone_number ON outbound_messages(phone_number, created_at);
+
+-- Create trigger to automatically update updated_at
+-- (update_updated_at_column() is created in 001_create_sessions.sql)
+CREATE TRIGGER update_outbound_messages_updated_at
+    BEFORE UPDATE ON outbound_messages
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
@@ -0,0 +1,33 @@
+-- Create message_deliveries table: delivery status of each WhatsApp message we sent,
+-- keyed by the provider's message ID and updated from Twilio status callbacks and
+-- Wasender messages.update / message-receipt.update events.
+CREATE TABLE IF NOT EXISTS message_deliveries (
+    provider TEXT NOT NULL,
+    provider_message_id TEXT NOT NULL,
+    phone_number TEXT,
+    outbound_message_id UUID REFERENCES outbound_messages(id) ON DELETE SET NULL,
+    async_request_id TEXT,
+    status TEXT NOT NULL,
+    error_code TEXT,
+    error_message TEXT,
+    sent_at TIMESTAMP WITH TIME ZONE,
+    delivered_at TIMESTAMP WITH TIME ZONE,
+    read_at TIMESTAMP WITH TIME ZONE,
+    failed_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (provider, provider_message_id)
+);
+
+-- Create index for looking up the messages sent for a transaction
+CREATE INDEX IF NOT EXISTS idx_message_deliveries_async_request_id ON message_deliveries(async_request_id);
+
+-- Link queued messages to the transaction they are about (receipts, payment updates)
+ALTER TABLE outbound_messages ADD COLUMN IF NOT EXISTS async_request_id TEXT;
+
+-- Create trigger to automatically update updated_at
+-- (update_updated_at_column() is created in 001_create_sessions.sql)
+CREATE TRIGGER update_message_deliveries_updated_at
+    BEFORE UPDATE ON message_deliveries
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
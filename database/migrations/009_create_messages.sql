@@ -0,0 +1,20 @@
+-- Create messages table: every inbound and outbound conversation message on every
+-- channel (WhatsApp, web chat, async follow-ups), with the session state at the time.
+-- Used to restore the web chat on reload and to audit disputes.
+CREATE TABLE IF NOT EXISTS messages (
+    id BIGSERIAL PRIMARY KEY,
+    phone_number TEXT NOT NULL,
+    session_id UUID,
+    direction TEXT NOT NULL,
+    channel TEXT NOT NULL,
+    provider TEXT,
+    body TEXT NOT NULL,
+    state TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Create index for reading a conversation page by page
+CREATE INDEX IF NOT EXISTS idx_messages_phone_number ON messages(phone_number, id);
+
+-- Create index for looking up a session's messages
+CREATE INDEX IF NOT EXISTS idx_messages_session_id ON messages(session_id);
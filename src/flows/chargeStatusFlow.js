@@ -0,0 +1,26 @@
+/**
+ * Charge status flow - look up the outcome of a recent purchase
+ */
+
+const MessageFormatter = require('../utils/messageFormatter');
+
+/**
+ * Create the charge status flow definition
+ * @param {ConversationService} service - Conversation service providing the actions
+ * @returns {object} - Flow definition
+ */
+function createChargeStatusFlow(service) {
+    return {
+        name: 'chargeStatus',
+        states: {
+            CHARGE_STATUS: {
+                timeoutMinutes: 15,
+                prompt: async (session) => MessageFormatter.formatChargeStatusMenu(await service._getRecentCharges(session.phoneNumber)),
+                help: 'help.states.chargeStatus',
+                onMessage: (session, text) => service.handleChargeStatus(session, text)
+            }
+        }
+    };
+}
+
+module.exports = createChargeStatusFlow;
@@ -0,0 +1,47 @@
+/**
+ * Global commands available from any state (in addition to CANCEL, MENU and HELP)
+ */
+
+/**
+ * Create the global command definitions
+ * @param {ConversationService} service - Conversation service providing the actions
+ * @returns {Array<object>} - Command definitions, checked in order
+ */
+function createCommands(service) {
+    return [
+        {
+            // One-line quick purchase
+            name: 'BUY',
+            match: (text) => text.match(/^BUY(?:\s+(.*))?$/i),
+            handle: (session, match) => service.handleQuickBuy(session, match[1] || '')
+        },
+        {
+            name: 'MY METERS',
+            match: (text, upperText) => upperText === 'MY METERS',
+            handle: (session) => service.handleMyMeters(session)
+        },
+        {
+            name: 'SAVE AS',
+            match: (text) => text.match(/^SAVE\s+AS\s+(.+)$/i),
+            handle: (session, match) => service.handleSaveMeter(session, match[1])
+        },
+        {
+            name: 'REMOVE',
+            match: (text) => text.match(/^REMOVE\s+(.+)$/i),
+            handle: (session, match) => service.handleRemoveMeter(session, match[1])
+        },
+        {
+            name: 'RECEIPT',
+            match: (text) => text.match(/^(?:LAST\s+RECEIPT|RECEIPT(?:\s+(.+))?)$/i),
+            handle: (session, match) => service.handleReceipt(session, match[1] || '')
+        },
+        {
+            // LANG shows the language menu, LANG <language> switches straight away
+            name: 'LANG',
+            match: (text) => text.match(/^(?:LANG|LANGUAGE)(?:\s+(.+))?$/i),
+            handle: (session, match) => service.handleLanguageCommand(session, match[1] || '')
+        }
+    ];
+}
+
+module.exports = createCommands;
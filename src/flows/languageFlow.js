@@ -0,0 +1,25 @@
+/**
+ * Language flow - choose the language the bot replies in
+ */
+
+const MessageFormatter = require('../utils/messageFormatter');
+
+/**
+ * Create the language flow definition
+ * @param {ConversationService} service - Conversation service providing the actions
+ * @returns {object} - Flow definition
+ */
+function createLanguageFlow(service) {
+    return {
+        name: 'language',
+        states: {
+            SELECT_LANGUAGE: {
+                prompt: () => MessageFormatter.formatLanguageMenu(),
+                help: 'help.states.language',
+                onMessage: (session, text) => service.handleLanguageSelection(session, text)
+            }
+        }
+    };
+}
+
+module.exports = createLanguageFlow;
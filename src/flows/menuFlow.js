@@ -0,0 +1,33 @@
+/**
+ * Main menu flow
+ */
+
+const MessageFormatter = require('../utils/messageFormatter');
+
+/**
+ * Create the main menu flow definition
+ * @param {ConversationService} service - Conversation service providing the actions
+ * @returns {object} - Flow definition
+ */
+function createMenuFlow(service) {
+    return {
+        name: 'menu',
+        states: {
+            MENU: {
+                prompt: (session) => MessageFormatter.formatMenu(session.id),
+                help: 'help.states.menu',
+                options: {
+                    '1': (session) => service._startMeterSelection(session, 'PREPAID'),
+                    '2': (session) => service._startMeterSelection(session, 'POSTPAID'),
+                    '3': (session) => service.engine.enter(session, 'CHARGE_STATUS'),
+                    // Open Web Version - the menu includes the clickable URL
+                    '4': (session) => MessageFormatter.formatMenu(session.id)
+                },
+                // Free text such as "buy light for 30 cedis", "check my balance" or a meter number
+                onMessage: (session, text) => service.handleFreeText(session, text)
+            }
+        }
+    };
+}
+
+module.exports = createMenuFlow;
@@ -0,0 +1,124 @@
+/**
+ * Purchase flow - meter details, enquiry, amount, payment and charge
+ */
+
+const dbService = require('../services/dbService');
+const MessageFormatter = require('../utils/messageFormatter');
+const InputValidator = require('../utils/inputValidator');
+const I18n = require('../utils/i18n');
+
+// Field collection order for meter info
+const METER_INFO_FIELDS = [
+    {
+        key: 'phoneNumber',
+        label: 'Phone Number',
+        labelKey: 'labels.phoneNumber',
+        required: true,
+        aliases: ['PHONE', 'MOBILE'],
+        validate: (text) => InputValidator.validatePhoneNumber(text)
+    },
+    {
+        key: 'meterNumber',
+        label: 'Meter Number',
+        labelKey: 'labels.meterNumber',
+        required: true,
+        aliases: ['METER'],
+        validate: (text, sessionData) => InputValidator.validateMeterNumber(text, sessionData.meterType)
+    },
+    {
+        key: 'accountNumber',
+        label: 'Account Number',
+        labelKey: 'labels.accountNumber',
+        required: false,
+        aliases: ['ACCOUNT'],
+        validate: (text) => InputValidator.validateAccountNumber(text)
+    }
+];
+
+const METER_INFO_HELP = 'help.states.meterInfo';
+
+/**
+ * Create the purchase flow definition
+ * @param {ConversationService} service - Conversation service providing the actions
+ * @returns {object} - Flow definition
+ */
+function createPurchaseFlow(service) {
+    return {
+        name: 'purchase',
+        states: {
+            SELECT_SAVED_METER: {
+                timeoutMinutes: 30,
+                resumable: true,
+                prompt: async (session) => {
+                    const meterType = (session.sessionData || {}).meterType;
+                    const savedMeters = await dbService.getSavedMeters(session.phoneNumber, meterType);
+                    return MessageFormatter.formatSavedMeterChoices(savedMeters, meterType);
+                },
+                help: 'help.states.savedMeter',
+                onMessage: (session, text) => service.handleSavedMeterSelection(session, text)
+            },
+            PREPAID_METER_INFO: {
+                timeoutMinutes: 30,
+                resumable: true,
+                fields: METER_INFO_FIELDS,
+                review: 'REVIEW_METER_INFO',
+                help: METER_INFO_HELP
+            },
+            POSTPAID_METER_INFO: {
+                timeoutMinutes: 30,
+                resumable: true,
+                fields: METER_INFO_FIELDS,
+                review: 'REVIEW_METER_INFO',
+                help: METER_INFO_HELP
+            },
+            REVIEW_METER_INFO: {
+                timeoutMinutes: 30,
+                resumable: true,
+                prompt: (session) => MessageFormatter.formatMeterInfoReview(session.sessionData || {}),
+                help: METER_INFO_HELP,
+                review: {
+                    onConfirm: (session, sessionData) => service._startEnquiry(session, sessionData, (sessionData.meterType || 'Prepaid').toUpperCase())
+                }
+            },
+            PREPAID_ENQUIRY: {
+                timeoutMinutes: 10,
+                onMessage: (session) => service.handleEnquiryProcessing(session)
+            },
+            POSTPAID_ENQUIRY: {
+                timeoutMinutes: 10,
+                onMessage: (session) => service.handleEnquiryProcessing(session)
+            },
+            ENTER_AMOUNT: {
+                timeoutMinutes: 15,
+                resumable: true,
+                prompt: (session) => MessageFormatter.formatEnquiryResponse((session.sessionData || {}).enquiryResponse),
+                help: 'help.states.amount',
+                onMessage: (session, text) => service.handleAmountEntry(session, text)
+            },
+            CONFIRM_CHARGE: {
+                timeoutMinutes: 15,
+                resumable: true,
+                prompt: (session) => MessageFormatter.formatChargeConfirmation(service._getConfirmationDetails(session.sessionData || {})),
+                help: 'help.states.confirmCharge',
+                confirm: {
+                    onYes: (session) => service.requestPayment(session),
+                    onNo: (session) => service.declineCharge(session)
+                }
+            },
+            AWAITING_PAYMENT: {
+                locked: true,
+                prompt: () => MessageFormatter.formatAwaitingPayment(),
+                help: 'help.states.awaitingPayment',
+                onMessage: (session) => service.handleAwaitingPayment(session)
+            },
+            CHARGE_PROCESSING: {
+                locked: true,
+                prompt: () => MessageFormatter.formatProcessing(I18n.t('processing.purchase')),
+                onMessage: (session) => service.handleInterruptedCharge(session)
+            }
+        }
+    };
+}
+
+module.exports = createPurchaseFlow;
+module.exports.METER_INFO_FIELDS = METER_INFO_FIELDS;
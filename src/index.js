@@ -8,6 +8,9 @@ const path = require('path');
 const { Server } = require('socket.io');
 const webhookRoutes = require('./routes/webhook');
 const webRoutes = require('./routes/web');
+const adminRoutes = require('./routes/admin');
+const messagingService = require('./services/messagingService');
+const outboundQueueService = require('./services/outboundQueueService');
 require('dotenv').config();
 
 const app = express();
@@ -20,6 +23,13 @@ const io = new Server(server, {
 });
 const PORT = process.env.PORT || 3000;
 
+// Behind a reverse proxy, read the client IP from X-Forwarded-For (used for per-IP rate limits).
+// TRUST_PROXY is true, the number of proxy hops, or a list of proxy addresses
+if (process.env.TRUST_PROXY) {
+    const trustProxy = process.env.TRUST_PROXY;
+    app.set('trust proxy', trustProxy === 'true' ? true : /^\d+$/.test(trustProxy) ? parseInt(trustProxy) : trustProxy);
+}
+
 // Middleware
 app.use(express.urlencoded({ extended: true }));
 app.use(express.json());
@@ -37,7 +47,8 @@ app.use((req, res, next) => {
 app.get('/health', (req, res) => {
     res.status(200).json({ 
         status: 'ok', 
-        timestamp: new Date().toISOString() 
+        timestamp: new Date().toISOString(),
+        whatsappProviders: require('./services/whatsappProviderService').getHealth()
     });
 });
 
@@ -47,6 +58,9 @@ app.use('/webhook', webhookRoutes);
 // Web API routes
 app.use('/api/web', webRoutes);
 
+// Admin API routes (bearer token required)
+app.use('/api/admin', adminRoutes);
+
 // Web interface routes
 app.get('/web', (req, res) => {
     res.sendFile(path.join(__dirname, 'public', 'web', 'index.html'));
@@ -56,6 +70,10 @@ app.get('/mobile', (req, res) => {
     res.sendFile(path.join(__dirname, 'public', 'mobile', 'index.html'));
 });
 
+app.get('/admin', (req, res) => {
+    res.sendFile(path.join(__dirname, 'public', 'admin', 'index.html'));
+});
+
 // Serve manifest files with correct content type
 app.get('/web/manifest.json', (req, res) => {
     res.setHeader('Content-Type', 'application/manifest+json');
@@ -103,7 +121,10 @@ app.get('/', (req, res) => {
         message: 'WhatsApp Bot API is running',
         endpoints: {
             twilioWebhook: '/webhook/whatsapp',
+            twilioStatusCallback: '/webhook/whatsapp/status',
             wasenderWebhook: '/webhook/wasender',
+            paymentWebhook: '/webhook/payment',
+            admin: '/admin',
             health: '/health'
         }
     });
@@ -137,17 +158,20 @@ io.on('connection', (socket) => {
     });
 });
 
-// Make io available to routes
+// Make io available to routes, and let async replies reach web/mobile chat rooms
 app.set('io', io);
+messagingService.setSocketServer(io);
 
 // Start server
 server.listen(PORT, () => {
     console.log(`🚀 WhatsApp Bot server is running on port ${PORT}`);
     console.log(`📱 Twilio webhook: http://localhost:${PORT}/webhook/whatsapp`);
     console.log(`📱 Wasender webhook: http://localhost:${PORT}/webhook/wasender`);
+    console.log(`💳 Payment webhook: http://localhost:${PORT}/webhook/payment`);
     console.log(`💚 Health check: http://localhost:${PORT}/health`);
     console.log(`🌐 Web interface: http://localhost:${PORT}/web`);
     console.log(`📲 Mobile interface: http://localhost:${PORT}/mobile`);
+    console.log(`🛠️  Admin (outbound queue): http://localhost:${PORT}/admin`);
     
     // Validate environment variables
     const requiredEnvVars = [
@@ -155,7 +179,8 @@ server.listen(PORT, () => {
         'TWILIO_AUTH_TOKEN',
         'TWILIO_WHATSAPP_NUMBER',
         'BACKEND_BASE_URL',
-        'DATABASE_URL'
+        'DATABASE_URL',
+        'PAYMENT_PROVIDER'
     ];
     
     const optionalEnvVars = [
@@ -179,16 +204,38 @@ server.listen(PORT, () => {
     }
     
     if (!process.env.WASENDER_API_KEY) {
-        console.warn('⚠️  Warning: WASENDER_API_KEY not set. Fallback messaging will not work.');
-        console.warn('   Set WASENDER_API_KEY in .env to enable Wasender API fallback');
+        console.warn('⚠️  Warning: WASENDER_API_KEY not set. Wasender will not be used to send messages.');
+        console.warn('   Set WASENDER_API_KEY in .env to enable Wasender API sending');
+    } else {
+        console.log(`✅ WASENDER_API_KEY is configured`);
+    }
+
+    const providers = require('./services/whatsappProviderService').getHealth();
+    const configuredProviders = providers.filter(provider => provider.configured).map(provider => provider.name);
+    if (configuredProviders.length === 0) {
+        console.warn('⚠️  Warning: No WhatsApp provider is configured. Outbound messages will not be delivered.');
     } else {
-        console.log(`✅ WASENDER_API_KEY is configured (fallback enabled)`);
+        console.log(`✅ WhatsApp providers (in order): ${configuredProviders.join(' → ')}`);
     }
+
+    require('./services/webhookAuthService').logConfiguration();
+    require('./services/paymentService').logConfiguration();
+
+    if (!process.env.RECEIPT_LINK_SECRET) {
+        console.warn('⚠️  Warning: RECEIPT_LINK_SECRET not set. Receipt download links stop working when the server restarts.');
+    }
+
+    if (!process.env.ADMIN_API_TOKEN) {
+        console.warn('⚠️  Warning: ADMIN_API_TOKEN not set. The admin API and outbound queue view are disabled.');
+    }
+
+    outboundQueueService.start();
 });
 
 // Graceful shutdown
 process.on('SIGTERM', async () => {
     console.log('SIGTERM received, shutting down gracefully...');
+    outboundQueueService.stop();
     const dbService = require('./services/dbService');
     await dbService.close();
     process.exit(0);
@@ -196,6 +243,7 @@ process.on('SIGTERM', async () => {
 
 process.on('SIGINT', async () => {
     console.log('SIGINT received, shutting down gracefully...');
+    outboundQueueService.stop();
     const dbService = require('./services/dbService');
     await dbService.close();
     process.exit(0);
@@ -0,0 +1,52 @@
+/**
+ * Conversation message model - one inbound or outbound message in the message log
+ */
+
+class ConversationMessage {
+    static DIRECTIONS = {
+        INBOUND: 'INBOUND',
+        OUTBOUND: 'OUTBOUND'
+    };
+
+    constructor(data) {
+        this.id = data.id !== null && data.id !== undefined ? String(data.id) : null;
+        this.phoneNumber = data.phone_number;
+        this.sessionId = data.session_id;
+        this.direction = data.direction;
+        this.channel = data.channel;
+        this.provider = data.provider;
+        this.body = data.body;
+        this.state = data.state;
+        this.createdAt = data.created_at;
+    }
+
+    /**
+     * Get the message as a web chat history entry
+     * @returns {object} - { id, type: 'user'|'bot', text, channel, timestamp }
+     */
+    toHistoryEntry() {
+        return {
+            id: this.id,
+            type: this.direction === ConversationMessage.DIRECTIONS.INBOUND ? 'user' : 'bot',
+            text: this.body,
+            channel: this.channel,
+            timestamp: this.createdAt
+        };
+    }
+
+    toJSON() {
+        return {
+            id: this.id,
+            phoneNumber: this.phoneNumber,
+            sessionId: this.sessionId,
+            direction: this.direction,
+            channel: this.channel,
+            provider: this.provider,
+            body: this.body,
+            state: this.state,
+            createdAt: this.createdAt
+        };
+    }
+}
+
+module.exports = ConversationMessage;
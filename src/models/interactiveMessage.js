@@ -0,0 +1,125 @@
+/**
+ * Interactive WhatsApp message (list menu or quick-reply buttons) with its plain text version
+ */
+
+class InteractiveMessage {
+    static TYPES = {
+        BUTTONS: 'buttons',
+        LIST: 'list'
+    };
+
+    // WhatsApp limits for interactive messages
+    static LIMITS = {
+        BODY: 1024,
+        BUTTONS: 3,
+        BUTTON_TITLE: 20,
+        LIST_ROWS: 10,
+        ROW_TITLE: 24,
+        ROW_DESCRIPTION: 72,
+        LIST_BUTTON: 20
+    };
+
+    /**
+     * @param {object} data - Message data
+     * @param {string} data.type - buttons or list
+     * @param {string} data.text - Full plain text message, sent as is where interactive messages are not supported
+     * @param {Array<{id: string, title: string, description: string}>} data.options - Choices; the id is
+     *        what the user's reply is read as (e.g. "1", "YES", "SKIP")
+     * @param {string} data.buttonText - Label of the button that opens a list (lists only)
+     */
+    constructor({ type, text, options = [], buttonText = null }) {
+        this.type = type;
+        this.text = text;
+        this.options = options;
+        this.buttonText = buttonText;
+    }
+
+    /**
+     * Check whether WhatsApp can show this message natively (otherwise send the text)
+     * @returns {boolean} - True if the body and options are within WhatsApp's limits
+     */
+    isRenderable() {
+        const limits = InteractiveMessage.LIMITS;
+        if (!this.text || this.text.length > limits.BODY || this.options.length === 0) {
+            return false;
+        }
+        if (this.type === InteractiveMessage.TYPES.BUTTONS) {
+            return this.options.length <= limits.BUTTONS;
+        }
+        return this.type === InteractiveMessage.TYPES.LIST && this.options.length <= limits.LIST_ROWS;
+    }
+
+    /**
+     * Get the options cut to WhatsApp's title and description lengths
+     * @returns {Array<{id: string, title: string, description: string|null}>} - Options ready to send
+     */
+    getRenderedOptions() {
+        const isList = this.type === InteractiveMessage.TYPES.LIST;
+        const titleLength = isList ? InteractiveMessage.LIMITS.ROW_TITLE : InteractiveMessage.LIMITS.BUTTON_TITLE;
+        return this.options.map(option => ({
+            id: String(option.id),
+            title: InteractiveMessage._truncate(option.title, titleLength),
+            description: isList && option.description
+                ? InteractiveMessage._truncate(option.description, InteractiveMessage.LIMITS.ROW_DESCRIPTION)
+                : null
+        }));
+    }
+
+    /**
+     * Get the list button label cut to WhatsApp's length
+     * @returns {string} - Button label
+     */
+    getRenderedButtonText() {
+        return InteractiveMessage._truncate(this.buttonText || '', InteractiveMessage.LIMITS.LIST_BUTTON);
+    }
+
+    toString() {
+        return this.text;
+    }
+
+    /**
+     * Get the plain text of a message
+     * @param {string|InteractiveMessage} message - Message
+     * @returns {string} - Plain text
+     */
+    static toText(message) {
+        return message instanceof InteractiveMessage ? message.text : String(message ?? '');
+    }
+
+    /**
+     * Check whether a message has interactive options
+     * @param {*} message - Message
+     * @returns {boolean} - True for interactive messages
+     */
+    static isInteractive(message) {
+        return message instanceof InteractiveMessage;
+    }
+
+    /**
+     * Join messages with a blank line, keeping the options of the last interactive part
+     * (e.g. a notice followed by the menu stays a list menu)
+     * @param {...(string|InteractiveMessage)} parts - Messages in order (empty parts are skipped)
+     * @returns {string|InteractiveMessage} - Combined message
+     */
+    static combine(...parts) {
+        const present = parts.filter(part => part !== null && part !== undefined && InteractiveMessage.toText(part) !== '');
+        const text = present.map(part => InteractiveMessage.toText(part)).join('\n\n');
+        const interactive = [...present].reverse().find(part => part instanceof InteractiveMessage);
+
+        return interactive ? new InteractiveMessage({ ...interactive, text }) : text;
+    }
+
+    /**
+     * Shorten text to a maximum length
+     * @private
+     * @param {string} text - Text
+     * @param {number} maxLength - Maximum length
+     * @returns {string} - Text, ending in … if it was cut
+     */
+    static _truncate(text, maxLength) {
+        const value = String(text || '').replace(/\*/g, '').trim();
+        return value.length > maxLength ? `${value.slice(0, maxLength - 1)}…` : value;
+    }
+}
+
+module.exports = InteractiveMessage;
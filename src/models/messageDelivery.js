@@ -0,0 +1,56 @@
+/**
+ * Message delivery model - provider-reported status of a WhatsApp message we sent
+ */
+
+class MessageDelivery {
+    // Status lifecycle: SENT -> DELIVERED -> READ, or FAILED
+    static STATUSES = {
+        SENT: 'SENT',
+        FAILED: 'FAILED',
+        DELIVERED: 'DELIVERED',
+        READ: 'READ'
+    };
+
+    // Callbacks can arrive out of order, so a status only replaces one that comes earlier in this list
+    static STATUS_ORDER = ['SENT', 'FAILED', 'DELIVERED', 'READ'];
+
+    constructor(data) {
+        this.provider = data.provider;
+        this.providerMessageId = data.provider_message_id;
+        this.phoneNumber = data.phone_number;
+        this.outboundMessageId = data.outbound_message_id;
+        this.asyncRequestId = data.async_request_id;
+        this.status = data.status;
+        this.errorCode = data.error_code;
+        this.errorMessage = data.error_message;
+        this.body = data.body;
+        this.sentAt = data.sent_at;
+        this.deliveredAt = data.delivered_at;
+        this.readAt = data.read_at;
+        this.failedAt = data.failed_at;
+        this.createdAt = data.created_at;
+        this.updatedAt = data.updated_at;
+    }
+
+    toJSON() {
+        return {
+            provider: this.provider,
+            providerMessageId: this.providerMessageId,
+            phoneNumber: this.phoneNumber,
+            outboundMessageId: this.outboundMessageId,
+            asyncRequestId: this.asyncRequestId,
+            status: this.status,
+            errorCode: this.errorCode,
+            errorMessage: this.errorMessage,
+            body: this.body,
+            sentAt: this.sentAt,
+            deliveredAt: this.deliveredAt,
+            readAt: this.readAt,
+            failedAt: this.failedAt,
+            createdAt: this.createdAt,
+            updatedAt: this.updatedAt
+        };
+    }
+}
+
+module.exports = MessageDelivery;
@@ -0,0 +1,63 @@
+/**
+ * Outbound message model for the durable WhatsApp send queue
+ */
+
+const InteractiveMessage = require('./interactiveMessage');
+
+class OutboundMessage {
+    // Status lifecycle: PENDING -> SENDING -> SENT, or back to PENDING for a retry, or DEAD after the last attempt
+    static STATUSES = {
+        PENDING: 'PENDING',
+        SENDING: 'SENDING',
+        SENT: 'SENT',
+        DEAD: 'DEAD'
+    };
+
+    constructor(data) {
+        this.id = data.id;
+        this.phoneNumber = data.phone_number;
+        this.body = data.body;
+        this.interactive = data.interactive;
+        this.preferredProvider = data.preferred_provider;
+        this.asyncRequestId = data.async_request_id;
+        this.status = data.status;
+        this.attempts = data.attempts;
+        this.maxAttempts = data.max_attempts;
+        this.nextAttemptAt = data.next_attempt_at;
+        this.lastError = data.last_error;
+        this.provider = data.provider;
+        this.createdAt = data.created_at;
+        this.updatedAt = data.updated_at;
+        this.sentAt = data.sent_at;
+    }
+
+    /**
+     * Get the message to hand to a provider
+     * @returns {string|InteractiveMessage} - Interactive message if one was queued, otherwise the text
+     */
+    getMessage() {
+        return this.interactive ? new InteractiveMessage({ ...this.interactive, text: this.body }) : this.body;
+    }
+
+    toJSON() {
+        return {
+            id: this.id,
+            phoneNumber: this.phoneNumber,
+            body: this.body,
+            interactive: this.interactive,
+            preferredProvider: this.preferredProvider,
+            asyncRequestId: this.asyncRequestId,
+            status: this.status,
+            attempts: this.attempts,
+            maxAttempts: this.maxAttempts,
+            nextAttemptAt: this.nextAttemptAt,
+            lastError: this.lastError,
+            provider: this.provider,
+            createdAt: this.createdAt,
+            updatedAt: this.updatedAt,
+            sentAt: this.sentAt
+        };
+    }
+}
+
+module.exports = OutboundMessage;
@@ -0,0 +1,37 @@
+/**
+ * Saved meter model for meters remembered per WhatsApp number
+ */
+
+class SavedMeter {
+    constructor(data) {
+        this.id = data.id;
+        this.phoneNumber = data.phone_number;
+        this.nickname = data.nickname;
+        this.meterType = data.meter_type;
+        this.mobileNumber = data.mobile_number;
+        this.meterNumber = data.meter_number;
+        this.accountNumber = data.account_number;
+        this.customerName = data.customer_name;
+        this.lastUsedAt = data.last_used_at;
+        this.createdAt = data.created_at;
+        this.updatedAt = data.updated_at;
+    }
+
+    toJSON() {
+        return {
+            id: this.id,
+            phoneNumber: this.phoneNumber,
+            nickname: this.nickname,
+            meterType: this.meterType,
+            mobileNumber: this.mobileNumber,
+            meterNumber: this.meterNumber,
+            accountNumber: this.accountNumber,
+            customerName: this.customerName,
+            lastUsedAt: this.lastUsedAt,
+            createdAt: this.createdAt,
+            updatedAt: this.updatedAt
+        };
+    }
+}
+
+module.exports = SavedMeter;
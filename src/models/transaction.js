@@ -0,0 +1,95 @@
+/**
+ * Transaction model for the purchase ledger
+ */
+
+class Transaction {
+    // Status lifecycle
+    static STATUSES = {
+        ENQUIRED: 'ENQUIRED',
+        PAYMENT_PENDING: 'PAYMENT_PENDING',
+        PAYMENT_FAILED: 'PAYMENT_FAILED',
+        PAID: 'PAID',
+        SUCCESSFUL: 'SUCCESSFUL',
+        FAILED: 'FAILED'
+    };
+
+    // Allowed status transitions (from -> to)
+    static TRANSITIONS = {
+        // PAID: a payment confirmed for a request that failed after reaching the provider (refunded, not vended)
+        ENQUIRED: ['PAYMENT_PENDING', 'PAID'],
+        // ENQUIRED: the payment request failed, so the purchase goes back to its confirmation
+        PAYMENT_PENDING: ['PAID', 'PAYMENT_FAILED', 'ENQUIRED'],
+        // A payment confirmed after it timed out or the purchase was abandoned (refunded, not vended)
+        PAYMENT_FAILED: ['PAID'],
+        PAID: ['SUCCESSFUL', 'FAILED'],
+        SUCCESSFUL: [],
+        // A later status check can find that a failed-looking charge actually vended
+        FAILED: ['SUCCESSFUL']
+    };
+
+    constructor(data) {
+        this.id = data.id;
+        this.asyncRequestId = data.async_request_id;
+        this.phoneNumber = data.phone_number;
+        this.mobileNumber = data.mobile_number;
+        this.meterNumber = data.meter_number;
+        this.accountNumber = data.account_number;
+        this.type = data.type;
+        this.amount = data.amount !== null && data.amount !== undefined ? Number(data.amount) : null;
+        this.status = data.status;
+        this.customerName = data.customer_name;
+        this.ecgReferenceId = data.ecg_reference_id;
+        this.ecgTransactionReference = data.ecg_transaction_reference;
+        this.paymentReference = data.payment_reference;
+        this.paymentProvider = data.payment_provider;
+        this.token = data.token;
+        this.units = data.units;
+        this.receiptNumber = data.receipt_number;
+        this.failureReason = data.failure_reason;
+        this.enquiryResponse = data.enquiry_response;
+        this.chargeResponse = data.charge_response;
+        this.createdAt = data.created_at;
+        this.updatedAt = data.updated_at;
+        this.paidAt = data.paid_at;
+        this.completedAt = data.completed_at;
+    }
+
+    /**
+     * Get the statuses a transaction may be in to move to the given status
+     * @param {string} status - Target status
+     * @returns {Array<string>} - Allowed previous statuses
+     */
+    static getAllowedPreviousStatuses(status) {
+        return Object.keys(Transaction.TRANSITIONS)
+            .filter(from => Transaction.TRANSITIONS[from].includes(status));
+    }
+
+    toJSON() {
+        return {
+            id: this.id,
+            asyncRequestId: this.asyncRequestId,
+            phoneNumber: this.phoneNumber,
+            mobileNumber: this.mobileNumber,
+            meterNumber: this.meterNumber,
+            accountNumber: this.accountNumber,
+            type: this.type,
+            amount: this.amount,
+            status: this.status,
+            customerName: this.customerName,
+            ecgReferenceId: this.ecgReferenceId,
+            ecgTransactionReference: this.ecgTransactionReference,
+            paymentReference: this.paymentReference,
+            paymentProvider: this.paymentProvider,
+            token: this.token,
+            units: this.units,
+            receiptNumber: this.receiptNumber,
+            failureReason: this.failureReason,
+            createdAt: this.createdAt,
+            updatedAt: this.updatedAt,
+            paidAt: this.paidAt,
+            completedAt: this.completedAt
+        };
+    }
+}
+
+module.exports = Transaction;
@@ -0,0 +1,180 @@
+// Support admin view - transaction delivery lookup, queued WhatsApp messages and resending dead-lettered ones
+const PAGE_SIZE = 50;
+const TOKEN_KEY = 'adminApiToken';
+
+let currentStatus = 'DEAD';
+let offset = 0;
+
+const tokenForm = document.getElementById('tokenForm');
+const tokenInput = document.getElementById('tokenInput');
+const phoneFilter = document.getElementById('phoneFilter');
+const notice = document.getElementById('notice');
+const messagesBody = document.getElementById('messagesBody');
+const prevBtn = document.getElementById('prevBtn');
+const nextBtn = document.getElementById('nextBtn');
+const transactionForm = document.getElementById('transactionForm');
+const referenceInput = document.getElementById('referenceInput');
+const transactionResult = document.getElementById('transactionResult');
+
+// Escape text for safe insertion into HTML
+function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text === null || text === undefined ? '' : String(text);
+    return div.innerHTML;
+}
+
+function showNotice(text, isError = false) {
+    notice.textContent = text;
+    notice.classList.toggle('error', isError);
+}
+
+// Call the admin API with the stored token
+async function adminFetch(path, options = {}) {
+    const response = await fetch(path, {
+        ...options,
+        headers: {
+            'Authorization': `Bearer ${sessionStorage.getItem(TOKEN_KEY) || ''}`,
+            'Content-Type': 'application/json'
+        }
+    });
+    const data = await response.json();
+    if (!response.ok) {
+        throw new Error(data.error || `Request failed (${response.status})`);
+    }
+    return data;
+}
+
+// Load the current page of messages
+async function loadMessages() {
+    if (!sessionStorage.getItem(TOKEN_KEY)) {
+        showNotice('Enter the admin API token to continue.');
+        return;
+    }
+
+    const params = new URLSearchParams({ status: currentStatus, limit: PAGE_SIZE, offset });
+    if (phoneFilter.value.trim()) {
+        params.set('phoneNumber', phoneFilter.value.trim());
+    }
+
+    try {
+        const data = await adminFetch(`/api/admin/outbound?${params}`);
+        Object.entries(data.counts).forEach(([status, count]) => {
+            const badge = document.querySelector(`[data-count="${status}"]`);
+            if (badge) badge.textContent = count;
+        });
+        renderMessages(data.messages);
+        prevBtn.disabled = offset === 0;
+        nextBtn.disabled = data.messages.length < PAGE_SIZE;
+        showNotice(data.messages.length === 0 ? 'No messages.' : '');
+    } catch (error) {
+        showNotice(error.message, true);
+    }
+}
+
+function renderMessages(messages) {
+    messagesBody.innerHTML = messages.map(message => `
+        <tr>
+            <td>${escapeHtml(new Date(message.createdAt).toLocaleString())}</td>
+            <td>${escapeHtml(message.phoneNumber)}</td>
+            <td class="message-body">${escapeHtml(message.body)}</td>
+            <td>${escapeHtml(message.attempts)} / ${escapeHtml(message.maxAttempts)}</td>
+            <td class="error-text">${escapeHtml(message.lastError)}</td>
+            <td>${escapeHtml(message.provider || message.preferredProvider || '')}</td>
+            <td>${message.status === 'DEAD' ? `<button data-resend="${escapeHtml(message.id)}">Resend</button>` : ''}</td>
+        </tr>
+    `).join('');
+}
+
+async function resendMessage(id, button) {
+    button.disabled = true;
+    try {
+        await adminFetch(`/api/admin/outbound/${encodeURIComponent(id)}/resend`, { method: 'POST' });
+        showNotice('Message queued for resending.');
+        await loadMessages();
+    } catch (error) {
+        button.disabled = false;
+        showNotice(error.message, true);
+    }
+}
+
+function formatTime(value) {
+    return value ? new Date(value).toLocaleString() : '';
+}
+
+// Look up a transaction and the delivery status of the messages sent about it
+async function lookupTransaction(reference) {
+    try {
+        const { transaction } = await adminFetch(`/api/admin/transactions/${encodeURIComponent(reference)}`);
+        const deliveries = transaction.deliveries.map(delivery => `
+            <tr>
+                <td>${escapeHtml(formatTime(delivery.createdAt))}</td>
+                <td>${escapeHtml(delivery.provider)}</td>
+                <td class="message-body">${escapeHtml(delivery.body || delivery.providerMessageId)}</td>
+                <td><span class="delivery-status ${escapeHtml(delivery.status)}">${escapeHtml(delivery.status)}</span></td>
+                <td>${escapeHtml(formatTime(delivery.deliveredAt))}</td>
+                <td>${escapeHtml(formatTime(delivery.readAt))}</td>
+                <td class="error-text">${escapeHtml([delivery.errorCode, delivery.errorMessage].filter(Boolean).join(': '))}</td>
+            </tr>
+        `).join('');
+
+        transactionResult.innerHTML = `
+            <p class="transaction-summary">
+                <strong>${escapeHtml(transaction.asyncRequestId)}</strong> - ${escapeHtml(transaction.status)}<br>
+                ${escapeHtml(transaction.phoneNumber)} · ${escapeHtml(transaction.type)} meter ${escapeHtml(transaction.meterNumber)}
+                ${transaction.amount !== null ? ` · GHS ${escapeHtml(transaction.amount)}` : ''}
+                ${transaction.receiptNumber ? ` · receipt ${escapeHtml(transaction.receiptNumber)}` : ''}
+            </p>
+            <table class="messages-table">
+                <thead>
+                    <tr>
+                        <th>Sent</th>
+                        <th>Provider</th>
+                        <th>Message</th>
+                        <th>Status</th>
+                        <th>Delivered</th>
+                        <th>Read</th>
+                        <th>Error</th>
+                    </tr>
+                </thead>
+                <tbody>${deliveries || '<tr><td colspan="7">No WhatsApp messages recorded for this transaction.</td></tr>'}</tbody>
+            </table>
+        `;
+    } catch (error) {
+        transactionResult.innerHTML = `<p class="notice error">${escapeHtml(error.message)}</p>`;
+    }
+}
+
+transactionForm.addEventListener('submit', (event) => {
+    event.preventDefault();
+    if (referenceInput.value.trim()) {
+        lookupTransaction(referenceInput.value.trim());
+    }
+});
+
+tokenForm.addEventListener('submit', (event) => {
+    event.preventDefault();
+    sessionStorage.setItem(TOKEN_KEY, tokenInput.value.trim());
+    tokenInput.value = '';
+    offset = 0;
+    loadMessages();
+});
+
+document.getElementById('statusTabs').addEventListener('click', (event) => {
+    const button = event.target.closest('button[data-status]');
+    if (!button) return;
+    document.querySelectorAll('#statusTabs button').forEach(tab => tab.classList.toggle('active', tab === button));
+    currentStatus = button.dataset.status;
+    offset = 0;
+    loadMessages();
+});
+
+messagesBody.addEventListener('click', (event) => {
+    const button = event.target.closest('button[data-resend]');
+    if (button) resendMessage(button.dataset.resend, button);
+});
+
+document.getElementById('refreshBtn').addEventListener('click', () => loadMessages());
+prevBtn.addEventListener('click', () => { offset = Math.max(0, offset - PAGE_SIZE); loadMessages(); });
+nextBtn.addEventListener('click', () => { offset += PAGE_SIZE; loadMessages(); });
+
+loadMessages();
@@ -13,16 +13,22 @@ let currentState = 'MENU';
 let currentFormData = {};
 let currentFieldIndex = 0;
 const formFields = [
-    { key: 'phoneNumber', label: 'Phone Number', required: true },
-    { key: 'meterNumber', label: 'Meter Number', required: true },
-    { key: 'accountNumber', label: 'Account Number', required: false }
+    { key: 'phoneNumber', labelKey: 'labels.phoneNumber', required: true, aliases: ['PHONE'] },
+    { key: 'meterNumber', labelKey: 'labels.meterNumber', required: true, aliases: ['METER'] },
+    { key: 'accountNumber', labelKey: 'labels.accountNumber', required: false, aliases: ['ACCOUNT'] }
 ];
 
+// Message catalog shared with the bot, in the user's language
+let catalog = {};
+let currentLanguage = null;
+
 // Join session room
 socket.emit('join-session', sessionId);
 
 // Socket event listeners
-socket.on('message', (data) => {
+socket.on('message', async (data) => {
+    // The reply may be in a new language (LANG)
+    await loadCatalog(data.language);
     handleBotMessage(data.text);
 });
 
@@ -31,9 +37,53 @@ socket.on('connect', () => {
 });
 
 socket.on('disconnect', () => {
-    showToast('Connection lost. Please refresh the page.');
+    showToast(t('ui.connectionLost'));
 });
 
+// Load the message catalog of a language and translate the page
+async function loadCatalog(language) {
+    if (!language || language === currentLanguage) return;
+    
+    try {
+        const response = await fetch(`/api/web/i18n/${language}`);
+        const data = await response.json();
+        
+        if (data.success) {
+            catalog = data.catalog;
+            currentLanguage = language;
+            document.documentElement.lang = language;
+            applyTranslations();
+        }
+    } catch (error) {
+        console.error('Error loading translations:', error);
+    }
+}
+
+// Translate a catalog key (e.g. "ui.back"), filling in {placeholders}
+function t(key, params = {}) {
+    const text = key.split('.').reduce((node, part) => (node && typeof node === 'object' ? node[part] : undefined), catalog);
+    if (typeof text !== 'string') return key;
+    return text.replace(/\{(\w+)\}/g, (placeholder, name) => (params[name] !== undefined ? params[name] : placeholder));
+}
+
+// Check whether a bot message contains the fixed text of a catalog entry
+function matchesCatalog(text, key) {
+    const fixedText = t(key).split(/\{\w+\}/).reduce((longest, part) => (part.length > longest.length ? part : longest), '');
+    return fixedText.trim().length > 0 && text.includes(fixedText);
+}
+
+// Translate static page text marked with data-i18n attributes
+function applyTranslations() {
+    document.querySelectorAll('[data-i18n]').forEach(element => {
+        element.textContent = t(element.dataset.i18n);
+    });
+}
+
+// Label of a form field in the user's language
+function fieldLabel(field) {
+    return t(field.labelKey);
+}
+
 // Load initial session state
 async function loadSession() {
     try {
@@ -41,6 +91,7 @@ async function loadSession() {
         const data = await response.json();
         
         if (data.success) {
+            await loadCatalog(data.session.language);
             currentState = data.session.currentState;
             currentFormData = data.session.sessionData || {};
             
@@ -53,7 +104,7 @@ async function loadSession() {
         }
     } catch (error) {
         console.error('Error loading session:', error);
-        showToast('Error loading session');
+        showToast(t('ui.loadSessionError'));
     }
 }
 
@@ -75,11 +126,6 @@ function showScreen(screenId) {
 
 // Select menu option
 async function selectOption(option) {
-    if (option === '3') {
-        showToast('Charge Status feature coming soon');
-        return;
-    }
-    
     showLoading(true);
     
     try {
@@ -98,16 +144,18 @@ async function selectOption(option) {
         showLoading(false);
         
         if (data.success) {
+            // The server decides the next step (saved meter choice or form),
+            // which arrives as a bot message over the socket
             if (option === '1' || option === '2') {
                 currentFieldIndex = 0;
-                showFormScreen();
+                currentFormData = {};
             }
         } else {
-            showToast(data.error || 'Error processing request');
+            showToast(data.error || t('ui.requestError'));
         }
     } catch (error) {
         showLoading(false);
-        showToast('Error sending request');
+        showToast(t('ui.sendError'));
     }
 }
 
@@ -122,32 +170,27 @@ function renderFormField() {
     const formContent = document.getElementById('formContent');
     const formStep = document.getElementById('currentStep');
     
-    if (currentFieldIndex >= formFields.length) {
-        // All fields collected, submit
-        submitForm();
-        return;
-    }
-    
     const field = formFields[currentFieldIndex];
     const isOptional = !field.required;
     
-    formStep.textContent = `Step ${currentFieldIndex + 1} of ${formFields.length}`;
+    formStep.textContent = t('ui.step', { step: currentFieldIndex + 1, total: formFields.length });
     
     formContent.innerHTML = `
-        <h2>${field.label}</h2>
+        <h2>${fieldLabel(field)}</h2>
         <div class="form-group">
-            <label>${field.label}${isOptional ? ' (Optional)' : ''}</label>
+            <label>${fieldLabel(field)}${isOptional ? ` ${t('ui.optional')}` : ''}</label>
             <input 
                 type="text" 
                 id="formInput" 
-                placeholder="Enter ${field.label.toLowerCase()}"
+                placeholder="${t('ui.enterField', { field: fieldLabel(field).toLowerCase() })}"
                 value="${currentFormData[field.key] || ''}"
                 autocomplete="off"
             >
         </div>
         <div class="form-actions">
-            ${isOptional ? '<button class="btn btn-secondary" onclick="skipField()">Skip</button>' : ''}
-            <button class="btn btn-primary" onclick="nextField()">Next</button>
+            <button class="btn btn-secondary" onclick="sendFormMessage('BACK')">${t('ui.back')}</button>
+            ${isOptional ? `<button class="btn btn-secondary" onclick="skipField()">${t('ui.skip')}</button>` : ''}
+            <button class="btn btn-primary" onclick="nextField()">${t('ui.next')}</button>
         </div>
     `;
     
@@ -165,96 +208,170 @@ function renderFormField() {
     }, 100);
 }
 
-// Next field
+// Next field - the server validates the value and replies with the next step
 async function nextField() {
     const input = document.getElementById('formInput');
     const value = input.value.trim();
     
     if (!value && formFields[currentFieldIndex].required) {
-        showToast('This field is required');
+        showToast(t('ui.fieldRequired'));
         return;
     }
     
     currentFormData[formFields[currentFieldIndex].key] = value;
-    currentFieldIndex++;
-    
-    if (currentFieldIndex < formFields.length) {
-        renderFormField();
-    } else {
-        // All fields collected
-        submitForm();
-    }
+    await sendFormMessage(value || 'SKIP');
 }
 
 // Skip field
-function skipField() {
-    currentFieldIndex++;
-    renderFormField();
+async function skipField() {
+    currentFormData[formFields[currentFieldIndex].key] = '';
+    await sendFormMessage('SKIP');
 }
 
-// Submit form
-async function submitForm() {
+// Send a form value or navigation command (BACK, EDIT <field>, YES)
+async function sendFormMessage(message) {
     showLoading(true);
     
-    // Send all collected data as messages
-    for (let i = 0; i < formFields.length; i++) {
-        const field = formFields[i];
-        const value = currentFormData[field.key];
+    try {
+        const response = await fetch('/api/web/message', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({
+                sessionId: sessionId,
+                message: message
+            })
+        });
         
-        if (value || field.required) {
-            try {
-                await fetch('/api/web/message', {
-                    method: 'POST',
-                    headers: {
-                        'Content-Type': 'application/json'
-                    },
-                    body: JSON.stringify({
-                        sessionId: sessionId,
-                        message: value || 'SKIP'
-                    })
-                });
-            } catch (error) {
-                console.error('Error sending field:', error);
-            }
+        const data = await response.json();
+        showLoading(false);
+        
+        if (!data.success) {
+            showToast(data.error || t('ui.requestError'));
         }
+    } catch (error) {
+        showLoading(false);
+        showToast(t('ui.sendError'));
     }
+}
+
+// Ask whether to continue an unfinished request
+function showResumeScreen() {
+    showScreen('resultScreen');
+    document.getElementById('resultContainer').innerHTML = `
+        <h2>${t('session.welcomeBack')}</h2>
+        <p>${t('ui.continuePrompt')}</p>
+        <div class="form-actions">
+            <button class="btn btn-secondary" onclick="sendFormMessage('NO')">${t('ui.startOver')}</button>
+            <button class="btn btn-primary" onclick="sendFormMessage('YES')">${t('ui.continue')}</button>
+        </div>
+    `;
+}
+
+// Show the review of collected meter details before the enquiry
+function showReviewScreen(text) {
+    currentState = 'REVIEW_METER_INFO';
+    showScreen('formScreen');
+    document.getElementById('currentStep').textContent = t('ui.review');
+    
+    let html = `<h2>${t('ui.reviewTitle')}</h2>`;
+    formFields.forEach(field => {
+        const match = text.match(new RegExp(`\\*${fieldLabel(field)}:\\*\\s*(.+)`));
+        const value = match ? match[1].trim() : '';
+        html += `
+            <div class="result-item">
+                <span class="result-item-label">${fieldLabel(field)}</span>
+                <span class="result-item-value">${value}</span>
+            </div>
+            <button class="btn btn-secondary" style="width: 100%; margin-top: 8px;" onclick="sendFormMessage('EDIT ${field.aliases[0]}')">
+                ${t('ui.editField', { field: fieldLabel(field) })}
+            </button>
+        `;
+    });
     
-    showLoading(false);
-    showToast('Processing your request...');
+    html += `
+        <div class="form-actions">
+            <button class="btn btn-secondary" onclick="sendFormMessage('BACK')">${t('ui.back')}</button>
+            <button class="btn btn-primary" onclick="sendFormMessage('YES')">${t('ui.lookUpMeter')}</button>
+        </div>
+    `;
+    
+    document.getElementById('formContent').innerHTML = html;
 }
 
 // Handle bot message
 function handleBotMessage(text) {
+    // Bot messages are matched against the catalog of the user's language
+    
     // Check if it's a menu
-    if (text.includes('ECG Credit Purchase Bot') || text.includes('Please select an option')) {
+    if (matchesCatalog(text, 'menu.title') || matchesCatalog(text, 'menu.selectOption')) {
         currentState = 'MENU';
         showScreen('menuScreen');
         return;
     }
     
+    // Check if it's an offer to resume an unfinished request
+    if (matchesCatalog(text, 'session.resume')) {
+        showResumeScreen();
+        return;
+    }
+    
+    // Check if it's the review of collected meter details
+    if (matchesCatalog(text, 'meterInfo.reviewTitle')) {
+        showReviewScreen(text);
+        return;
+    }
+    
+    // Check if it's the language menu or a saved meter choice
+    if (matchesCatalog(text, 'language.title') || matchesCatalog(text, 'savedMeters.newMeter')) {
+        showChoiceScreen(text);
+        return;
+    }
+    
+    // Check if it's a charge status list or result
+    if (matchesCatalog(text, 'chargeStatus.title')) {
+        currentState = 'CHARGE_STATUS';
+        showChargeStatusScreen(text);
+        return;
+    }
+    
     // Check if it's asking for input
-    if (text.includes('Please provide') || text.includes('Please enter')) {
+    if (matchesCatalog(text, 'meterInfo.prompt')) {
         // Extract field name
         const fieldMatch = text.match(/\*([^*]+)\*/);
         if (fieldMatch) {
             const fieldName = fieldMatch[1];
-            const field = formFields.find(f => f.label === fieldName);
+            const field = formFields.find(f => fieldLabel(f) === fieldName);
             if (field) {
+                currentState = 'METER_INFO';
                 currentFieldIndex = formFields.indexOf(field);
+                
+                // Pre-fill the value being changed after BACK / EDIT
+                const currentValuePrefix = t('meterInfo.currentValue').split('{value}')[0];
+                const currentValueLine = text.split('\n').find(line => line.startsWith(currentValuePrefix));
+                if (currentValueLine) {
+                    currentFormData[field.key] = currentValueLine.slice(currentValuePrefix.length).trim();
+                }
                 showFormScreen();
+                
+                // Show why the field was rejected
+                if (text.startsWith('⚠️')) {
+                    showToast(text.split('\n')[0].replace('⚠️', '').trim());
+                }
             }
         }
         return;
     }
     
     // Check if it's enquiry results
-    if (text.includes('Account Enquiry Results') || text.includes('Customer Name')) {
+    if (matchesCatalog(text, 'enquiry.title') || text.includes(`*${t('labels.customerName')}:*`)) {
         showResultScreen(text);
         return;
     }
     
     // Check if it's confirmation
-    if (text.includes('Would you like to proceed') || text.includes('confirm')) {
+    if (matchesCatalog(text, 'confirm.prompt')) {
         showConfirmationScreen(text);
         return;
     }
@@ -281,7 +398,7 @@ function showResultScreen(text) {
         }
     });
     
-    let html = '<h2>Account Details</h2>';
+    let html = `<h2>${t('ui.accountDetails')}</h2>`;
     items.forEach(item => {
         html += `
             <div class="result-item">
@@ -292,26 +409,203 @@ function showResultScreen(text) {
     });
     
     html += `
-        <div class="form-actions" style="margin-top: 30px;">
-            <button class="btn btn-secondary" onclick="cancelTransaction()">Cancel</button>
-            <button class="btn btn-primary" onclick="confirmTransaction()">Confirm</button>
+        <div class="form-group" style="margin-top: 30px;">
+            <label>${t('ui.amountLabel')}</label>
+            <input 
+                type="text" 
+                id="amountInput" 
+                inputmode="decimal"
+                placeholder="${t('ui.amountPlaceholder')}"
+                autocomplete="off"
+            >
+        </div>
+        <div class="form-actions">
+            <button class="btn btn-secondary" onclick="cancelTransaction()">${t('ui.cancel')}</button>
+            <button class="btn btn-primary" onclick="submitAmount()">${t('ui.continue')}</button>
         </div>
     `;
     
     container.innerHTML = html;
 }
 
+// Submit purchase amount (server validates min/max and replies with confirmation)
+async function submitAmount() {
+    const input = document.getElementById('amountInput');
+    const value = input ? input.value.trim() : '';
+    
+    if (!value) {
+        showToast(t('ui.enterAmount'));
+        return;
+    }
+    
+    showLoading(true);
+    
+    try {
+        const response = await fetch('/api/web/message', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({
+                sessionId: sessionId,
+                message: value
+            })
+        });
+        
+        const data = await response.json();
+        showLoading(false);
+        
+        if (!data.success) {
+            showToast(data.error || t('ui.amountError'));
+        }
+    } catch (error) {
+        showLoading(false);
+        showToast(t('ui.amountSendError'));
+    }
+}
+
+// Show a numbered choice list (e.g. saved meters) as buttons
+function showChoiceScreen(text) {
+    showScreen('resultScreen');
+    const container = document.getElementById('resultContainer');
+    
+    const titleMatch = text.match(/\*([^*]+)\*/);
+    const title = titleMatch ? titleMatch[1] : t('ui.chooseOption');
+    const choices = [];
+    
+    text.split('\n').forEach(line => {
+        const match = line.match(/^(\d+)\.\s+(.+)$/);
+        if (match) {
+            choices.push({ value: match[1], label: match[2].replace(/\*/g, '') });
+        }
+    });
+    
+    let html = `<h2>${title}</h2>`;
+    choices.forEach(choice => {
+        html += `
+            <button class="btn ${choice.value === '0' ? 'btn-secondary' : 'btn-primary'}" style="width: 100%; margin-top: 12px;" onclick="sendChoice('${choice.value}')">
+                ${choice.label}
+            </button>
+        `;
+    });
+    
+    container.innerHTML = html;
+}
+
+// Send a choice from a choice screen
+async function sendChoice(value) {
+    showLoading(true);
+    
+    try {
+        const response = await fetch('/api/web/message', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({
+                sessionId: sessionId,
+                message: value
+            })
+        });
+        
+        const data = await response.json();
+        showLoading(false);
+        
+        if (!data.success) {
+            showToast(data.error || t('ui.requestError'));
+        } else if (value !== '0') {
+            showToast(t('ui.processingRequest'));
+        }
+    } catch (error) {
+        showLoading(false);
+        showToast(t('ui.sendError'));
+    }
+}
+
+// Show charge status screen (recent purchases list or a status result)
+function showChargeStatusScreen(text) {
+    showScreen('resultScreen');
+    const container = document.getElementById('resultContainer');
+    const isResult = text.includes(`*${t('labels.status')}:*`);
+    
+    const body = text
+        .replace(`*${t('chargeStatus.title')}*`, '')
+        .trim()
+        .replace(/\*([^*]+)\*/g, '<strong>$1</strong>')
+        .replace(/\n/g, '<br>');
+    
+    container.innerHTML = `
+        <h2>${t('chargeStatus.title')}</h2>
+        <p style="color: #666; margin: 20px 0;">${body}</p>
+        ${isResult ? `
+        <div class="form-actions">
+            <button class="btn btn-primary" onclick="goBack()">${t('ui.done')}</button>
+        </div>
+        ` : `
+        <div class="form-group">
+            <label>${t('ui.purchaseOrReference')}</label>
+            <input 
+                type="text" 
+                id="statusInput" 
+                placeholder="${t('ui.purchaseOrReferencePlaceholder')}"
+                autocomplete="off"
+            >
+        </div>
+        <div class="form-actions">
+            <button class="btn btn-secondary" onclick="goBack()">${t('ui.back')}</button>
+            <button class="btn btn-primary" onclick="checkChargeStatus()">${t('ui.check')}</button>
+        </div>
+        `}
+    `;
+}
+
+// Check status of the selected purchase
+async function checkChargeStatus() {
+    const input = document.getElementById('statusInput');
+    const value = input ? input.value.trim() : '';
+    
+    if (!value) {
+        showToast(t('ui.enterPurchaseOrReference'));
+        return;
+    }
+    
+    showLoading(true);
+    
+    try {
+        const response = await fetch('/api/web/message', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({
+                sessionId: sessionId,
+                message: value
+            })
+        });
+        
+        const data = await response.json();
+        showLoading(false);
+        
+        if (!data.success) {
+            showToast(data.error || t('ui.statusError'));
+        }
+    } catch (error) {
+        showLoading(false);
+        showToast(t('ui.statusError'));
+    }
+}
+
 // Show confirmation screen
 function showConfirmationScreen(text) {
     showScreen('resultScreen');
     const container = document.getElementById('resultContainer');
     
     container.innerHTML = `
-        <h2>Confirm Transaction</h2>
+        <h2>${t('ui.confirmTransaction')}</h2>
         <p style="color: #666; margin: 20px 0;">${text.replace(/\*/g, '')}</p>
         <div class="form-actions">
-            <button class="btn btn-secondary" onclick="cancelTransaction()">No</button>
-            <button class="btn btn-primary" onclick="confirmTransaction()">Yes</button>
+            <button class="btn btn-secondary" onclick="cancelTransaction()">${t('ui.no')}</button>
+            <button class="btn btn-primary" onclick="confirmTransaction()">${t('ui.yes')}</button>
         </div>
     `;
 }
@@ -336,14 +630,14 @@ async function confirmTransaction() {
         showLoading(false);
         
         if (data.success) {
-            showToast('Transaction confirmed!');
+            showToast(t('ui.approvePayment'));
             setTimeout(() => {
                 showScreen('menuScreen');
             }, 2000);
         }
     } catch (error) {
         showLoading(false);
-        showToast('Error confirming transaction');
+        showToast(t('ui.confirmError'));
     }
 }
 
@@ -367,7 +661,7 @@ async function cancelTransaction() {
         showScreen('menuScreen');
     } catch (error) {
         showLoading(false);
-        showToast('Error cancelling transaction');
+        showToast(t('ui.cancelError'));
     }
 }
 
@@ -375,10 +669,15 @@ async function cancelTransaction() {
 function goBack() {
     if (currentState === 'MENU') {
         showScreen('menuScreen');
+    } else if (currentState === 'METER_INFO' || currentState === 'REVIEW_METER_INFO') {
+        // Step back through the meter details on the server
+        sendFormMessage('BACK');
     } else {
         // Reset to menu
         fetch(`/api/web/reset/${sessionId}`, { method: 'POST' })
-            .then(() => {
+            .then((response) => {
+                // Refused while a payment is in progress
+                if (!response.ok) return;
                 showScreen('menuScreen');
                 currentState = 'MENU';
             });
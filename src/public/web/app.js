@@ -13,9 +13,55 @@ const messagesContainer = document.getElementById('messagesContainer');
 const messageInput = document.getElementById('messageInput');
 const sendBtn = document.querySelector('.send-btn');
 
+// Message catalog shared with the bot, in the user's language
+let catalog = {};
+let currentLanguage = null;
+
 // Join session room
 socket.emit('join-session', sessionId);
 
+// Load the message catalog of a language and translate the page
+async function loadCatalog(language) {
+    if (!language || language === currentLanguage) return;
+    
+    try {
+        const response = await fetch(`/api/web/i18n/${language}`);
+        const data = await response.json();
+        
+        if (data.success) {
+            catalog = data.catalog;
+            currentLanguage = language;
+            document.documentElement.lang = language;
+            applyTranslations();
+        }
+    } catch (error) {
+        console.error('Error loading translations:', error);
+    }
+}
+
+// Translate a catalog key (e.g. "ui.processing"), filling in {placeholders}
+function t(key, params = {}) {
+    const text = key.split('.').reduce((node, part) => (node && typeof node === 'object' ? node[part] : undefined), catalog);
+    if (typeof text !== 'string') return key;
+    return text.replace(/\{(\w+)\}/g, (placeholder, name) => (params[name] !== undefined ? params[name] : placeholder));
+}
+
+// Check whether a bot message contains the fixed text of a catalog entry
+function matchesCatalog(text, key) {
+    const fixedText = t(key).split(/\{\w+\}/).reduce((longest, part) => (part.length > longest.length ? part : longest), '');
+    return fixedText.trim().length > 0 && text.includes(fixedText);
+}
+
+// Translate static page text marked with data-i18n attributes
+function applyTranslations() {
+    document.querySelectorAll('[data-i18n]').forEach(element => {
+        element.textContent = t(element.dataset.i18n);
+    });
+    document.querySelectorAll('[data-i18n-placeholder]').forEach(element => {
+        element.placeholder = t(element.dataset.i18nPlaceholder);
+    });
+}
+
 // Load initial session state
 async function loadSession() {
     try {
@@ -23,24 +69,67 @@ async function loadSession() {
         const data = await response.json();
         
         if (data.success) {
-            // If in MENU state, show menu with URL
-            if (data.session.currentState === 'MENU') {
-                // Use current origin for web interface (client-side)
-                const baseUrl = window.location.origin;
-                const webUrl = `${baseUrl}/web?session=${sessionId}`;
-                addMessage('bot', `*ECG Credit Purchase Bot*\n\nPlease select an option:\n1️⃣ Prepaid\n2️⃣ Postpaid\n3️⃣ Charge Status\n4️⃣ By from Web : ${webUrl}\n\nReply with the number of your choice.\n\n*Tip:* Type  *STOP*,  or *CANCEL* at any time to cancel and start over.`);
-            }
+            await loadCatalog(data.session.language);
+            
+            // Restore the conversation so far (or the menu for a new chat)
+            await loadHistory();
         }
         return true;
     } catch (error) {
         console.error('Error loading session:', error);
-        addMessage('bot', 'Error loading session. Please refresh the page.');
+        addMessage('bot', t('ui.loadSessionError'));
         return false;
     }
 }
 
+// Load a page of the chat's history - the latest messages, or those before an earlier page
+async function loadHistory(before = null) {
+    const params = new URLSearchParams({ channel: 'web', limit: 50 });
+    if (before) params.set('before', before);
+
+    const response = await fetch(`/api/web/history/${sessionId}?${params}`);
+    const data = await response.json();
+    if (!data.success) return;
+
+    const history = data.history || [];
+    if (before) {
+        // Older messages go above the ones already shown, keeping the scroll position
+        const previousHeight = messagesContainer.scrollHeight;
+        history.slice().reverse().forEach(entry => addMessage(entry.type, entry.text, entry.timestamp, true));
+        messagesContainer.scrollTop += messagesContainer.scrollHeight - previousHeight;
+    } else {
+        // Replace the "loading your session" placeholder
+        if (history.length > 0) messagesContainer.innerHTML = '';
+        history.forEach(entry => addMessage(entry.type, entry.text, entry.timestamp));
+    }
+
+    showLoadEarlier(data.hasMore ? data.before : null);
+}
+
+// Show (or remove) the "load earlier messages" button at the top of the chat
+function showLoadEarlier(before) {
+    const existing = document.getElementById('loadEarlierBtn');
+    if (existing) existing.remove();
+    if (!before) return;
+
+    const button = document.createElement('button');
+    button.id = 'loadEarlierBtn';
+    button.className = 'load-earlier-btn';
+    button.textContent = t('ui.loadEarlier');
+    button.onclick = () => {
+        button.disabled = true;
+        loadHistory(before).catch(error => {
+            console.error('Error loading history:', error);
+            button.disabled = false;
+        });
+    };
+    messagesContainer.prepend(button);
+}
+
 // Socket event listeners
-socket.on('message', (data) => {
+socket.on('message', async (data) => {
+    // The reply may be in a new language (LANG)
+    await loadCatalog(data.language);
     addMessage(data.type, data.text);
 });
 
@@ -50,11 +139,11 @@ socket.on('connect', () => {
 
 socket.on('disconnect', () => {
     console.log('Disconnected from server');
-    addMessage('bot', 'Connection lost. Please refresh the page.');
+    addMessage('bot', t('ui.connectionLost'));
 });
 
-// Add message to chat
-function addMessage(type, text) {
+// Add message to chat (history entries carry their own timestamp and may be added above the others)
+function addMessage(type, text, timestamp = null, prepend = false) {
     const messageDiv = document.createElement('div');
     messageDiv.className = `message ${type}-message`;
     
@@ -68,16 +157,22 @@ function addMessage(type, text) {
     
     const timeSpan = document.createElement('span');
     timeSpan.className = 'message-time';
-    timeSpan.textContent = getTimeString();
+    timeSpan.textContent = getTimeString(timestamp);
     
     messageDiv.appendChild(contentDiv);
     messageDiv.appendChild(timeSpan);
     
+    if (prepend) {
+        const loadEarlierBtn = document.getElementById('loadEarlierBtn');
+        messagesContainer.insertBefore(messageDiv, loadEarlierBtn ? loadEarlierBtn.nextSibling : messagesContainer.firstChild);
+        return;
+    }
+    
     messagesContainer.appendChild(messageDiv);
     scrollToBottom();
     
     // If menu was just shown, ensure input is visible on mobile
-    if (type === 'bot' && text.includes('ECG Credit Purchase Bot')) {
+    if (type === 'bot' && matchesCatalog(text, 'menu.title')) {
         setTimeout(() => {
             ensureInputVisible();
         }, 100);
@@ -100,9 +195,9 @@ function formatMessage(text) {
     return text;
 }
 
-// Get current time string
-function getTimeString() {
-    const now = new Date();
+// Get the time string of a message (default: now)
+function getTimeString(timestamp = null) {
+    const now = timestamp ? new Date(timestamp) : new Date();
     const hours = now.getHours();
     const minutes = now.getMinutes();
     const ampm = hours >= 12 ? 'PM' : 'AM';
@@ -128,7 +223,7 @@ async function sendMessage() {
     // Show loading indicator
     const loadingDiv = document.createElement('div');
     loadingDiv.className = 'message bot-message';
-    loadingDiv.innerHTML = '<div class="message-content"><p><span class="loading"></span> Processing...</p></div>';
+    loadingDiv.innerHTML = `<div class="message-content"><p><span class="loading"></span> ${t('ui.processing')}</p></div>`;
     messagesContainer.appendChild(loadingDiv);
     scrollToBottom();
     
@@ -153,12 +248,13 @@ async function sendMessage() {
             // Message will be received via WebSocket, so don't add it here to avoid duplicates
             // WebSocket is the primary method for real-time updates
         } else {
-            addMessage('bot', `Error: ${data.error || 'Failed to send message'}`);
+            // Rate-limit replies are already a complete message for the user
+            addMessage('bot', data.rateLimited ? data.error : data.error ? `${t('error.title')}: ${data.error}` : t('ui.sendMessageError'));
         }
     } catch (error) {
         console.error('Error sending message:', error);
         loadingDiv.remove();
-        addMessage('bot', 'Error sending message. Please try again.');
+        addMessage('bot', t('ui.sendMessageError'));
     } finally {
         sendBtn.disabled = false;
         messageInput.focus();
@@ -183,11 +279,12 @@ async function showMenu() {
         const data = await response.json();
         // Menu message will be received via WebSocket, so don't add it here to avoid duplicates
         if (!data.success) {
-            addMessage('bot', 'Error loading menu. Please try again.');
+            // A payment in progress can't be left; the server says why
+            addMessage('bot', data.message || t('ui.menuError'));
         }
     } catch (error) {
         console.error('Error showing menu:', error);
-        addMessage('bot', 'Error loading menu. Please try again.');
+        addMessage('bot', t('ui.menuError'));
     }
 }
 
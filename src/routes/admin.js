@@ -0,0 +1,127 @@
+/**
+ * Admin API routes (support tooling)
+ * Every request needs the ADMIN_API_TOKEN as a bearer token; the API is disabled when it is not set
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+const outboundQueueService = require('../services/outboundQueueService');
+const deliveryStatusService = require('../services/deliveryStatusService');
+const dbService = require('../services/dbService');
+const OutboundMessage = require('../models/outboundMessage');
+require('dotenv').config();
+
+const router = express.Router();
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Check the admin bearer token
+ */
+router.use((req, res, next) => {
+    const adminToken = process.env.ADMIN_API_TOKEN;
+    if (!adminToken) {
+        return res.status(503).json({ error: 'Admin API is disabled. Set ADMIN_API_TOKEN to enable it.' });
+    }
+
+    const token = (req.headers.authorization || '').replace(/^Bearer\s+/i, '');
+    const digest = (value) => crypto.createHash('sha256').update(value).digest();
+    if (!token || !crypto.timingSafeEqual(digest(token), digest(adminToken))) {
+        console.warn(`⚠️  Rejected admin request from ${req.ip}: ${req.method} ${req.originalUrl}`);
+        return res.status(401).json({ error: 'Unauthorized' });
+    }
+    next();
+});
+
+/**
+ * GET /api/admin/outbound
+ * List queued WhatsApp messages with counts per status
+ * Query: status (PENDING, SENDING, SENT, DEAD), phoneNumber, limit (max 200), offset
+ */
+router.get('/outbound', async (req, res) => {
+    try {
+        const status = req.query.status ? String(req.query.status).toUpperCase() : null;
+        if (status && !Object.values(OutboundMessage.STATUSES).includes(status)) {
+            return res.status(400).json({ error: `Unknown status ${status}` });
+        }
+
+        const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+        const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+        const { counts, messages } = await outboundQueueService.getMessages({
+            status,
+            phoneNumber: req.query.phoneNumber || null,
+            limit,
+            offset
+        });
+
+        res.json({
+            success: true,
+            counts,
+            messages: messages.map(message => message.toJSON()),
+            limit,
+            offset
+        });
+    } catch (error) {
+        console.error('Error listing outbound messages:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/admin/outbound/:id/resend
+ * Put a dead-lettered message back in the queue
+ */
+router.post('/outbound/:id/resend', async (req, res) => {
+    try {
+        const { id } = req.params;
+        const message = UUID_PATTERN.test(id) ? await outboundQueueService.resend(id) : null;
+        if (!message) {
+            return res.status(404).json({ error: 'No dead-lettered message with that ID' });
+        }
+
+        res.json({
+            success: true,
+            message: message.toJSON()
+        });
+    } catch (error) {
+        console.error('Error resending outbound message:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/admin/transactions/:reference
+ * Look up a transaction by any reference (async request ID, receipt number, payment or ECG reference)
+ * with the delivery status of the messages sent about it (e.g. whether the token reached the customer)
+ */
+router.get('/transactions/:reference', async (req, res) => {
+    try {
+        const transaction = await dbService.getTransactionByReference(null, req.params.reference);
+        if (!transaction) {
+            return res.status(404).json({ error: 'No transaction with that reference' });
+        }
+
+        const deliveries = await deliveryStatusService.getTransactionDeliveries(transaction.asyncRequestId);
+        res.json({
+            success: true,
+            transaction: {
+                ...transaction.toJSON(),
+                deliveries: deliveries.map(delivery => delivery.toJSON())
+            }
+        });
+    } catch (error) {
+        console.error('Error getting transaction:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: error.message
+        });
+    }
+});
+
+module.exports = router;
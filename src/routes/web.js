@@ -5,15 +5,36 @@
 const express = require('express');
 const conversationService = require('../services/conversationService');
 const dbService = require('../services/dbService');
+const rateLimitService = require('../services/rateLimitService');
+const messagingService = require('../services/messagingService');
+const messageLogService = require('../services/messageLogService');
 const MessageFormatter = require('../utils/messageFormatter');
+const InteractiveMessage = require('../models/interactiveMessage');
+const ReceiptGenerator = require('../utils/receiptGenerator');
+const I18n = require('../utils/i18n');
 
 const router = express.Router();
 
+/**
+ * Reply 429 with the "please slow down" message in the user's language
+ * @param {object} res - Express response
+ * @param {string} phoneNumber - Session's phone number
+ * @param {number} retryAfterMs - Milliseconds until the user may send again
+ */
+async function sendRateLimited(res, phoneNumber, retryAfterMs) {
+    const language = await conversationService.getUserLanguage(phoneNumber) || I18n.getDefaultLanguage();
+    res.set('Retry-After', String(Math.ceil(retryAfterMs / 1000)));
+    res.status(429).json({
+        error: I18n.run(language, () => MessageFormatter.formatRateLimited('rateLimit.messages', retryAfterMs)),
+        rateLimited: true
+    });
+}
+
 /**
  * POST /api/web/message
- * Send message from web interface
+ * Send message from web interface (limited per IP, per web session and per phone number)
  */
-router.post('/message', async (req, res) => {
+router.post('/message', rateLimitService.ipMiddleware(), async (req, res) => {
     try {
         const { sessionId, message } = req.body;
         
@@ -31,25 +52,33 @@ router.post('/message', async (req, res) => {
             });
         }
 
-        // Process message
-        const responseMessage = await conversationService.processMessage(
-            session.phoneNumber,
-            message
-        );
+        const sessionLimit = rateLimitService.limitWebSession(sessionId);
+        if (!sessionLimit.allowed) {
+            return await sendRateLimited(res, session.phoneNumber, sessionLimit.retryAfterMs);
+        }
 
-        // Emit response to WebSocket clients in this session
-        const io = req.app.get('io');
-        if (io) {
-            io.to(`session-${sessionId}`).emit('message', {
-                type: 'bot',
-                text: responseMessage,
-                timestamp: new Date().toISOString()
-            });
+        // Async follow-ups (enquiry results, payment updates) are pushed to this session's chat room
+        messagingService.recordInbound(session.phoneNumber, 'web', { sessionId: session.id });
+        await messageLogService.logInbound(session.phoneNumber, 'web', message);
+
+        // Process message (the web chat shows the text version of list menus and buttons)
+        const reply = await conversationService.processMessage(session.phoneNumber, message);
+        if (reply === null) {
+            return await sendRateLimited(res, session.phoneNumber, rateLimitService.getPhoneRetryAfterMs(session.phoneNumber));
         }
+        const responseMessage = InteractiveMessage.toText(reply);
+
+        // The message may have changed the language (LANG), so clients can reload their catalog
+        const language = await conversationService.getUserLanguage(session.phoneNumber) || I18n.getDefaultLanguage();
+
+        // Emit response to WebSocket clients in this session
+        messagingService.emitToWebSession(sessionId, responseMessage, language);
+        await messageLogService.logOutbound(session.phoneNumber, 'web', responseMessage);
 
         res.json({ 
             success: true,
-            message: responseMessage 
+            message: responseMessage,
+            language: language
         });
     } catch (error) {
         console.error('Error in web message endpoint:', error);
@@ -75,6 +104,8 @@ router.get('/session/:sessionId', async (req, res) => {
             });
         }
 
+        const language = await conversationService.getUserLanguage(session.phoneNumber);
+
         res.json({
             success: true,
             session: {
@@ -82,6 +113,7 @@ router.get('/session/:sessionId', async (req, res) => {
                 phoneNumber: session.phoneNumber,
                 currentState: session.currentState,
                 sessionData: session.sessionData,
+                language: language || I18n.getDefaultLanguage(),
                 createdAt: session.createdAt,
                 updatedAt: session.updatedAt
             }
@@ -97,7 +129,8 @@ router.get('/session/:sessionId', async (req, res) => {
 
 /**
  * GET /api/web/history/:sessionId
- * Get conversation history (simplified - returns current menu if in MENU state)
+ * Get the conversation of the session's phone number, a page at a time (oldest first within a page)
+ * Query: channel (whatsapp or web, default: all), before (message ID, for the previous page), limit (max 200)
  */
 router.get('/history/:sessionId', async (req, res) => {
     try {
@@ -110,21 +143,30 @@ router.get('/history/:sessionId', async (req, res) => {
             });
         }
 
-        // For now, return the current menu if in MENU state
-        // In a full implementation, you'd store message history
-        const history = [];
-        
-        if (session.currentState === 'MENU') {
+        const before = req.query.before && /^\d+$/.test(req.query.before) ? req.query.before : null;
+        const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+        const { messages, hasMore } = await messageLogService.getHistory(session.phoneNumber, {
+            channel: req.query.channel || null,
+            before,
+            limit
+        });
+        const history = messages.map(message => message.toHistoryEntry());
+
+        // Nothing logged yet (e.g. a session opened from the WhatsApp menu link) - start with the menu
+        if (history.length === 0 && !before && session.currentState === 'MENU') {
+            const language = await conversationService.getUserLanguage(session.phoneNumber);
             history.push({
                 type: 'bot',
-                text: MessageFormatter.formatMenu(sessionId),
+                text: InteractiveMessage.toText(I18n.run(language, () => MessageFormatter.formatMenu(sessionId))),
                 timestamp: new Date().toISOString()
             });
         }
 
         res.json({
             success: true,
-            history: history
+            history: history,
+            hasMore: hasMore,
+            before: hasMore ? messages[0].id : null
         });
     } catch (error) {
         console.error('Error getting history:', error);
@@ -135,29 +177,103 @@ router.get('/history/:sessionId', async (req, res) => {
     }
 });
 
+/**
+ * GET /api/web/i18n/:language
+ * Get the message catalog of a language (missing translations are filled in with English),
+ * so the web and mobile apps show the same text as the bot
+ */
+router.get('/i18n/:language', (req, res) => {
+    const { language } = req.params;
+
+    if (!I18n.isSupported(language)) {
+        return res.status(404).json({ 
+            error: 'Language not supported' 
+        });
+    }
+
+    res.json({
+        success: true,
+        language: language,
+        languages: I18n.LANGUAGES.map(({ code }) => ({ code, name: I18n.getLanguageName(code) })),
+        catalog: I18n.getCatalog(language)
+    });
+});
+
+/**
+ * GET /api/web/receipt/:id?expires=...&signature=...
+ * Download the PDF receipt of a completed purchase, through the signed, expiring link sent with the receipt
+ */
+router.get('/receipt/:id', rateLimitService.ipMiddleware(), async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const link = ReceiptGenerator.verifyReceiptLink(id, req.query.expires, req.query.signature);
+        if (!link.valid) {
+            return res.status(403).json({ 
+                error: link.reason,
+                message: 'Type RECEIPT followed by the receipt number in the chat to get a new link'
+            });
+        }
+
+        const transaction = await dbService.getTransactionForReceipt(id);
+        if (!transaction) {
+            return res.status(404).json({ 
+                error: 'Receipt not found' 
+            });
+        }
+
+        // The PDF is in the language of the user who made the purchase
+        const language = await conversationService.getUserLanguage(transaction.phoneNumber);
+        const pdf = await I18n.run(language, () => ReceiptGenerator.generatePdf(transaction));
+        const filename = `receipt-${transaction.receiptNumber || transaction.asyncRequestId}.pdf`;
+
+        res.set({
+            'Content-Type': 'application/pdf',
+            'Content-Disposition': `attachment; filename="${filename}"`,
+            'Content-Length': pdf.length
+        });
+        res.send(pdf);
+    } catch (error) {
+        console.error('Error generating receipt:', error);
+        res.status(500).json({ 
+            error: 'Internal server error',
+            message: error.message 
+        });
+    }
+});
+
 /**
  * POST /api/web/reset/:sessionId
- * Reset session to menu
+ * Reset session to menu (refused with 409 while a payment is in progress)
  */
 router.post('/reset/:sessionId', async (req, res) => {
     try {
         const { sessionId } = req.params;
         
+        const current = await dbService.getSessionById(sessionId);
+        const state = current ? conversationService.engine.getState(current.currentState) : null;
+        if (state && state.locked) {
+            const language = await conversationService.getUserLanguage(current.phoneNumber);
+            const prompt = await I18n.run(language, () => conversationService.engine.prompt(current));
+            return res.status(409).json({
+                error: 'A payment is in progress',
+                message: InteractiveMessage.toText(prompt)
+            });
+        }
+        
         const session = await dbService.resetSession(sessionId);
+        const language = session ? await conversationService.getUserLanguage(session.phoneNumber) : null;
+        const menu = InteractiveMessage.toText(I18n.run(language, () => MessageFormatter.formatMenu(sessionId)));
         
         // Emit menu to WebSocket clients
-        const io = req.app.get('io');
-        if (io) {
-            io.to(`session-${sessionId}`).emit('message', {
-                type: 'bot',
-                text: MessageFormatter.formatMenu(sessionId),
-                timestamp: new Date().toISOString()
-            });
+        messagingService.emitToWebSession(sessionId, menu, language || I18n.getDefaultLanguage());
+        if (session) {
+            await messageLogService.logOutbound(session.phoneNumber, 'web', menu);
         }
 
         res.json({
             success: true,
-            message: MessageFormatter.formatMenu(sessionId)
+            message: menu
         });
     } catch (error) {
         console.error('Error resetting session:', error);
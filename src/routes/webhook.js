@@ -5,49 +5,159 @@
 const express = require('express');
 const twilio = require('twilio');
 const conversationService = require('../services/conversationService');
+const twilioService = require('../services/twilioService');
+const idempotencyService = require('../services/idempotencyService');
+const webhookAuthService = require('../services/webhookAuthService');
+const messagingService = require('../services/messagingService');
+const outboundQueueService = require('../services/outboundQueueService');
+const paymentService = require('../services/paymentService');
+const deliveryStatusService = require('../services/deliveryStatusService');
+const messageLogService = require('../services/messageLogService');
+const rateLimitService = require('../services/rateLimitService');
+const InteractiveMessage = require('../models/interactiveMessage');
+const MessageChunker = require('../utils/messageChunker');
 require('dotenv').config();
 
+// Every POST route is limited per IP (RATE_LIMIT_WEBHOOK_IP) before its signature is checked
 const router = express.Router();
 
+/**
+ * Get the text of an incoming Twilio message
+ * Button and list replies are read as the option ID they carry (e.g. "1", "YES")
+ * @param {object} body - Twilio webhook parameters
+ * @returns {string} - Message text
+ */
+function getTwilioMessageText(body) {
+    return body.ButtonPayload || body.ListId || body.Body || body.body || '';
+}
+
+/**
+ * Get the text of an incoming Wasender message
+ * Button and list replies are read as the option ID they carry (e.g. "1", "YES")
+ * @param {object} messageData - Wasender data.messages object
+ * @returns {string} - Message text
+ */
+function getWasenderMessageText(messageData) {
+    const message = messageData.message || {};
+
+    const nativeFlowParams = message.interactiveResponseMessage?.nativeFlowResponseMessage?.paramsJson;
+    if (nativeFlowParams) {
+        try {
+            const params = JSON.parse(nativeFlowParams);
+            if (params.id) {
+                return String(params.id);
+            }
+        } catch (error) {
+            console.error('Could not parse Wasender interactive reply:', nativeFlowParams);
+        }
+    }
+
+    return message.buttonsResponseMessage?.selectedButtonId ||
+           message.listResponseMessage?.singleSelectReply?.selectedRowId ||
+           message.templateButtonReplyMessage?.selectedId ||
+           messageData.messageBody ||
+           message.extendedTextMessage?.text ||
+           message.conversation ||
+           '';
+}
+
+/**
+ * Get the WhatsApp-format phone number from a Wasender message key
+ * @param {object} key - Wasender message key ({ remoteJid, cleanedSenderPn, ... })
+ * @param {string} remoteJid - Chat JID if it is not on the key (format: 233244274699@s.whatsapp.net)
+ * @returns {string} - Phone number (whatsapp:+233...), or '' if there is none
+ */
+function getWasenderPhoneNumber(key = {}, remoteJid = '') {
+    if (key.cleanedSenderPn) {
+        return `whatsapp:+${key.cleanedSenderPn}`;
+    }
+
+    const match = (remoteJid || key.remoteJid || '').match(/^(\d+)@/);
+    return match ? `whatsapp:+${match[1]}` : '';
+}
+
+/**
+ * Get the delivery status updates in a Wasender messages.update or message-receipt.update event
+ * Only messages we sent are included. They are matched by msgId (what the send API returned) when the
+ * event carries it, otherwise by the WhatsApp message key ID
+ * @param {string} event - Event name
+ * @param {object|Array<object>} data - Event data (one update or a list)
+ * @returns {Array<{providerMessageId: string, phoneNumber: string, status: string}>} - Status updates
+ */
+function getWasenderStatusUpdates(event, data) {
+    return (Array.isArray(data) ? data : [data])
+        .filter(item => item && item.key && item.key.fromMe !== false)
+        .map(item => {
+            let status = null;
+            if (event === 'messages.update') {
+                status = deliveryStatusService.mapWasenderStatus(item.update?.status ?? item.status);
+            } else if (item.receipt?.readTimestamp) {
+                status = deliveryStatusService.mapWasenderStatus('read');
+            } else if (item.receipt?.receiptTimestamp) {
+                status = deliveryStatusService.mapWasenderStatus('delivered');
+            }
+
+            const messageId = item.msgId ?? item.key.id;
+            return {
+                providerMessageId: messageId !== undefined && messageId !== null ? String(messageId) : null,
+                phoneNumber: getWasenderPhoneNumber(item.key),
+                status
+            };
+        })
+        .filter(update => update.providerMessageId && update.status);
+}
+
 /**
  * POST /webhook/whatsapp
  * Twilio webhook endpoint for incoming WhatsApp messages
  */
-router.post('/whatsapp', async (req, res) => {
-    try {
-        // Validate Twilio request signature (optional but recommended for production)
-        // const twilioSignature = req.headers['x-twilio-signature'];
-        // const url = process.env.WEBHOOK_URL || req.protocol + '://' + req.get('host') + req.originalUrl;
-        // const isValid = twilio.validateRequest(
-        //     process.env.TWILIO_AUTH_TOKEN,
-        //     twilioSignature,
-        //     url,
-        //     req.body
-        // );
-        // if (!isValid) {
-        //     return res.status(403).send('Forbidden');
-        // }
+router.post('/whatsapp', rateLimitService.webhookIpMiddleware(), webhookAuthService.middleware('twilio'), async (req, res) => {
+    const messageSid = req.body.MessageSid || req.body.SmsMessageSid || null;
 
+    try {
         // Extract message data
-        const messageBody = req.body.Body || req.body.body || '';
+        const messageBody = getTwilioMessageText(req.body);
         const fromNumber = req.body.From || req.body.from || '';
         
         if (!fromNumber) {
             return res.status(400).send('Missing phone number');
         }
 
+        // Twilio retries deliveries it thinks failed - acknowledge repeats without replying again
+        if (!await idempotencyService.markProcessed('twilio', messageSid, fromNumber)) {
+            console.log(`Ignoring duplicate Twilio message ${messageSid} from ${fromNumber}`);
+            res.type('text/xml');
+            return res.send(new twilio.twiml.MessagingResponse().toString());
+        }
+
+        // Async follow-ups (enquiry results, payment updates) go back through the same provider
+        messagingService.recordInbound(fromNumber, 'whatsapp', { provider: 'twilio' });
+        await messageLogService.logInbound(fromNumber, 'whatsapp', messageBody, 'twilio');
+
         // Process message through conversation service
         const responseMessage = await conversationService.processMessage(fromNumber, messageBody);
 
-        // Create Twilio response
+        // Create Twilio response - list menus and buttons go out through the REST API when enabled,
+        // otherwise (or if that fails) the reply is sent as text
+        // (no reply at all when a rate-limited number has already been told to slow down)
+        // (the reply's delivery status is reported to the status callback URL when one is set).
+        // Replies over Twilio's length limit go out as numbered parts, in order
         const twiml = new twilio.twiml.MessagingResponse();
-        twiml.message(responseMessage);
+        const parts = MessageChunker.split(InteractiveMessage.toText(responseMessage), twilioService.maxMessageLength);
+        const sentInteractive = InteractiveMessage.isInteractive(responseMessage) && parts.length === 1 &&
+            await twilioService.sendInteractive(fromNumber, responseMessage);
+        if (responseMessage !== null && !sentInteractive) {
+            const attributes = twilioService.statusCallbackUrl ? { action: twilioService.statusCallbackUrl } : {};
+            parts.forEach(part => twiml.message(attributes, part));
+        }
+        await messageLogService.logOutbound(fromNumber, 'whatsapp', responseMessage, 'twilio');
 
         // Send response
         res.type('text/xml');
         res.send(twiml.toString());
     } catch (error) {
         console.error('Error in webhook:', error);
+        await idempotencyService.forget('twilio', messageSid);
         
         // Send error response to user
         const twiml = new twilio.twiml.MessagingResponse();
@@ -58,6 +168,36 @@ router.post('/whatsapp', async (req, res) => {
     }
 });
 
+/**
+ * POST /webhook/whatsapp/status
+ * Twilio status callback for messages we sent (sent, delivered, read, undelivered, failed)
+ */
+router.post('/whatsapp/status', rateLimitService.webhookIpMiddleware(), webhookAuthService.middleware('twilio', { url: twilioService.statusCallbackUrl }), async (req, res) => {
+    try {
+        const messageSid = req.body.MessageSid || req.body.SmsSid || null;
+        const status = deliveryStatusService.mapTwilioStatus(req.body.MessageStatus || req.body.SmsStatus);
+
+        // Intermediate statuses (queued, sending, ...) are acknowledged without being recorded
+        await deliveryStatusService.recordStatus({
+            provider: 'twilio',
+            providerMessageId: messageSid,
+            phoneNumber: req.body.To || null,
+            status,
+            errorCode: req.body.ErrorCode || null,
+            errorMessage: req.body.ErrorMessage || null
+        });
+
+        res.type('text/xml');
+        res.send(new twilio.twiml.MessagingResponse().toString());
+    } catch (error) {
+        console.error('Error in Twilio status callback:', error);
+        res.status(500).json({ 
+            error: 'Internal server error',
+            message: error.message 
+        });
+    }
+});
+
 /**
  * GET /webhook/whatsapp
  * Twilio webhook verification (for webhook setup)
@@ -70,12 +210,26 @@ router.get('/whatsapp', (req, res) => {
  * POST /webhook/wasender
  * Wasender API webhook endpoint for incoming WhatsApp messages
  */
-router.post('/wasender', async (req, res) => {
+router.post('/wasender', rateLimitService.webhookIpMiddleware(), webhookAuthService.middleware('wasender'), async (req, res) => {
+    let messageId = null;
+
     try {
         // Extract message data from Wasender webhook format
         const event = req.body.event;
+
+        // Delivery and read receipts for messages we sent
+        if (event === 'messages.update' || event === 'message-receipt.update') {
+            const updates = getWasenderStatusUpdates(event, req.body.data);
+            for (const update of updates) {
+                await deliveryStatusService.recordStatus({ provider: 'wasender', ...update });
+            }
+            return res.status(200).json({ 
+                success: true, 
+                message: `${updates.length} status update(s) recorded` 
+            });
+        }
         
-        // Only process messages.received events
+        // Otherwise only process messages.received events
         if (event !== 'messages.received') {
             return res.status(200).json({ 
                 success: true, 
@@ -91,23 +245,9 @@ router.post('/wasender', async (req, res) => {
         }
 
         const messageData = data.messages;
-        const messageBody = messageData.messageBody || 
-                           (messageData.message?.extendedTextMessage?.text) || 
-                           '';
-        const remoteJid = messageData.remoteJid || messageData.key?.remoteJid || '';
-        
-        // Extract phone number from remoteJid (format: 233244274699@s.whatsapp.net)
-        // or use cleanedSenderPn if available
-        let phoneNumber = '';
-        if (messageData.key?.cleanedSenderPn) {
-            phoneNumber = `whatsapp:+${messageData.key.cleanedSenderPn}`;
-        } else if (remoteJid) {
-            // Extract number from format like "233244274699@s.whatsapp.net"
-            const match = remoteJid.match(/^(\d+)@/);
-            if (match) {
-                phoneNumber = `whatsapp:+${match[1]}`;
-            }
-        }
+        messageId = messageData.key?.id || null;
+        const messageBody = getWasenderMessageText(messageData);
+        const phoneNumber = getWasenderPhoneNumber(messageData.key, messageData.remoteJid);
 
         if (!phoneNumber) {
             console.error('Could not extract phone number from webhook:', req.body);
@@ -116,16 +256,30 @@ router.post('/wasender', async (req, res) => {
             });
         }
 
+        // Wasender may deliver the same message more than once - acknowledge repeats without replying again
+        if (!await idempotencyService.markProcessed('wasender', messageId, phoneNumber)) {
+            console.log(`Ignoring duplicate Wasender message ${messageId} from ${phoneNumber}`);
+            return res.status(200).json({ 
+                success: true, 
+                message: 'Duplicate message ignored' 
+            });
+        }
+
         console.log(`Received Wasender webhook message from ${phoneNumber}: ${messageBody}`);
+        messagingService.recordInbound(phoneNumber, 'whatsapp', { provider: 'wasender' });
+        await messageLogService.logInbound(phoneNumber, 'whatsapp', messageBody, 'wasender');
 
         // Process message through conversation service
         const responseMessage = await conversationService.processMessage(phoneNumber, messageBody);
 
-        // Send response via Wasender API (async, don't wait)
-        const wasenderService = require('../services/wasenderService');
-        wasenderService.sendMessage(phoneNumber, responseMessage).catch(err => {
-            console.error('Error sending response via Wasender:', err);
-        });
+        // Queue the response for Wasender API, failing over to the other providers (async, don't wait) -
+        // none for a rate-limited number that was already told
+        if (responseMessage !== null) {
+            outboundQueueService.enqueue(phoneNumber, responseMessage, 'wasender').catch(err => {
+                console.error('Error queuing response via Wasender:', err);
+            });
+            await messageLogService.logOutbound(phoneNumber, 'whatsapp', responseMessage, 'wasender');
+        }
 
         // Return success response to webhook
         res.status(200).json({ 
@@ -134,6 +288,39 @@ router.post('/wasender', async (req, res) => {
         });
     } catch (error) {
         console.error('Error in Wasender webhook:', error);
+        await idempotencyService.forget('wasender', messageId);
+        res.status(500).json({ 
+            error: 'Internal server error',
+            message: error.message 
+        });
+    }
+});
+
+/**
+ * POST /webhook/payment
+ * Payment provider callback endpoint for mobile money payment outcomes
+ */
+router.post('/payment', rateLimitService.webhookIpMiddleware(), webhookAuthService.middleware('payment'), async (req, res) => {
+    try {
+        const result = paymentService.parseCallback(req.body);
+        
+        console.log(`Received payment callback for ${result.reference}: ${result.status}`);
+        
+        const matched = await conversationService.handlePaymentCallback(result);
+        
+        // Always acknowledge so the provider doesn't keep retrying
+        res.status(200).json({ 
+            success: true, 
+            message: matched ? 'Payment processed' : 'No pending payment for reference' 
+        });
+    } catch (error) {
+        if (error.type === 'mismatch') {
+            return res.status(400).json({ 
+                error: 'Payment does not match the pending transaction',
+                message: error.message 
+            });
+        }
+        console.error('Error in payment webhook:', error);
         res.status(500).json({ 
             error: 'Internal server error',
             message: error.message 
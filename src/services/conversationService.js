@@ -5,225 +5,454 @@
 const { v4: uuidv4 } = require('uuid');
 const dbService = require('./dbService');
 const ecgService = require('./ecgService');
-const twilioService = require('./twilioService');
+const messagingService = require('./messagingService');
+const paymentService = require('./paymentService');
+const rateLimitService = require('./rateLimitService');
+const Transaction = require('../models/transaction');
+const InteractiveMessage = require('../models/interactiveMessage');
 const MessageFormatter = require('../utils/messageFormatter');
+const AmountParser = require('../utils/amountParser');
+const InputValidator = require('../utils/inputValidator');
+const ReceiptGenerator = require('../utils/receiptGenerator');
+const IntentParser = require('../utils/intentParser');
+const I18n = require('../utils/i18n');
+const KeyedLock = require('../utils/keyedLock');
+const FlowEngine = require('./flowEngine');
+const createMenuFlow = require('../flows/menuFlow');
+const createPurchaseFlow = require('../flows/purchaseFlow');
+const createChargeStatusFlow = require('../flows/chargeStatusFlow');
+const createLanguageFlow = require('../flows/languageFlow');
+const createCommands = require('../flows/commands');
 
 class ConversationService {
     // Conversation states
     static STATES = {
         MENU: 'MENU',
+        SELECT_SAVED_METER: 'SELECT_SAVED_METER',
         PREPAID_METER_INFO: 'PREPAID_METER_INFO',
         POSTPAID_METER_INFO: 'POSTPAID_METER_INFO',
         PREPAID_ENQUIRY: 'PREPAID_ENQUIRY',
         POSTPAID_ENQUIRY: 'POSTPAID_ENQUIRY',
-        CONFIRM_CHARGE: 'CONFIRM_CHARGE'
+        ENTER_AMOUNT: 'ENTER_AMOUNT',
+        CONFIRM_CHARGE: 'CONFIRM_CHARGE',
+        AWAITING_PAYMENT: 'AWAITING_PAYMENT',
+        CHARGE_PROCESSING: 'CHARGE_PROCESSING',
+        CHARGE_STATUS: 'CHARGE_STATUS',
+        REVIEW_METER_INFO: 'REVIEW_METER_INFO',
+        SELECT_LANGUAGE: 'SELECT_LANGUAGE'
     };
 
+    // Number of recent charges listed in the Charge Status menu
+    static MAX_CHARGE_HISTORY = 5;
+
     // Field collection order for meter info
-    static METER_INFO_FIELDS = [
-        { key: 'phoneNumber', label: 'Phone Number', required: true },
-        { key: 'meterNumber', label: 'Meter Number', required: true },
-        { key: 'accountNumber', label: 'Account Number', required: false }
-    ];
+    static METER_INFO_FIELDS = createPurchaseFlow.METER_INFO_FIELDS;
+
+    // Messages from one number that may wait while an earlier one is handled; more get "still processing"
+    static MAX_QUEUED_MESSAGES = 3;
+
+    // Status checks made for a charge ECG is still processing, and the wait before each
+    static CHARGE_STATUS_CHECKS = 3;
+    static CHARGE_STATUS_CHECK_DELAY_MS = 5000;
+
+    constructor() {
+        // Messages (and payment callbacks) for the same phone number are handled one at a time
+        this.phoneLock = new KeyedLock(ConversationService.MAX_QUEUED_MESSAGES);
+        
+        // Background enquiry/charge running per session: sessionId -> { operation, startedAt }
+        this.asyncOperations = new Map();
+        
+
+        // Conversation flows are defined declaratively in src/flows and run by the flow engine
+        this.engine = new FlowEngine();
+        this.engine.registerFlow(createMenuFlow(this));
+        this.engine.registerFlow(createPurchaseFlow(this));
+        this.engine.registerFlow(createChargeStatusFlow(this));
+        this.engine.registerFlow(createLanguageFlow(this));
+        createCommands(this).forEach(command => this.engine.registerCommand(command));
+    }
 
     /**
      * Process incoming message
      * @param {string} phoneNumber - User's phone number
      * @param {string} message - User's message
-     * @returns {Promise<string>} - Response message
+     * @returns {Promise<string|InteractiveMessage|null>} - Response message (interactive messages carry
+     *          list/button options; use InteractiveMessage.toText for text-only channels), or null when the
+     *          number is over its rate limit and has already been told to slow down
      */
     async processMessage(phoneNumber, message) {
-        try {
-            // Get or create session
-            const session = await dbService.getOrCreateSession(phoneNumber);
-            
-            // Handle cancel commands - create new session
-            const upperMessage = message.trim().toUpperCase();
-            const cancelKeywords = ['CANCEL', 'STOP', 'END', 'QUIT', 'EXIT', 'ABORT'];
-            if (cancelKeywords.includes(upperMessage)) {
-                // Delete old session and create a fresh one
-                await dbService.deleteSession(session.id);
-                const newSession = await dbService.getOrCreateSession(phoneNumber);
-                return MessageFormatter.formatCancellationWithMenu(newSession.id);
+        // Numbers sending too fast are told once per window, then ignored until the window frees up
+        const limit = rateLimitService.limitPhone(phoneNumber);
+        if (!limit.allowed) {
+            if (!limit.firstRejection) {
+                return null;
             }
-            
-            // Handle menu reset commands
-            if (upperMessage === 'MENU' || upperMessage === 'RESET') {
-                const resetSession = await dbService.resetSession(session.id);
-                if (resetSession) {
-                    return MessageFormatter.formatMenu(resetSession.id);
-                } else {
-                    // Session was deleted, create new one
-                    const newSession = await dbService.getOrCreateSession(phoneNumber);
-                    return MessageFormatter.formatMenu(newSession.id);
-                }
+            return I18n.run(await this.getUserLanguage(phoneNumber), () =>
+                MessageFormatter.formatRateLimited('rateLimit.messages', limit.retryAfterMs)
+            );
+        }
+
+        try {
+            // One message per phone number at a time, so repeated or retried messages
+            // can't start the same enquiry or payment twice
+            return await this.phoneLock.run(phoneNumber, () => this._processMessage(phoneNumber, message));
+        } catch (error) {
+            if (error.type !== 'busy') {
+                throw error;
             }
+            console.warn(`Too many messages queued for ${phoneNumber}, answering "still processing"`);
+            return I18n.run(await this.getUserLanguage(phoneNumber), () =>
+                MessageFormatter.formatProcessing(I18n.t('processing.stillProcessing'))
+            );
+        }
+    }
 
-            // Route based on current state
-            switch (session.currentState) {
-                case ConversationService.STATES.MENU:
-                    return await this.handleMenu(session, message);
+    /**
+     * Process one message while holding the phone number's lock
+     * @private
+     * @param {string} phoneNumber - User's phone number
+     * @param {string} message - User's message
+     * @returns {Promise<string|InteractiveMessage>} - Response message
+     */
+    async _processMessage(phoneNumber, message) {
+        const language = await this.getUserLanguage(phoneNumber);
+
+        // Replies (including async follow-ups started from here) use the user's language
+        return await I18n.run(language, async () => {
+            try {
+                // Get or create session
+                const session = await dbService.getOrCreateSession(phoneNumber);
+
+                // First contact - ask which language to use before anything else
+                if (!language && session.currentState !== ConversationService.STATES.SELECT_LANGUAGE) {
+                    return await this.engine.enter(session, ConversationService.STATES.SELECT_LANGUAGE);
+                }
                 
-                case ConversationService.STATES.PREPAID_METER_INFO:
-                    return await this.handleMeterInfoCollection(session, message, 'PREPAID');
+                // Nothing else may happen until a running enquiry or charge has finished
+                const running = this.asyncOperations.get(session.id);
+                if (running) {
+                    return MessageFormatter.formatProcessing(I18n.t(
+                        running.operation === 'charge' ? 'processing.purchase' : 'processing.stillProcessing'
+                    ));
+                }
                 
-                case ConversationService.STATES.POSTPAID_METER_INFO:
-                    return await this.handleMeterInfoCollection(session, message, 'POSTPAID');
+                // Global commands, inactivity and routing based on current state
+                return await this.engine.handleMessage(session, message);
+            } catch (error) {
+                console.error('Error processing message:', error);
                 
-                case ConversationService.STATES.PREPAID_ENQUIRY:
-                case ConversationService.STATES.POSTPAID_ENQUIRY:
-                    return await this.handleEnquiryProcessing(session, message);
+                // Check if this is a database configuration error
+                if (error.message && error.message.includes('DATABASE_URL')) {
+                    console.error('⚠️  Database configuration error detected. Please set DATABASE_URL in your .env file.');
+                    return MessageFormatter.formatError(I18n.t('error.unavailable'));
+                }
                 
-                case ConversationService.STATES.CONFIRM_CHARGE:
-                    return await this.handleChargeConfirmation(session, message);
+                // Check if this is a backend API configuration error
+                if (error.message && error.message.includes('BACKEND_BASE_URL')) {
+                    console.error('⚠️  Backend API configuration error detected. Please set BACKEND_BASE_URL in your .env file.');
+                    return MessageFormatter.formatError(I18n.t('error.unavailable'));
+                }
                 
-                default:
-                    const resetSession = await dbService.resetSession(session.id);
-                    if (resetSession) {
-                        return MessageFormatter.formatMenu(resetSession.id);
-                    } else {
-                        // Session was deleted, create new one
-                        const newSession = await dbService.getOrCreateSession(phoneNumber);
-                        return MessageFormatter.formatMenu(newSession.id);
-                    }
+                return MessageFormatter.formatError(I18n.t('error.unexpected'));
             }
+        });
+    }
+
+    /**
+     * Get the language a user has chosen
+     * @param {string} phoneNumber - User's phone number
+     * @returns {Promise<string|null>} - Language code, or null if the user has not chosen one
+     *          (or chose one that is no longer offered, so they are asked again)
+     */
+    async getUserLanguage(phoneNumber) {
+        try {
+            const language = await dbService.getUserLanguage(phoneNumber);
+            return I18n.isSupported(language) ? language : null;
         } catch (error) {
-            console.error('Error processing message:', error);
-            
-            // Check if this is a database configuration error
-            if (error.message && error.message.includes('DATABASE_URL')) {
-                console.error('⚠️  Database configuration error detected. Please set DATABASE_URL in your .env file.');
-                return MessageFormatter.formatError('Service is temporarily unavailable. Please contact support or try again later.');
-            }
-            
-            // Check if this is a backend API configuration error
-            if (error.message && error.message.includes('BACKEND_BASE_URL')) {
-                console.error('⚠️  Backend API configuration error detected. Please set BACKEND_BASE_URL in your .env file.');
-                return MessageFormatter.formatError('Service is temporarily unavailable. Please contact support or try again later.');
-            }
-            
-            return MessageFormatter.formatError('An unexpected error occurred. Please try again.');
+            console.error('Error getting user language:', error);
+            return null;
         }
     }
 
     /**
-     * Handle menu selection
+     * Handle a language picked from the language menu
      * @param {object} session - User session
-     * @param {string} message - User message
+     * @param {string} message - User message (list number or language name)
      * @returns {Promise<string>} - Response message
      */
-    async handleMenu(session, message) {
-        const choice = message.trim();
-        
-        switch (choice) {
-            case '1':
-                // Prepaid
-                await dbService.updateSession(session.id, ConversationService.STATES.PREPAID_METER_INFO, {
-                    meterType: 'Prepaid',
-                    currentFieldIndex: 0
-                });
-                return MessageFormatter.formatMeterInfoPrompt(
-                    ConversationService.METER_INFO_FIELDS[0].label,
-                    !ConversationService.METER_INFO_FIELDS[0].required
-                );
-            
-            case '2':
-                // Postpaid
-                await dbService.updateSession(session.id, ConversationService.STATES.POSTPAID_METER_INFO, {
-                    meterType: 'Postpaid',
-                    currentFieldIndex: 0
-                });
-                return MessageFormatter.formatMeterInfoPrompt(
-                    ConversationService.METER_INFO_FIELDS[0].label,
-                    !ConversationService.METER_INFO_FIELDS[0].required
-                );
-            
-            case '3':
-                // Charge Status (to be implemented)
-                return `*Charge Status*
+    async handleLanguageSelection(session, message) {
+        const language = I18n.resolveLanguage(message);
+        if (!language) {
+            return MessageFormatter.formatLanguageMenu();
+        }
 
-                This feature is coming soon. Please select another option:
-                1️⃣ Prepaid
-                2️⃣ Postpaid`;
-            
-            case '4':
-                // Open Web Version - return menu with clickable URL
-                return MessageFormatter.formatMenu(session.id);
-            
-            default:
-                return MessageFormatter.formatMenu(session.id);
+        await this._saveLanguage(session, language);
+        return MessageFormatter.formatLanguageChanged(await this.engine.reset(session));
+    }
+
+    /**
+     * Handle LANG command - show the language menu, or switch straight away with LANG <language>
+     * @param {object} session - User session
+     * @param {string} argument - Language after LANG (optional)
+     * @returns {Promise<string>} - Response message
+     */
+    async handleLanguageCommand(session, argument) {
+        const language = I18n.resolveLanguage(argument);
+        if (!language) {
+            return await this.engine.enter(session, ConversationService.STATES.SELECT_LANGUAGE);
         }
+
+        await this._saveLanguage(session, language);
+
+        // Carry on with the current step in the new language
+        const nextMessage = session.currentState === ConversationService.STATES.SELECT_LANGUAGE
+            ? await this.engine.reset(session)
+            : await this.engine.prompt(session);
+        return MessageFormatter.formatLanguageChanged(nextMessage);
     }
 
     /**
-     * Handle meter info collection step by step
+     * Store a user's language and use it for the rest of this conversation turn
+     * @private
+     * @param {object} session - User session
+     * @param {string} language - Language code
+     */
+    async _saveLanguage(session, language) {
+        await dbService.setUserLanguage(session.phoneNumber, language);
+        I18n.setLanguage(language);
+        console.log(`Language for ${session.phoneNumber} set to ${language}`);
+    }
+
+    /**
+     * Offer saved meters of the chosen type, or start manual meter info entry
+     * @private
      * @param {object} session - User session
-     * @param {string} message - User message
      * @param {string} type - PREPAID or POSTPAID
+     * @param {object} prefill - Details already known, e.g. presetAmount or phoneNumber (optional)
      * @returns {Promise<string>} - Response message
      */
-    async handleMeterInfoCollection(session, message, type) {
-        const upperMessage = message.trim().toUpperCase();
+    async _startMeterSelection(session, type, prefill = {}) {
+        const meterType = type === 'PREPAID' ? 'Prepaid' : 'Postpaid';
         
-        // Check for cancel keywords
-        const cancelKeywords = ['CANCEL', 'STOP', 'END', 'QUIT', 'EXIT', 'ABORT'];
-        if (cancelKeywords.includes(upperMessage)) {
-            await dbService.deleteSession(session.id);
-            const newSession = await dbService.getOrCreateSession(session.phoneNumber);
-            return MessageFormatter.formatCancellationWithMenu(newSession.id);
+        const savedMeters = await dbService.getSavedMeters(session.phoneNumber, meterType);
+        if (savedMeters.length > 0) {
+            await dbService.updateSession(session.id, ConversationService.STATES.SELECT_SAVED_METER, {
+                ...prefill,
+                meterType: meterType,
+                currentFieldIndex: 0
+            });
+            return MessageFormatter.formatSavedMeterChoices(savedMeters, meterType);
         }
         
+        return await this._startMeterInfoCollection(session, type, prefill);
+    }
+
+    /**
+     * Start manual meter info entry from the first field that is not already known
+     * @private
+     * @param {object} session - User session
+     * @param {string} type - PREPAID or POSTPAID
+     * @param {object} prefill - Details already known, e.g. presetAmount or phoneNumber (optional)
+     * @returns {Promise<string>} - Response message
+     */
+    async _startMeterInfoCollection(session, type, prefill = {}) {
+        // Details understood from free text at the menu are kept in the session data
+        const known = { ...(session.sessionData || {}), ...prefill };
+        const firstMissing = ConversationService.METER_INFO_FIELDS.findIndex(field => !known[field.key]);
+        
+        return await this.engine.enter(session,
+            type === 'PREPAID' ? ConversationService.STATES.PREPAID_METER_INFO : ConversationService.STATES.POSTPAID_METER_INFO,
+            {
+                ...prefill,
+                meterType: type === 'PREPAID' ? 'Prepaid' : 'Postpaid',
+                currentFieldIndex: Math.max(firstMissing, 0)
+            }
+        );
+    }
+
+    /**
+     * Handle choice between saved meters and manual entry
+     * @param {object} session - User session
+     * @param {string} message - User message
+     * @returns {Promise<string>} - Response message
+     */
+    async handleSavedMeterSelection(session, message) {
+        const choice = message.trim().toUpperCase();
+        
         const sessionData = session.sessionData || {};
-        let currentFieldIndex = sessionData.currentFieldIndex || 0;
+        const meterType = sessionData.meterType || 'Prepaid';
+        const type = meterType.toUpperCase();
         
-        // Handle SKIP for optional fields
-        if (upperMessage === 'SKIP' && !ConversationService.METER_INFO_FIELDS[currentFieldIndex].required) {
-            currentFieldIndex++;
-        } else {
-            // Store the field value
-            const field = ConversationService.METER_INFO_FIELDS[currentFieldIndex];
-            sessionData[field.key] = message.trim();
-            currentFieldIndex++;
+        if (choice === '0' || choice === 'NEW') {
+            return await this._startMeterInfoCollection(session, type);
+        }
+        
+        const savedMeters = await dbService.getSavedMeters(session.phoneNumber, meterType);
+        const meter = /^\d+$/.test(choice) ? savedMeters[parseInt(choice) - 1] : null;
+        
+        if (!meter) {
+            if (savedMeters.length === 0) {
+                return await this._startMeterInfoCollection(session, type);
+            }
+            return MessageFormatter.formatSavedMeterChoices(savedMeters, meterType);
         }
+        
+        sessionData.phoneNumber = meter.mobileNumber;
+        sessionData.meterNumber = meter.meterNumber;
+        sessionData.accountNumber = meter.accountNumber || undefined;
+        sessionData.currentFieldIndex = ConversationService.METER_INFO_FIELDS.length;
+        
+        return await this._startEnquiry(session, sessionData, type);
+    }
 
-        // Check if all required fields are collected
-        if (currentFieldIndex >= ConversationService.METER_INFO_FIELDS.length) {
-            // All fields collected, proceed to API calls
-            sessionData.currentFieldIndex = currentFieldIndex;
-            
-            // Generate new asyncRequestId for this enquiry/purchase process
-            // This ID will be used throughout: enquiry, payment, charge, and status check
-            sessionData.asyncRequestId = uuidv4();
-            console.log('Generated new asyncRequestId:', sessionData.asyncRequestId);
-            
-            await dbService.updateSession(session.id, 
-                type === 'PREPAID' ? ConversationService.STATES.PREPAID_ENQUIRY : ConversationService.STATES.POSTPAID_ENQUIRY,
-                sessionData
-            );
-            
-            // Start processing enquiry asynchronously (don't await - return processing message immediately)
-            this.processEnquiryAsync(session.phoneNumber, session.id, type);
-            
-            // Return processing message immediately
-            return MessageFormatter.formatProcessing('Processing your request');
+    /**
+     * Handle MY METERS command
+     * @param {object} session - User session
+     * @returns {Promise<string>} - Response message
+     */
+    async handleMyMeters(session) {
+        const savedMeters = await dbService.getSavedMeters(session.phoneNumber);
+        return MessageFormatter.formatSavedMeters(savedMeters);
+    }
+
+    /**
+     * Handle SAVE AS <nickname> command
+     * Names the meter in the current session, or the most recently used meter
+     * @param {object} session - User session
+     * @param {string} nickname - Requested nickname
+     * @returns {Promise<string>} - Response message
+     */
+    async handleSaveMeter(session, nickname) {
+        const name = nickname.trim().toUpperCase();
+        
+        if (!/^[A-Z][A-Z0-9 _-]{0,19}$/.test(name)) {
+            return MessageFormatter.formatError(I18n.t('savedMeters.invalidNickname'));
+        }
+        
+        const currentMeterNumber = (session.sessionData || {}).meterNumber;
+        let meter = currentMeterNumber
+            ? await dbService.findSavedMeter(session.phoneNumber, currentMeterNumber)
+            : null;
+        if (!meter) {
+            const savedMeters = await dbService.getSavedMeters(session.phoneNumber);
+            meter = savedMeters[0] || null;
+        }
+        
+        if (!meter) {
+            return MessageFormatter.formatError(I18n.t('savedMeters.nothingToSave'));
+        }
+        
+        const updated = await dbService.setMeterNickname(meter.id, name);
+        if (!updated) {
+            return MessageFormatter.formatError(I18n.t('savedMeters.nicknameTaken', { name }));
+        }
+        
+        return MessageFormatter.formatMeterSaved(updated);
+    }
+
+    /**
+     * Handle REMOVE <nickname> command
+     * @param {object} session - User session
+     * @param {string} nicknameOrNumber - Nickname or meter number to remove
+     * @returns {Promise<string>} - Response message
+     */
+    async handleRemoveMeter(session, nicknameOrNumber) {
+        const meter = await dbService.findSavedMeter(session.phoneNumber, nicknameOrNumber.trim());
+        
+        if (!meter) {
+            return MessageFormatter.formatError(I18n.t('savedMeters.notFound', { name: nicknameOrNumber.trim() }));
+        }
+        
+        await dbService.removeSavedMeter(meter.id);
+        return MessageFormatter.formatMeterRemoved(meter);
+    }
+
+    /**
+     * Handle RECEIPT <ref> / LAST RECEIPT - resend the receipt of a completed purchase
+     * @param {object} session - User session
+     * @param {string} reference - Receipt number or transaction reference (empty for the last receipt)
+     * @returns {Promise<string>} - Response message
+     */
+    async handleReceipt(session, reference) {
+        reference = reference.trim();
+        let transaction;
+
+        if (reference) {
+            transaction = await dbService.getTransactionByReference(session.phoneNumber, reference);
         } else {
-            // Ask for next field
-            sessionData.currentFieldIndex = currentFieldIndex;
-            const nextField = ConversationService.METER_INFO_FIELDS[currentFieldIndex];
-            await dbService.updateSession(session.id, 
-                type === 'PREPAID' ? ConversationService.STATES.PREPAID_METER_INFO : ConversationService.STATES.POSTPAID_METER_INFO,
-                sessionData
-            );
-            
-            return MessageFormatter.formatMeterInfoPrompt(
-                nextField.label,
-                !nextField.required
-            );
+            const transactions = await dbService.getTransactionsByPhoneNumber(session.phoneNumber, {
+                limit: 1,
+                status: Transaction.STATUSES.SUCCESSFUL
+            });
+            transaction = transactions[0];
         }
+
+        if (!transaction || transaction.status !== Transaction.STATUSES.SUCCESSFUL) {
+            return MessageFormatter.formatReceiptNotFound(reference);
+        }
+
+        return MessageFormatter.formatReceipt(transaction);
+    }
+
+    /**
+     * Start the meter info + enquiry calls for the collected meter details
+     * @private
+     * @param {object} session - User session
+     * @param {object} sessionData - Session data with phoneNumber, meterNumber and accountNumber
+     * @param {string|null} type - PREPAID, POSTPAID, or null if not known until MeterInfo returns
+     * @returns {Promise<string>} - Response message
+     */
+    async _startEnquiry(session, sessionData, type) {
+        // Every enquiry costs ECG API calls, so they are limited per number and per meter
+        const limit = rateLimitService.limitEnquiry(session.phoneNumber, sessionData.meterNumber || sessionData.accountNumber);
+        if (!limit.allowed) {
+            return MessageFormatter.formatRateLimited('rateLimit.enquiries', limit.retryAfterMs);
+        }
+        
+        // Generate new asyncRequestId for this enquiry/purchase process
+        // This ID will be used throughout: enquiry, payment, charge, and status check
+        sessionData.asyncRequestId = uuidv4();
+        console.log('Generated new asyncRequestId:', sessionData.asyncRequestId);
+        
+        await dbService.updateSession(session.id, 
+            type === 'PREPAID' ? ConversationService.STATES.PREPAID_ENQUIRY : ConversationService.STATES.POSTPAID_ENQUIRY,
+            sessionData
+        );
+        
+        // Start processing enquiry asynchronously (don't await - return processing message immediately)
+        if (!this._startAsyncOperation(session.id, 'enquiry', () => this.processEnquiryAsync(session.phoneNumber, session.id, type))) {
+            return MessageFormatter.formatProcessing(I18n.t('processing.stillProcessing'));
+        }
+        
+        // Return processing message immediately
+        return MessageFormatter.formatProcessing(I18n.t('processing.default'));
     }
 
     /**
-     * Process enquiry asynchronously (sends messages via Twilio REST API)
+     * Start a background enquiry or charge unless one is already running for the session
+     * @private
+     * @param {string} sessionId - Session ID
+     * @param {string} operation - enquiry or charge
+     * @param {function(): Promise<void>} task - Background work (handles its own errors)
+     * @returns {boolean} - False if another operation is still running
+     */
+    _startAsyncOperation(sessionId, operation, task) {
+        const running = this.asyncOperations.get(sessionId);
+        if (running) {
+            console.warn(`Not starting ${operation} for session ${sessionId}: ${running.operation} still running`);
+            return false;
+        }
+        
+        this.asyncOperations.set(sessionId, { operation, startedAt: new Date().toISOString() });
+        Promise.resolve()
+            .then(task)
+            .catch((error) => console.error(`Error in ${operation} for session ${sessionId}:`, error))
+            .finally(() => this.asyncOperations.delete(sessionId));
+        return true;
+    }
+
+    /**
+     * Process enquiry asynchronously (sends messages on the user's channels via the messaging service)
      * @param {string} phoneNumber - User's phone number
      * @param {string} sessionId - Session ID
      * @param {string} type - PREPAID or POSTPAID
@@ -232,19 +461,20 @@ class ConversationService {
         try {
             const session = await dbService.getSessionById(sessionId);
             if (!session) {
-                await twilioService.sendMessage(phoneNumber, MessageFormatter.formatError('Session not found'));
+                await messagingService.send(phoneNumber, MessageFormatter.formatError(I18n.t('error.sessionNotFound')));
                 return;
             }
 
             const sessionData = session.sessionData || {};
             
             // Determine meter type - use sessionData.meterType (set from menu selection: 'Prepaid' or 'Postpaid')
-            // Fallback to converting type parameter if not set
-            const meterType = sessionData.meterType || (type === 'PREPAID' ? 'Prepaid' : 'Postpaid');
+            // Fallback to converting type parameter if not set; a quick purchase of an unsaved meter
+            // leaves it empty and takes it from the MeterInfo response below
+            let meterType = sessionData.meterType || (type === 'PREPAID' ? 'Prepaid' : type === 'POSTPAID' ? 'Postpaid' : '');
             
             // Send message: Retrieving meter information
             console.log(`Sending "Retrieving meter information" to ${phoneNumber}`);
-            await twilioService.sendMessage(phoneNumber, MessageFormatter.formatProcessing('Retrieving meter information'));
+            await messagingService.send(phoneNumber, MessageFormatter.formatProcessing(I18n.t('processing.meterInfo')));
             
             // Call MeterInfo API
             let meterInfoResponse;
@@ -264,11 +494,11 @@ class ConversationService {
                 }
                 
                 if (error.type === 'timeout') {
-                    await twilioService.sendMessage(phoneNumber, MessageFormatter.formatTimeoutError());
+                    await messagingService.send(phoneNumber, MessageFormatter.formatTimeoutError());
                 } else if (error.type === 'connection') {
-                    await twilioService.sendMessage(phoneNumber, MessageFormatter.formatConnectionError());
+                    await messagingService.send(phoneNumber, MessageFormatter.formatConnectionError());
                 } else {
-                    await twilioService.sendMessage(phoneNumber, MessageFormatter.formatError('Failed to retrieve meter information. Please check your details and try again.'));
+                    await messagingService.send(phoneNumber, MessageFormatter.formatError(I18n.t('error.meterInfoFailed')));
                 }
                 return;
             }
@@ -279,7 +509,7 @@ class ConversationService {
                 if (session) {
                     await dbService.resetSession(sessionId);
                 }
-                await twilioService.sendMessage(phoneNumber, MessageFormatter.formatError('Failed to retrieve meter information. Please check your details and try again.'));
+                await messagingService.send(phoneNumber, MessageFormatter.formatError(I18n.t('error.meterInfoFailed')));
                 return;
             }
 
@@ -287,10 +517,14 @@ class ConversationService {
             
             // Store meter info in session
             sessionData.meterInfo = meterInfoResponse;
+            if (!meterType && payload.meterType) {
+                meterType = /post/i.test(payload.meterType) ? 'Postpaid' : 'Prepaid';
+                sessionData.meterType = meterType;
+            }
             
             // Send message: Processing account enquiry
             console.log(`Sending "Processing account enquiry" to ${phoneNumber}`);
-            await twilioService.sendMessage(phoneNumber, MessageFormatter.formatProcessing('Processing account enquiry'));
+            await messagingService.send(phoneNumber, MessageFormatter.formatProcessing(I18n.t('processing.enquiry')));
             
             // Call Enquiry API
             
@@ -316,11 +550,11 @@ class ConversationService {
                 }
                 
                 if (error.type === 'timeout') {
-                    await twilioService.sendMessage(phoneNumber, MessageFormatter.formatTimeoutError());
+                    await messagingService.send(phoneNumber, MessageFormatter.formatTimeoutError());
                 } else if (error.type === 'connection') {
-                    await twilioService.sendMessage(phoneNumber, MessageFormatter.formatConnectionError());
+                    await messagingService.send(phoneNumber, MessageFormatter.formatConnectionError());
                 } else {
-                    await twilioService.sendMessage(phoneNumber, MessageFormatter.formatError('Failed to retrieve account enquiry. Please try again.'));
+                    await messagingService.send(phoneNumber, MessageFormatter.formatError(I18n.t('error.enquiryFailed')));
                 }
                 return;
             }
@@ -331,18 +565,60 @@ class ConversationService {
                 if (session) {
                     await dbService.resetSession(sessionId);
                 }
-                await twilioService.sendMessage(phoneNumber, MessageFormatter.formatError('Failed to retrieve account enquiry. Please try again.'));
+                await messagingService.send(phoneNumber, MessageFormatter.formatError(I18n.t('error.enquiryFailed')));
                 return;
             }
 
-            // Store enquiry response
+            // Record the purchase in the ledger
+            const enquiryDatum = enquiryResponse.data[0];
+            await dbService.createTransaction({
+                asyncRequestId: sessionData.asyncRequestId,
+                phoneNumber: phoneNumber,
+                mobileNumber: sessionData.phoneNumber,
+                meterNumber: sessionData.meterNumber || payload.meterNumber,
+                accountNumber: sessionData.accountNumber || enquiryDatum.accountNumber,
+                type: meterType,
+                customerName: enquiryDatum.customerName,
+                ecgReferenceId: payload.meterId,
+                enquiryResponse: enquiryResponse
+            });
+
+            // Remember the meter for this WhatsApp number
+            const savedMeter = await dbService.saveMeter({
+                phoneNumber: phoneNumber,
+                meterType: meterType,
+                mobileNumber: sessionData.phoneNumber,
+                meterNumber: sessionData.meterNumber || payload.meterNumber,
+                accountNumber: sessionData.accountNumber || enquiryDatum.accountNumber,
+                customerName: enquiryDatum.customerName
+            });
+
             sessionData.enquiryResponse = enquiryResponse;
-            await dbService.updateSession(sessionId, ConversationService.STATES.CONFIRM_CHARGE, sessionData);
 
-            // Send enquiry response
-            const enquiryMessage = MessageFormatter.formatEnquiryResponse(enquiryResponse);
+            let enquiryMessage;
+            const presetAmountError = sessionData.presetAmount
+                ? this._validateAmount(sessionData.presetAmount, enquiryDatum)
+                : null;
+
+            if (sessionData.presetAmount && !presetAmountError) {
+                // Quick purchase - amount already given, go straight to confirmation
+                sessionData.amount = sessionData.presetAmount;
+                await dbService.updateSession(sessionId, ConversationService.STATES.CONFIRM_CHARGE, sessionData);
+                enquiryMessage = MessageFormatter.formatChargeConfirmation(this._getConfirmationDetails(sessionData));
+            } else {
+                // Store enquiry response and ask for the amount to buy
+                await dbService.updateSession(sessionId, ConversationService.STATES.ENTER_AMOUNT, sessionData);
+                enquiryMessage = MessageFormatter.formatEnquiryResponse(enquiryResponse);
+                if (presetAmountError) {
+                    enquiryMessage = InteractiveMessage.combine(`⚠️ ${presetAmountError}`, enquiryMessage);
+                }
+            }
+
+            if (!savedMeter.nickname) {
+                enquiryMessage = InteractiveMessage.combine(enquiryMessage, MessageFormatter.formatSaveMeterTip());
+            }
             console.log(`Sending enquiry response to ${phoneNumber}`);
-            const sendResult = await twilioService.sendMessage(phoneNumber, enquiryMessage);
+            const sendResult = await messagingService.send(phoneNumber, enquiryMessage);
             if (sendResult) {
                 console.log(`Enquiry response sent successfully to ${phoneNumber}`);
             } else {
@@ -357,7 +633,7 @@ class ConversationService {
             }
             // Only send error message if session exists (user might have cancelled)
             if (session) {
-                await twilioService.sendMessage(phoneNumber, MessageFormatter.formatError('An error occurred while processing your request. Please try again.'));
+                await messagingService.send(phoneNumber, MessageFormatter.formatError(I18n.t('error.requestFailed')));
             }
         }
     }
@@ -365,24 +641,13 @@ class ConversationService {
     /**
      * Handle enquiry processing state (fallback)
      * @param {object} session - User session
-     * @param {string} message - User message
      * @returns {Promise<string>} - Response message
      */
-    async handleEnquiryProcessing(session, message) {
-        const upperMessage = message.trim().toUpperCase();
-        
-        // Check for cancel keywords
-        const cancelKeywords = ['CANCEL', 'STOP', 'END', 'QUIT', 'EXIT', 'ABORT'];
-        if (cancelKeywords.includes(upperMessage)) {
-            await dbService.deleteSession(session.id);
-            const newSession = await dbService.getOrCreateSession(session.phoneNumber);
-            return MessageFormatter.formatCancellationWithMenu(newSession.id);
-        }
-        
-        // Check if enquiry has completed - if session state changed to CONFIRM_CHARGE, 
+    async handleEnquiryProcessing(session) {
+        // Check if enquiry has completed - if session state changed to ENTER_AMOUNT, 
         // it means enquiry completed successfully
         const currentSession = await dbService.getSessionById(session.id);
-        if (currentSession && currentSession.currentState === ConversationService.STATES.CONFIRM_CHARGE) {
+        if (currentSession && currentSession.currentState === ConversationService.STATES.ENTER_AMOUNT) {
             // Enquiry completed, return the enquiry response
             const sessionData = currentSession.sessionData || {};
             if (sessionData.enquiryResponse) {
@@ -392,35 +657,758 @@ class ConversationService {
         
         // If we're still in enquiry processing, wait for it to complete
         // This is a fallback in case user sends a message while processing
-        return MessageFormatter.formatProcessing('Your request is still being processed');
+        return MessageFormatter.formatProcessing(I18n.t('processing.stillProcessing'));
     }
 
     /**
-     * Handle charge confirmation
+     * Handle charge status lookup (pick a recent charge or type a reference)
+     * Only this number's own purchases can be looked up, so nobody can read another user's charge or token
      * @param {object} session - User session
      * @param {string} message - User message
      * @returns {Promise<string>} - Response message
      */
-    async handleChargeConfirmation(session, message) {
-        const upperMessage = message.trim().toUpperCase();
+    async handleChargeStatus(session, message) {
+        const trimmed = message.trim();
         
-        // Check for cancel keywords first
-        const cancelKeywords = ['CANCEL', 'STOP', 'END', 'QUIT', 'EXIT', 'ABORT'];
-        if (cancelKeywords.includes(upperMessage)) {
-            await dbService.deleteSession(session.id);
-            const newSession = await dbService.getOrCreateSession(session.phoneNumber);
-            return MessageFormatter.formatCancellationWithMenu(newSession.id);
+        const recentCharges = await this._getRecentCharges(session.phoneNumber);
+        
+        let charge = null;
+        if (/^\d{1,2}$/.test(trimmed)) {
+            charge = recentCharges[parseInt(trimmed) - 1] || null;
+        } else if (trimmed.length >= 8) {
+            charge = await dbService.getTransactionByReference(session.phoneNumber, trimmed);
         }
         
-        if (upperMessage === 'YES' || upperMessage === 'Y' || upperMessage === 'CONFIRM') {
-            // Charge endpoint will be implemented later
-            await dbService.resetSession(session.id);
-            return MessageFormatter.formatSuccess('Your charge request has been received. The charge endpoint will be implemented soon.');
-        } else if (upperMessage === 'NO' || upperMessage === 'N') {
+        if (!charge) {
+            return MessageFormatter.formatChargeStatusMenu(recentCharges);
+        }
+        
+        let statusResponse;
+        try {
+            statusResponse = await ecgService.getChargeStatus({ asyncRequestId: charge.asyncRequestId });
+        } catch (error) {
             await dbService.resetSession(session.id);
-            return MessageFormatter.formatCancellation();
+            if (error.type === 'timeout') {
+                return MessageFormatter.formatTimeoutError();
+            } else if (error.type === 'connection') {
+                return MessageFormatter.formatConnectionError();
+            }
+            return MessageFormatter.formatError(I18n.t('error.chargeStatusFailed'));
+        }
+        
+        const result = ecgService.parseChargeStatus(statusResponse);
+        
+        await dbService.resetSession(session.id);
+        
+        // Settle ledger entries whose outcome was unknown
+        if (result.status !== 'PENDING' && result.status !== charge.status) {
+            await dbService.updateTransactionStatus(charge.asyncRequestId, result.status, {
+                token: result.token || undefined,
+                receiptNumber: result.status === 'SUCCESSFUL' ? ReceiptGenerator.generateReceiptNumber(charge.asyncRequestId) : undefined,
+                ecgTransactionReference: result.reference || undefined,
+                failureReason: result.status === 'FAILED' ? result.reason : undefined
+            });
+        }
+        
+        return MessageFormatter.formatChargeStatus(result, charge);
+    }
+
+    /**
+     * Get a user's recent charge requests from the transactions ledger
+     * @private
+     * @param {string} phoneNumber - User's phone number
+     * @returns {Promise<Array<Transaction>>} - Recent charges, most recent first
+     */
+    async _getRecentCharges(phoneNumber) {
+        return dbService.getTransactionsByPhoneNumber(phoneNumber, {
+            limit: ConversationService.MAX_CHARGE_HISTORY,
+            chargesOnly: true
+        });
+    }
+
+    /**
+     * Handle amount entry after a successful enquiry
+     * @param {object} session - User session
+     * @param {string} message - User message
+     * @returns {Promise<string>} - Response message
+     */
+    async handleAmountEntry(session, message) {
+        const sessionData = session.sessionData || {};
+        const enquiryDatum = sessionData.enquiryResponse?.data?.[0] || {};
+        
+        const amount = AmountParser.parse(message);
+        const amountError = this._validateAmount(amount, enquiryDatum);
+        if (amountError) {
+            return MessageFormatter.formatAmountError(amountError, enquiryDatum.payMinAmount);
+        }
+        
+        await dbService.updateSession(session.id, ConversationService.STATES.CONFIRM_CHARGE, { amount });
+        
+        return MessageFormatter.formatChargeConfirmation(this._getConfirmationDetails({ ...sessionData, amount }));
+    }
+
+    /**
+     * Check an amount against the enquiry minimum and the configured maximum
+     * @private
+     * @param {number|null} amount - Parsed amount
+     * @param {object} enquiryDatum - First enquiry data item (for payMinAmount)
+     * @returns {string|null} - Reason the amount is not allowed, or null if it is valid
+     */
+    _validateAmount(amount, enquiryDatum = {}) {
+        const minAmount = parseFloat(enquiryDatum.payMinAmount) || 0;
+        const maxAmount = AmountParser.getMaxAmount();
+        
+        if (amount === null || amount === undefined) {
+            return I18n.t('amount.invalid');
+        }
+        if (amount < minAmount) {
+            return I18n.t('amount.belowMinimum', { amount: AmountParser.format(minAmount) });
+        }
+        if (amount > maxAmount) {
+            return I18n.t('amount.aboveMaximum', { amount: AmountParser.format(maxAmount) });
+        }
+        return null;
+    }
+
+    /**
+     * Handle BUY <amount> <nickname|meter number> from any state except while a payment is in progress
+     * Resolves the meter, runs meter info + enquiry and jumps straight to confirmation.
+     * Anything else after BUY is read as free text ("buy light for 30 cedis").
+     * @param {object} session - User session
+     * @param {string} args - Text after BUY
+     * @returns {Promise<string>} - Response message
+     */
+    async handleQuickBuy(session, args) {
+        // Starting over would abandon a debit prompt the customer can still approve
+        if (session.currentState === ConversationService.STATES.AWAITING_PAYMENT ||
+            session.currentState === ConversationService.STATES.CHARGE_PROCESSING) {
+            return await this.engine.prompt(session);
+        }
+        
+        const parts = args.trim().split(/\s+/).filter(Boolean);
+        
+        // Accept both "BUY 50 HOME" and "BUY HOME 50"
+        let amount = parts.length < 2 ? null : AmountParser.parse(parts[0]);
+        let target = parts.slice(1).join(' ');
+        if (amount === null && parts.length >= 2) {
+            amount = AmountParser.parse(parts[parts.length - 1]);
+            target = parts.slice(0, -1).join(' ');
+        }
+        
+        const savedMeter = amount !== null ? await dbService.findSavedMeter(session.phoneNumber, target) : null;
+        const meterValidation = InputValidator.validateMeterNumber(target);
+        
+        if (amount === null || (!savedMeter && !meterValidation.valid)) {
+            // Not the BUY <amount> <meter> form - read it as a sentence ("buy light for 30 cedis"),
+            // unless it was just an unknown nickname
+            const parsed = IntentParser.parse(`BUY ${args}`);
+            const isSentence = amount === null || parts.length > 2;
+            if (isSentence && (parsed.amount !== null || parsed.meterNumber || parsed.meterType)) {
+                const freshSession = await dbService.resetSession(session.id) || session;
+                return await this._startPurchaseFromIntent(freshSession, parsed);
+            }
+            return amount === null
+                ? MessageFormatter.formatQuickBuyUsage()
+                : MessageFormatter.formatError(I18n.t('savedMeters.notFoundOrNumber', { name: target }));
+        }
+        if (amount > AmountParser.getMaxAmount()) {
+            return MessageFormatter.formatError(I18n.t('amount.aboveMaximum', { amount: AmountParser.format(AmountParser.getMaxAmount()) }));
+        }
+        
+        let meterDetails;
+        if (savedMeter) {
+            meterDetails = {
+                meterType: savedMeter.meterType,
+                phoneNumber: savedMeter.mobileNumber,
+                meterNumber: savedMeter.meterNumber,
+                accountNumber: savedMeter.accountNumber || undefined
+            };
         } else {
-            return MessageFormatter.formatChargeConfirmation(session.sessionData.meterType || '');
+            // Unsaved meter number - use the WhatsApp number as the customer number
+            const phoneValidation = InputValidator.validatePhoneNumber(session.phoneNumber);
+            meterDetails = {
+                phoneNumber: phoneValidation.valid ? phoneValidation.value : session.phoneNumber.replace(/^whatsapp:/, ''),
+                meterNumber: meterValidation.value
+            };
+        }
+        
+        // Abandon whatever the user was doing and start a fresh purchase
+        const freshSession = await dbService.resetSession(session.id) || session;
+        const type = meterDetails.meterType ? meterDetails.meterType.toUpperCase() : null;
+        
+        return await this._startEnquiry(freshSession, {
+            ...meterDetails,
+            presetAmount: amount,
+            currentFieldIndex: ConversationService.METER_INFO_FIELDS.length
+        }, type);
+    }
+
+    /**
+     * Handle free text typed at the main menu instead of an option number
+     * (e.g. "I want to buy light for 30 cedis", "check my balance" or a bare meter number)
+     * @param {object} session - User session
+     * @param {string} message - User message
+     * @returns {Promise<string>} - Response message
+     */
+    async handleFreeText(session, message) {
+        const parsed = IntentParser.parse(message);
+        console.log(`Free text from ${session.phoneNumber} parsed as:`, parsed);
+        
+        switch (parsed.intent) {
+            case IntentParser.INTENTS.STATUS:
+                return await this.engine.enter(session, ConversationService.STATES.CHARGE_STATUS);
+            case IntentParser.INTENTS.RECEIPT:
+                return await this.handleReceipt(session, '');
+            case IntentParser.INTENTS.MY_METERS:
+                return await this.handleMyMeters(session);
+            case IntentParser.INTENTS.BUY:
+            case IntentParser.INTENTS.BALANCE:
+                return await this._startPurchaseFromIntent(session, parsed);
+            default:
+                return await this.engine.prompt(session);
+        }
+    }
+
+    /**
+     * Route a recognised purchase or balance request into the purchase flow,
+     * pre-filling the amount, meter number and phone number it mentioned
+     * @private
+     * @param {object} session - User session
+     * @param {object} parsed - Result of IntentParser.parse
+     * @returns {Promise<string>} - Response message
+     */
+    async _startPurchaseFromIntent(session, parsed) {
+        const prefill = {};
+        if (parsed.amount !== null) prefill.presetAmount = parsed.amount;
+        if (parsed.phoneNumber) prefill.phoneNumber = parsed.phoneNumber;
+        
+        if (parsed.meterNumber) {
+            // Same as BUY <amount> <meter> - the enquiry works out the meter type if it was not mentioned
+            const savedMeter = await dbService.findSavedMeter(session.phoneNumber, parsed.meterNumber);
+            let meterDetails;
+            if (savedMeter) {
+                meterDetails = {
+                    meterType: savedMeter.meterType,
+                    phoneNumber: savedMeter.mobileNumber,
+                    meterNumber: savedMeter.meterNumber,
+                    accountNumber: savedMeter.accountNumber || undefined
+                };
+            } else {
+                const phoneValidation = InputValidator.validatePhoneNumber(session.phoneNumber);
+                meterDetails = {
+                    meterType: parsed.meterType || undefined,
+                    phoneNumber: parsed.phoneNumber || (phoneValidation.valid ? phoneValidation.value : session.phoneNumber.replace(/^whatsapp:/, '')),
+                    meterNumber: parsed.meterNumber
+                };
+            }
+            
+            const type = meterDetails.meterType ? meterDetails.meterType.toUpperCase() : null;
+            return await this._startEnquiry(session, {
+                ...prefill,
+                ...meterDetails,
+                currentFieldIndex: ConversationService.METER_INFO_FIELDS.length
+            }, type);
+        }
+        
+        if (parsed.meterType) {
+            return await this._startMeterSelection(session, parsed.meterType.toUpperCase(), prefill);
+        }
+        
+        // Meter type unknown - keep what was understood in the session until 1 or 2 is chosen
+        if (Object.keys(prefill).length > 0) {
+            await dbService.updateSession(session.id, ConversationService.STATES.MENU, prefill);
+        }
+        return MessageFormatter.formatMeterTypeQuestion(parsed.amount, session.id);
+    }
+
+    /**
+     * Build the purchase summary shown on the confirmation step
+     * @private
+     * @param {object} sessionData - Session data
+     * @returns {object} - Confirmation details
+     */
+    _getConfirmationDetails(sessionData) {
+        const enquiryDatum = sessionData.enquiryResponse?.data?.[0] || {};
+        return {
+            meterType: sessionData.meterType || '',
+            meterNumber: sessionData.meterNumber || enquiryDatum.meterSerial,
+            customerName: enquiryDatum.customerName,
+            amount: sessionData.amount
+        };
+    }
+
+    /**
+     * Handle NO at the charge confirmation
+     * @param {object} session - User session
+     * @returns {Promise<string>} - Response message
+     */
+    async declineCharge(session) {
+        await dbService.resetSession(session.id);
+        return MessageFormatter.formatCancellation();
+    }
+
+    /**
+     * Send the mobile money debit prompt and wait for the provider callback
+     * The purchase asyncRequestId doubles as the payment reference. The payment is recorded as pending before
+     * the provider is asked, so a callback that beats the provider's reply finds it (callbacks wait for the
+     * phone number's lock, which this message holds)
+     * @param {object} session - User session
+     * @returns {Promise<string>} - Response message
+     */
+    async requestPayment(session) {
+        const sessionData = session.sessionData || {};
+        const momoNumber = sessionData.phoneNumber || session.phoneNumber.replace(/^whatsapp:/, '');
+        const reference = sessionData.asyncRequestId;
+        const requestedAt = new Date().toISOString();
+        
+        const pending = await dbService.updateTransactionStatus(reference, Transaction.STATUSES.PAYMENT_PENDING, {
+            amount: sessionData.amount
+        });
+        if (!pending) {
+            // The purchase has moved on (e.g. a payment for an earlier failed request was confirmed)
+            console.warn(`Payment for ${reference} not requested: the transaction is no longer awaiting payment`);
+            await dbService.resetSession(session.id);
+            return MessageFormatter.formatError(I18n.t('error.requestFailed'));
+        }
+        await dbService.updateSession(session.id, ConversationService.STATES.AWAITING_PAYMENT, {
+            payment: { reference, phoneNumber: momoNumber, requestedAt }
+        });
+        
+        let payment;
+        try {
+            payment = await paymentService.requestPayment({
+                reference,
+                phoneNumber: momoNumber,
+                amount: sessionData.amount,
+                description: `ECG ${sessionData.meterType || ''} ${sessionData.meterNumber || ''}`.trim()
+            });
+        } catch (error) {
+            console.error('Error requesting payment:', error.message);
+            // Back to the confirmation, so YES asks again. A request that did reach the provider and is
+            // confirmed later is flagged for a refund by _handleUnmatchedPayment
+            await dbService.updateSession(session.id, session.currentState, { payment: null });
+            await dbService.updateTransactionStatus(reference, Transaction.STATUSES.ENQUIRED);
+            if (error.type === 'timeout') {
+                return MessageFormatter.formatTimeoutError();
+            } else if (error.type === 'connection') {
+                return MessageFormatter.formatConnectionError();
+            }
+            return MessageFormatter.formatError(I18n.t('error.paymentRequestFailed'));
+        }
+        
+        await dbService.updateSession(session.id, ConversationService.STATES.AWAITING_PAYMENT, {
+            payment: {
+                ...payment,
+                phoneNumber: momoNumber,
+                requestedAt
+            }
+        });
+        await dbService.updatePendingPayment(reference, {
+            paymentReference: payment.providerReference || payment.reference,
+            paymentProvider: payment.provider
+        });
+        
+        // Give up if the provider never calls back
+        setTimeout(() => {
+            this.expirePayment(session.phoneNumber, session.id, payment.reference).catch((error) => {
+                console.error('Error expiring payment:', error);
+            });
+        }, paymentService.getTimeoutMs());
+        
+        return MessageFormatter.formatPaymentPrompt(sessionData.amount, momoNumber);
+    }
+
+    /**
+     * Handle messages received while waiting for payment approval
+     * @param {object} session - User session
+     * @returns {Promise<string>} - Response message
+     */
+    async handleAwaitingPayment(session) {
+        const payment = (session.sessionData || {}).payment || {};
+        const requestedAt = payment.requestedAt ? new Date(payment.requestedAt).getTime() : 0;
+        
+        // Covers timers lost to a restart
+        if (Date.now() - requestedAt > paymentService.getTimeoutMs()) {
+            await dbService.resetSession(session.id);
+            await dbService.updateTransactionStatus(payment.reference, Transaction.STATUSES.PAYMENT_FAILED, {
+                failureReason: 'Payment timed out'
+            });
+            return MessageFormatter.formatPaymentTimeout();
+        }
+        
+        return MessageFormatter.formatAwaitingPayment();
+    }
+
+    /**
+     * Handle messages received in CHARGE_PROCESSING when no charge is running
+     * A running charge is answered before the flow runs, so the charge was interrupted (e.g. by a restart).
+     * The payment was taken and the outcome is unknown, so the transaction is left PAID for a status check
+     * @param {object} session - User session
+     * @returns {Promise<string>} - Response message
+     */
+    async handleInterruptedCharge(session) {
+        const sessionData = session.sessionData || {};
+        console.warn(`⚠️  Charge ${sessionData.asyncRequestId} for ${session.phoneNumber} was interrupted. Left PAID for a status check`);
+        await dbService.resetSession(session.id);
+        return MessageFormatter.formatError(I18n.t('error.chargeTimeout'));
+    }
+
+    /**
+     * Handle a payment provider callback
+     * @param {object} result - Normalised payment result from paymentService.parseCallback
+     * @param {string} result.reference - Payment reference (asyncRequestId)
+     * @param {string} result.status - Payment status
+     * @param {number|string} result.amount - Amount the provider collected
+     * @param {string} result.currency - Currency the provider collected in (optional)
+     * @param {string} result.reason - Reason for a failed payment (optional)
+     * @returns {Promise<boolean>} - Whether the callback matched a pending payment
+     * @throws {Error} - Error with type 'mismatch' if a successful payment is not for the pending amount,
+     *         or type 'busy' if too many messages are queued for the phone number (the provider retries)
+     */
+    async handlePaymentCallback({ reference, providerReference, status, amount, currency, reason }) {
+        if (!reference) {
+            console.warn('Payment callback received without a reference');
+            return false;
+        }
+        
+        const result = { reference, providerReference, status, amount, currency, reason };
+        const transaction = await dbService.getTransactionByAsyncRequestId(reference);
+        if (!transaction) {
+            console.error(`⚠️  Payment callback for ${reference} (${status}) matches no transaction`);
+            return false;
+        }
+        
+        // Handled under the phone number's lock, so the callback waits for a payment request still in progress,
+        // and a retried callback waits for the first one and then no longer finds a pending payment
+        // (one payment must never vend twice)
+        return await this.phoneLock.run(transaction.phoneNumber, async () => {
+            const pendingSession = await dbService.getSessionByAsyncRequestId(reference);
+            if (pendingSession && pendingSession.currentState === ConversationService.STATES.AWAITING_PAYMENT &&
+                await this._applyPaymentResult(pendingSession.id, result)) {
+                return true;
+            }
+            
+            await this._handleUnmatchedPayment(result);
+            return false;
+        });
+    }
+    
+    /**
+     * Handle a callback that no session is waiting for (called under the phone number's lock)
+     * A successful payment confirmed after the purchase timed out or was abandoned, or for a payment request
+     * that failed, has taken the customer's money without vending, so the transaction is marked PAID then
+     * FAILED (refund required) and the customer told
+     * @private
+     * @param {object} result - Normalised payment result
+     * @throws {Error} - Error with type 'mismatch' if a successful payment is not for the transaction amount
+     */
+    async _handleUnmatchedPayment({ reference, providerReference, status, amount, currency }) {
+        const transaction = await dbService.getTransactionByAsyncRequestId(reference);
+        
+        const abandoned = [
+            Transaction.STATUSES.ENQUIRED,
+            Transaction.STATUSES.PAYMENT_PENDING,
+            Transaction.STATUSES.PAYMENT_FAILED
+        ].includes(transaction.status);
+        if (status !== paymentService.STATUSES.SUCCESSFUL || !abandoned) {
+            // Repeats of a handled callback, or a late decline of a payment we had already given up on
+            console.warn(`Payment callback for ${reference} (${status}) arrived after the payment was handled (transaction ${transaction.status})`);
+            return;
+        }
+        
+        const check = paymentService.checkAmount({ amount, currency }, transaction.amount);
+        if (!check.valid) {
+            console.warn(`⚠️  Rejected payment callback for ${reference}: ${check.reason}`);
+            const error = new Error(check.reason);
+            error.type = 'mismatch';
+            throw error;
+        }
+        
+        // The conditional status update lets only one of several repeated callbacks through
+        const paid = await dbService.updateTransactionStatus(reference, Transaction.STATUSES.PAID, {
+            paymentReference: providerReference || transaction.paymentReference || reference
+        });
+        if (!paid) {
+            return;
+        }
+        await this._failPaidTransaction(reference, transaction.phoneNumber, transaction.status === Transaction.STATUSES.ENQUIRED
+            ? 'Payment confirmed for a payment request that failed'
+            : 'Payment confirmed after the purchase was cancelled');
+        
+        // A session still on this purchase (e.g. back at the confirmation after the request failed) starts over
+        const session = await dbService.getSessionByAsyncRequestId(reference);
+        if (session) {
+            await dbService.resetSession(session.id);
+        }
+        
+        const language = await this.getUserLanguage(transaction.phoneNumber);
+        await I18n.run(language, () => messagingService.send(transaction.phoneNumber,
+            MessageFormatter.formatLatePayment(transaction.amount, reference), { asyncRequestId: reference }));
+    }
+
+    /**
+     * Apply a payment outcome to the session waiting for it (called under the phone number's lock)
+     * @private
+     * @param {string} sessionId - Session ID
+     * @param {object} result - Normalised payment result
+     * @returns {Promise<boolean>} - Whether the session was still waiting for this payment
+     * @throws {Error} - Error with type 'mismatch' if a successful payment is not for the pending amount
+     */
+    async _applyPaymentResult(sessionId, { reference, providerReference, status, amount, currency, reason }) {
+        const session = await dbService.getSessionById(sessionId);
+        if (!session || session.currentState !== ConversationService.STATES.AWAITING_PAYMENT ||
+            (session.sessionData || {}).asyncRequestId !== reference) {
+            return false;
+        }
+        
+        // The callback arrives outside any conversation, so reply in the user's language
+        const language = await this.getUserLanguage(session.phoneNumber);
+        return await I18n.run(language, async () => {
+            const sessionData = session.sessionData || {};
+            const payment = {
+                ...(sessionData.payment || {}),
+                providerReference: providerReference || sessionData.payment?.providerReference,
+                status: status,
+                reason: reason || '',
+                completedAt: new Date().toISOString()
+            };
+            
+            if (status === paymentService.STATUSES.PENDING) {
+                return true;
+            }
+            
+            // Never vend on a confirmation for a different amount; the payment stays pending until it times out
+            if (status === paymentService.STATUSES.SUCCESSFUL) {
+                const check = paymentService.checkAmount({ amount, currency }, sessionData.amount);
+                if (!check.valid) {
+                    console.warn(`⚠️  Rejected payment callback for ${reference}: ${check.reason}`);
+                    const error = new Error(check.reason);
+                    error.type = 'mismatch';
+                    throw error;
+                }
+            }
+            
+            if (status !== paymentService.STATUSES.SUCCESSFUL) {
+                await dbService.resetSession(session.id);
+                await dbService.updateTransactionStatus(reference, Transaction.STATUSES.PAYMENT_FAILED, {
+                    failureReason: reason || status
+                });
+                const message = status === paymentService.STATUSES.TIMEOUT
+                    ? MessageFormatter.formatPaymentTimeout()
+                    : MessageFormatter.formatPaymentDeclined(reason);
+                await messagingService.send(session.phoneNumber, message, { asyncRequestId: reference });
+                return true;
+            }
+            
+            await dbService.updateSession(session.id, ConversationService.STATES.CHARGE_PROCESSING, { payment });
+            await dbService.updateTransactionStatus(reference, Transaction.STATUSES.PAID, {
+                paymentReference: payment.providerReference || reference
+            });
+            await messagingService.send(session.phoneNumber, MessageFormatter.formatPaymentReceived(sessionData.amount), { asyncRequestId: reference });
+            
+            // Payment confirmed - vend
+            this._startAsyncOperation(session.id, 'charge', () => this.processChargeAsync(session.phoneNumber, session.id));
+            return true;
+        });
+    }
+
+    /**
+     * Cancel a payment the customer never approved
+     * @param {string} phoneNumber - User's phone number
+     * @param {string} sessionId - Session ID
+     * @param {string} reference - Payment reference the timer was started for
+     */
+    async expirePayment(phoneNumber, sessionId, reference) {
+        // Under the phone number's lock, so a callback arriving at the same moment is not overridden
+        await this.phoneLock.run(phoneNumber, () => this._expirePayment(phoneNumber, sessionId, reference));
+    }
+
+    /**
+     * Cancel an unapproved payment (called under the phone number's lock)
+     * @private
+     * @param {string} phoneNumber - User's phone number
+     * @param {string} sessionId - Session ID
+     * @param {string} reference - Payment reference the timer was started for
+     */
+    async _expirePayment(phoneNumber, sessionId, reference) {
+        const session = await dbService.getSessionById(sessionId);
+        if (!session || session.currentState !== ConversationService.STATES.AWAITING_PAYMENT) {
+            return;
+        }
+        if ((session.sessionData || {}).payment?.reference !== reference) {
+            return;
+        }
+        
+        console.log(`Payment ${reference} timed out for ${phoneNumber}`);
+        await dbService.resetSession(sessionId);
+        await dbService.updateTransactionStatus(reference, Transaction.STATUSES.PAYMENT_FAILED, {
+            failureReason: 'Payment timed out'
+        });
+        await messagingService.send(phoneNumber, MessageFormatter.formatPaymentTimeout());
+    }
+
+    /**
+     * Mark a paid transaction FAILED: the customer paid for credit that was not vended, so it needs a refund
+     * @private
+     * @param {string} asyncRequestId - Transaction's async request ID
+     * @param {string} phoneNumber - User's phone number
+     * @param {string} reason - Why no credit was vended
+     * @param {object} chargeResponse - Charge API response to keep (optional)
+     */
+    async _failPaidTransaction(asyncRequestId, phoneNumber, reason, chargeResponse = undefined) {
+        await dbService.updateTransactionStatus(asyncRequestId, Transaction.STATUSES.FAILED, {
+            failureReason: `${reason} - refund required`,
+            chargeResponse: chargeResponse
+        });
+        console.error(`⚠️  REFUND REQUIRED: ${asyncRequestId} for ${phoneNumber}: ${reason}`);
+    }
+
+    /**
+     * Check the status of a charge ECG accepted but has not finished, a few times with a wait before each
+     * @private
+     * @param {string} asyncRequestId - Charge's async request ID
+     * @returns {Promise<object|null>} - Last parsed status (see ecgService.parseChargeStatus), or null if no check succeeded
+     */
+    async _waitForChargeStatus(asyncRequestId) {
+        let result = null;
+        for (let check = 0; check < ConversationService.CHARGE_STATUS_CHECKS; check++) {
+            await new Promise(resolve => setTimeout(resolve, ConversationService.CHARGE_STATUS_CHECK_DELAY_MS));
+            try {
+                result = ecgService.parseChargeStatus(await ecgService.getChargeStatus({ asyncRequestId }));
+            } catch (error) {
+                console.error(`Error checking status of charge ${asyncRequestId}:`, error.message);
+                continue;
+            }
+            if (result.status !== 'PENDING') {
+                return result;
+            }
+        }
+        return result;
+    }
+
+    /**
+     * Process charge asynchronously (sends messages on the user's channels via the messaging service)
+     * Reuses the asyncRequestId generated for the enquiry
+     * @param {string} phoneNumber - User's phone number
+     * @param {string} sessionId - Session ID
+     */
+    async processChargeAsync(phoneNumber, sessionId) {
+        try {
+            const session = await dbService.getSessionById(sessionId);
+            if (!session) {
+                await messagingService.send(phoneNumber, MessageFormatter.formatError(I18n.t('error.sessionNotFound')));
+                return;
+            }
+
+            const sessionData = session.sessionData || {};
+            const enquiryDatum = sessionData.enquiryResponse?.data?.[0] || {};
+            const payload = sessionData.meterInfo?.payLoad || {};
+            const meterType = sessionData.meterType || payload.meterType || '';
+
+            // Call Charge API with the same asyncRequestId used for the enquiry
+            let chargeResponse;
+            try {
+                console.log('Using asyncRequestId for charge:', sessionData.asyncRequestId);
+                
+                chargeResponse = await ecgService.charge({
+                    asyncRequestId: sessionData.asyncRequestId,
+                    referenceId: payload.meterId || '',
+                    meterSerial: payload.meterNumber || enquiryDatum.meterSerial || '',
+                    mobileNumber: sessionData.phoneNumber,
+                    meterType: payload.meterType || meterType,
+                    amount: sessionData.amount,
+                    machineSignature: sessionData.machineSignature
+                });
+            } catch (error) {
+                // Check if session still exists before resetting
+                const session = await dbService.getSessionById(sessionId);
+                if (session) {
+                    await dbService.resetSession(sessionId);
+                }
+                
+                // On timeout/connection errors the outcome is unknown until checked, so leave it PAID
+                if (error.type !== 'timeout' && error.type !== 'connection') {
+                    await this._failPaidTransaction(sessionData.asyncRequestId, phoneNumber, error.message);
+                }
+                
+                if (error.type === 'timeout') {
+                    // The charge may still have gone through on the ECG side
+                    await messagingService.send(phoneNumber, MessageFormatter.formatError(I18n.t('error.chargeTimeout')));
+                } else if (error.type === 'connection') {
+                    await messagingService.send(phoneNumber, MessageFormatter.formatConnectionError());
+                } else {
+                    await messagingService.send(phoneNumber, MessageFormatter.formatError(I18n.t('error.chargeNotCompleted', { reference: sessionData.asyncRequestId })));
+                }
+                return;
+            }
+
+            if (!chargeResponse || !chargeResponse.data || chargeResponse.data.length === 0) {
+                // Check if session still exists before resetting
+                const session = await dbService.getSessionById(sessionId);
+                if (session) {
+                    await dbService.resetSession(sessionId);
+                }
+                await this._failPaidTransaction(sessionData.asyncRequestId, phoneNumber,
+                    chargeResponse?.message || 'Empty charge response', chargeResponse || null);
+                const reason = chargeResponse?.message ? `${chargeResponse.message}\n` : '';
+                await messagingService.send(phoneNumber, MessageFormatter.formatError(`${reason}${I18n.t('error.chargeNotCompleted', { reference: sessionData.asyncRequestId })}`), { asyncRequestId: sessionData.asyncRequestId });
+                return;
+            }
+
+            let chargeResult = ecgService.parseChargeStatus(chargeResponse);
+            if (chargeResult.status === 'PENDING') {
+                chargeResult = await this._waitForChargeStatus(sessionData.asyncRequestId) || chargeResult;
+            }
+
+            if (chargeResult.status === 'PENDING') {
+                // Still unknown - leave it PAID for a later status check
+                console.warn(`Charge ${sessionData.asyncRequestId} is still pending. Left PAID for a status check`);
+                await dbService.resetSession(sessionId);
+                await messagingService.send(phoneNumber, MessageFormatter.formatChargeResponse(chargeResponse, chargeResult.status, meterType), { asyncRequestId: sessionData.asyncRequestId });
+                return;
+            }
+
+            if (chargeResult.status === 'FAILED') {
+                // The customer has paid for credit that was not vended
+                await dbService.resetSession(sessionId);
+                await this._failPaidTransaction(sessionData.asyncRequestId, phoneNumber, chargeResult.reason || 'Charge failed', chargeResponse);
+                const reason = chargeResult.reason ? `${chargeResult.reason}\n` : '';
+                await messagingService.send(phoneNumber, MessageFormatter.formatError(`${reason}${I18n.t('error.chargeNotCompleted', { reference: sessionData.asyncRequestId })}`), { asyncRequestId: sessionData.asyncRequestId });
+                return;
+            }
+
+            // Store the charge result and return the session to the menu
+            const transaction = await dbService.updateTransactionStatus(sessionData.asyncRequestId, Transaction.STATUSES.SUCCESSFUL, {
+                token: chargeResult.token || null,
+                units: chargeResponse.data[0].units ? String(chargeResponse.data[0].units) : null,
+                receiptNumber: ReceiptGenerator.generateReceiptNumber(sessionData.asyncRequestId),
+                ecgTransactionReference: chargeResult.reference || chargeResponse.data[0].referenceId || null,
+                chargeResponse: chargeResponse
+            });
+            await dbService.resetSession(sessionId);
+
+            // Send the receipt (vend token / payment reference)
+            const chargeMessage = transaction && transaction.receiptNumber
+                ? MessageFormatter.formatReceipt(transaction)
+                : MessageFormatter.formatChargeResponse(chargeResponse, chargeResult.status, meterType);
+            console.log(`Sending charge response to ${phoneNumber}`);
+            const sendResult = await messagingService.send(phoneNumber, chargeMessage, { asyncRequestId: sessionData.asyncRequestId });
+            if (sendResult) {
+                console.log(`Charge response sent successfully to ${phoneNumber}`);
+            } else {
+                console.error(`Failed to send charge response to ${phoneNumber}`);
+            }
+        } catch (error) {
+            console.error('Error processing charge async:', error);
+            // Check if session still exists before resetting
+            const session = await dbService.getSessionById(sessionId);
+            if (session) {
+                await dbService.resetSession(sessionId);
+            }
+            // Only send error message if session exists (user might have cancelled)
+            if (session) {
+                await messagingService.send(phoneNumber, MessageFormatter.formatError(I18n.t('error.chargeFailed')));
+            }
         }
     }
 }
@@ -4,6 +4,11 @@
 
 const { Pool } = require('pg');
 const Session = require('../models/session');
+const Transaction = require('../models/transaction');
+const SavedMeter = require('../models/savedMeter');
+const OutboundMessage = require('../models/outboundMessage');
+const MessageDelivery = require('../models/messageDelivery');
+const ConversationMessage = require('../models/conversationMessage');
 require('dotenv').config();
 
 class DbService {
@@ -161,6 +166,32 @@ class DbService {
         }
     }
 
+    /**
+     * Get the most recent session for a purchase by its asyncRequestId
+     * @param {string} asyncRequestId - Async request ID stored in session data
+     * @returns {Promise<Session|null>} - Session or null if not found
+     */
+    async getSessionByAsyncRequestId(asyncRequestId) {
+        this._ensurePool();
+        try {
+            const result = await this.pool.query(
+                `SELECT * FROM user_sessions
+                 WHERE session_data->>'asyncRequestId' = $1
+                 ORDER BY updated_at DESC LIMIT 1`,
+                [asyncRequestId]
+            );
+
+            if (result.rows.length === 0) {
+                return null;
+            }
+
+            return new Session(result.rows[0]);
+        } catch (error) {
+            console.error('Error getting session by asyncRequestId:', error);
+            throw error;
+        }
+    }
+
     /**
      * Clear session data (reset to menu)
      * @param {string} sessionId - Session ID
@@ -207,6 +238,842 @@ class DbService {
         }
     }
 
+    /**
+     * Create a transaction (after a successful enquiry)
+     * @param {object} data - Transaction data
+     * @param {string} data.asyncRequestId - Async request ID (unique per purchase)
+     * @param {string} data.phoneNumber - WhatsApp number the purchase belongs to
+     * @param {string} data.mobileNumber - Customer mobile number entered for the meter
+     * @param {string} data.meterNumber - Meter number
+     * @param {string} data.accountNumber - Account number (optional)
+     * @param {string} data.type - Prepaid or Postpaid
+     * @param {string} data.customerName - Customer name from the enquiry (optional)
+     * @param {string} data.ecgReferenceId - ECG meter reference ID (optional)
+     * @param {object} data.enquiryResponse - Raw enquiry response (optional)
+     * @returns {Promise<Transaction>} - Created transaction
+     */
+    async createTransaction({ asyncRequestId, phoneNumber, mobileNumber, meterNumber, accountNumber, type, customerName, ecgReferenceId, enquiryResponse }) {
+        this._ensurePool();
+        try {
+            const result = await this.pool.query(
+                `INSERT INTO transactions (
+                    async_request_id, phone_number, mobile_number, meter_number, account_number,
+                    type, status, customer_name, ecg_reference_id, enquiry_response
+                 )
+                 VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+                 RETURNING *`,
+                [
+                    asyncRequestId,
+                    phoneNumber,
+                    mobileNumber || null,
+                    meterNumber || null,
+                    accountNumber || null,
+                    type,
+                    Transaction.STATUSES.ENQUIRED,
+                    customerName || null,
+                    ecgReferenceId || null,
+                    enquiryResponse ? JSON.stringify(enquiryResponse) : null
+                ]
+            );
+
+            return new Transaction(result.rows[0]);
+        } catch (error) {
+            console.error('Error creating transaction:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Move a transaction to a new status, enforcing Transaction.TRANSITIONS
+     * @param {string} asyncRequestId - Async request ID
+     * @param {string} status - New status
+     * @param {object} fields - Other fields to update (camelCase, see Transaction)
+     * @returns {Promise<Transaction|null>} - Updated transaction, or null if not found or the transition is not allowed
+     */
+    async updateTransactionStatus(asyncRequestId, status, fields = {}) {
+        this._ensurePool();
+
+        const columns = {
+            amount: 'amount',
+            paymentReference: 'payment_reference',
+            paymentProvider: 'payment_provider',
+            ecgTransactionReference: 'ecg_transaction_reference',
+            token: 'token',
+            units: 'units',
+            receiptNumber: 'receipt_number',
+            failureReason: 'failure_reason',
+            chargeResponse: 'charge_response'
+        };
+
+        const sets = ['status = $1'];
+        const params = [status];
+
+        for (const [key, column] of Object.entries(columns)) {
+            if (fields[key] === undefined) continue;
+            const value = key === 'chargeResponse' ? JSON.stringify(fields[key]) : fields[key];
+            params.push(value);
+            sets.push(`${column} = $${params.length}`);
+        }
+
+        if (status === Transaction.STATUSES.PAID) {
+            sets.push('paid_at = CURRENT_TIMESTAMP');
+        }
+        if ([Transaction.STATUSES.SUCCESSFUL, Transaction.STATUSES.FAILED, Transaction.STATUSES.PAYMENT_FAILED].includes(status)) {
+            sets.push('completed_at = CURRENT_TIMESTAMP');
+        }
+
+        params.push(asyncRequestId);
+        const idParam = params.length;
+        params.push(Transaction.getAllowedPreviousStatuses(status));
+        const fromParam = params.length;
+
+        try {
+            const result = await this.pool.query(
+                `UPDATE transactions
+                 SET ${sets.join(', ')}
+                 WHERE async_request_id = $${idParam} AND status = ANY($${fromParam})
+                 RETURNING *`,
+                params
+            );
+
+            if (result.rows.length === 0) {
+                console.warn(`Transaction ${asyncRequestId} not found or cannot move to ${status}`);
+                return null;
+            }
+
+            return new Transaction(result.rows[0]);
+        } catch (error) {
+            console.error('Error updating transaction status:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Record the provider's details for a payment that is still pending
+     * @param {string} asyncRequestId - Async request ID
+     * @param {object} fields - { paymentReference, paymentProvider }
+     * @returns {Promise<Transaction|null>} - Updated transaction, or null if it is no longer PAYMENT_PENDING
+     */
+    async updatePendingPayment(asyncRequestId, { paymentReference, paymentProvider }) {
+        this._ensurePool();
+        try {
+            const result = await this.pool.query(
+                `UPDATE transactions
+                 SET payment_reference = $1, payment_provider = $2
+                 WHERE async_request_id = $3 AND status = $4
+                 RETURNING *`,
+                [paymentReference || null, paymentProvider || null, asyncRequestId, Transaction.STATUSES.PAYMENT_PENDING]
+            );
+
+            return result.rows.length > 0 ? new Transaction(result.rows[0]) : null;
+        } catch (error) {
+            console.error('Error updating pending payment:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get a transaction by its asyncRequestId
+     * @param {string} asyncRequestId - Async request ID
+     * @returns {Promise<Transaction|null>} - Transaction or null if not found
+     */
+    async getTransactionByAsyncRequestId(asyncRequestId) {
+        this._ensurePool();
+        try {
+            const result = await this.pool.query(
+                'SELECT * FROM transactions WHERE async_request_id = $1',
+                [asyncRequestId]
+            );
+
+            if (result.rows.length === 0) {
+                return null;
+            }
+
+            return new Transaction(result.rows[0]);
+        } catch (error) {
+            console.error('Error getting transaction:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get a successful transaction by receipt number or asyncRequestId (for receipt downloads)
+     * @param {string} receiptId - Receipt number or asyncRequestId
+     * @returns {Promise<Transaction|null>} - Transaction or null if not found
+     */
+    async getTransactionForReceipt(receiptId) {
+        this._ensurePool();
+        try {
+            const result = await this.pool.query(
+                `SELECT * FROM transactions
+                 WHERE (UPPER(receipt_number) = UPPER($1) OR async_request_id = $1)
+                   AND status = $2
+                 LIMIT 1`,
+                [receiptId, Transaction.STATUSES.SUCCESSFUL]
+            );
+
+            if (result.rows.length === 0) {
+                return null;
+            }
+
+            return new Transaction(result.rows[0]);
+        } catch (error) {
+            console.error('Error getting transaction for receipt:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Find a user's transaction by any of its references
+     * (asyncRequestId, receipt number, payment reference or ECG transaction reference)
+     * @param {string|null} phoneNumber - WhatsApp number the transaction belongs to, or null for any number (support lookups)
+     * @param {string} reference - Reference typed by the user
+     * @returns {Promise<Transaction|null>} - Transaction or null if not found
+     */
+    async getTransactionByReference(phoneNumber, reference) {
+        this._ensurePool();
+        try {
+            const result = await this.pool.query(
+                `SELECT * FROM transactions
+                 WHERE ($1::text IS NULL OR phone_number = $1)
+                   AND (LOWER(async_request_id) = LOWER($2)
+                        OR LOWER(receipt_number) = LOWER($2)
+                        OR LOWER(payment_reference) = LOWER($2)
+                        OR LOWER(ecg_transaction_reference) = LOWER($2))
+                 ORDER BY created_at DESC LIMIT 1`,
+                [phoneNumber, reference]
+            );
+
+            if (result.rows.length === 0) {
+                return null;
+            }
+
+            return new Transaction(result.rows[0]);
+        } catch (error) {
+            console.error('Error getting transaction by reference:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get a user's most recent transactions
+     * @param {string} phoneNumber - WhatsApp number
+     * @param {object} options - Query options
+     * @param {number} options.limit - Maximum number of transactions (default: 5)
+     * @param {boolean} options.chargesOnly - Exclude enquiries that never went to payment
+     * @param {string} options.status - Only transactions with this status (optional)
+     * @returns {Promise<Array<Transaction>>} - Transactions, most recent first
+     */
+    async getTransactionsByPhoneNumber(phoneNumber, { limit = 5, chargesOnly = false, status = null } = {}) {
+        this._ensurePool();
+        try {
+            const result = await this.pool.query(
+                `SELECT * FROM transactions
+                 WHERE phone_number = $1
+                   AND ($2::boolean = false OR status <> $3)
+                   AND ($5::text IS NULL OR status = $5)
+                 ORDER BY created_at DESC LIMIT $4`,
+                [phoneNumber, chargesOnly, Transaction.STATUSES.ENQUIRED, limit, status]
+            );
+
+            return result.rows.map(row => new Transaction(row));
+        } catch (error) {
+            console.error('Error getting transactions:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get transactions by status (for support and reconciliation)
+     * @param {string} status - Transaction status
+     * @param {object} options - Query options
+     * @param {Date} options.olderThan - Only transactions last updated before this time (optional)
+     * @param {number} options.limit - Maximum number of transactions (default: 100)
+     * @returns {Promise<Array<Transaction>>} - Transactions, oldest first
+     */
+    async getTransactionsByStatus(status, { olderThan = null, limit = 100 } = {}) {
+        this._ensurePool();
+        try {
+            const result = await this.pool.query(
+                `SELECT * FROM transactions
+                 WHERE status = $1
+                   AND ($2::timestamptz IS NULL OR updated_at < $2)
+                 ORDER BY created_at ASC LIMIT $3`,
+                [status, olderThan, limit]
+            );
+
+            return result.rows.map(row => new Transaction(row));
+        } catch (error) {
+            console.error('Error getting transactions by status:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Save (or refresh) a meter after a successful enquiry
+     * @param {object} data - Meter data
+     * @param {string} data.phoneNumber - WhatsApp number the meter belongs to
+     * @param {string} data.meterType - Prepaid or Postpaid
+     * @param {string} data.mobileNumber - Customer mobile number entered for the meter
+     * @param {string} data.meterNumber - Meter number
+     * @param {string} data.accountNumber - Account number (optional)
+     * @param {string} data.customerName - Customer name from the enquiry (optional)
+     * @returns {Promise<SavedMeter>} - Saved meter
+     */
+    async saveMeter({ phoneNumber, meterType, mobileNumber, meterNumber, accountNumber, customerName }) {
+        this._ensurePool();
+        try {
+            const result = await this.pool.query(
+                `INSERT INTO saved_meters (phone_number, meter_type, mobile_number, meter_number, account_number, customer_name)
+                 VALUES ($1, $2, $3, $4, $5, $6)
+                 ON CONFLICT (phone_number, meter_number) DO UPDATE
+                 SET meter_type = EXCLUDED.meter_type,
+                     mobile_number = EXCLUDED.mobile_number,
+                     account_number = COALESCE(EXCLUDED.account_number, saved_meters.account_number),
+                     customer_name = COALESCE(EXCLUDED.customer_name, saved_meters.customer_name),
+                     last_used_at = CURRENT_TIMESTAMP
+                 RETURNING *`,
+                [phoneNumber, meterType, mobileNumber || null, meterNumber, accountNumber || null, customerName || null]
+            );
+
+            return new SavedMeter(result.rows[0]);
+        } catch (error) {
+            console.error('Error saving meter:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get a user's saved meters
+     * @param {string} phoneNumber - WhatsApp number
+     * @param {string} meterType - Only meters of this type (optional)
+     * @returns {Promise<Array<SavedMeter>>} - Saved meters, most recently used first
+     */
+    async getSavedMeters(phoneNumber, meterType = null) {
+        this._ensurePool();
+        try {
+            const result = await this.pool.query(
+                `SELECT * FROM saved_meters
+                 WHERE phone_number = $1
+                   AND ($2::text IS NULL OR LOWER(meter_type) = LOWER($2))
+                 ORDER BY last_used_at DESC`,
+                [phoneNumber, meterType]
+            );
+
+            return result.rows.map(row => new SavedMeter(row));
+        } catch (error) {
+            console.error('Error getting saved meters:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Find a user's saved meter by nickname or meter number
+     * @param {string} phoneNumber - WhatsApp number
+     * @param {string} nicknameOrNumber - Nickname (case-insensitive) or meter number
+     * @returns {Promise<SavedMeter|null>} - Saved meter or null if not found
+     */
+    async findSavedMeter(phoneNumber, nicknameOrNumber) {
+        this._ensurePool();
+        try {
+            const result = await this.pool.query(
+                `SELECT * FROM saved_meters
+                 WHERE phone_number = $1
+                   AND (LOWER(nickname) = LOWER($2) OR meter_number = $2)
+                 ORDER BY (LOWER(nickname) = LOWER($2)) DESC NULLS LAST
+                 LIMIT 1`,
+                [phoneNumber, nicknameOrNumber]
+            );
+
+            if (result.rows.length === 0) {
+                return null;
+            }
+
+            return new SavedMeter(result.rows[0]);
+        } catch (error) {
+            console.error('Error finding saved meter:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Set the nickname of a saved meter
+     * @param {string} savedMeterId - Saved meter ID
+     * @param {string} nickname - New nickname
+     * @returns {Promise<SavedMeter|null>} - Updated meter, or null if the nickname is already used by another meter
+     */
+    async setMeterNickname(savedMeterId, nickname) {
+        this._ensurePool();
+        try {
+            const result = await this.pool.query(
+                `UPDATE saved_meters SET nickname = $1 WHERE id = $2 RETURNING *`,
+                [nickname, savedMeterId]
+            );
+
+            if (result.rows.length === 0) {
+                return null;
+            }
+
+            return new SavedMeter(result.rows[0]);
+        } catch (error) {
+            // Unique violation - nickname taken by another meter of this user
+            if (error.code === '23505') {
+                return null;
+            }
+            console.error('Error setting meter nickname:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Remove a saved meter
+     * @param {string} savedMeterId - Saved meter ID
+     * @returns {Promise<void>}
+     */
+    async removeSavedMeter(savedMeterId) {
+        this._ensurePool();
+        try {
+            await this.pool.query(
+                'DELETE FROM saved_meters WHERE id = $1',
+                [savedMeterId]
+            );
+        } catch (error) {
+            console.error('Error removing saved meter:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get the language a WhatsApp number has chosen
+     * @param {string} phoneNumber - WhatsApp number
+     * @returns {Promise<string|null>} - Language code or null if none has been chosen
+     */
+    async getUserLanguage(phoneNumber) {
+        this._ensurePool();
+        try {
+            const result = await this.pool.query(
+                'SELECT language FROM user_preferences WHERE phone_number = $1',
+                [phoneNumber]
+            );
+
+            return result.rows.length > 0 ? result.rows[0].language : null;
+        } catch (error) {
+            console.error('Error getting user language:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Store the language a WhatsApp number has chosen
+     * @param {string} phoneNumber - WhatsApp number
+     * @param {string} language - Language code
+     * @returns {Promise<void>}
+     */
+    async setUserLanguage(phoneNumber, language) {
+        this._ensurePool();
+        try {
+            await this.pool.query(
+                `INSERT INTO user_preferences (phone_number, language)
+                 VALUES ($1, $2)
+                 ON CONFLICT (phone_number) DO UPDATE SET language = EXCLUDED.language`,
+                [phoneNumber, language]
+            );
+        } catch (error) {
+            console.error('Error setting user language:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Record an inbound provider message ID
+     * An ID recorded longer ago than the TTL counts as new again
+     * @param {string} provider - Provider name (twilio, wasender)
+     * @param {string} messageId - Provider message ID
+     * @param {string} phoneNumber - Sender's WhatsApp number
+     * @param {number} ttlSeconds - How long a recorded ID blocks redeliveries
+     * @returns {Promise<boolean>} - True if the message had not been recorded (first delivery)
+     */
+    async recordInboundMessage(provider, messageId, phoneNumber, ttlSeconds) {
+        this._ensurePool();
+        try {
+            const result = await this.pool.query(
+                `INSERT INTO processed_messages (provider, message_id, phone_number)
+                 VALUES ($1, $2, $3)
+                 ON CONFLICT (provider, message_id) DO UPDATE
+                     SET received_at = CURRENT_TIMESTAMP, phone_number = EXCLUDED.phone_number
+                     WHERE processed_messages.received_at < CURRENT_TIMESTAMP - make_interval(secs => $4)
+                 RETURNING message_id`,
+                [provider, messageId, phoneNumber, ttlSeconds]
+            );
+
+            return result.rows.length > 0;
+        } catch (error) {
+            console.error('Error recording inbound message:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Forget an inbound provider message ID (so a redelivery is processed again)
+     * @param {string} provider - Provider name
+     * @param {string} messageId - Provider message ID
+     * @returns {Promise<void>}
+     */
+    async forgetInboundMessage(provider, messageId) {
+        this._ensurePool();
+        try {
+            await this.pool.query(
+                'DELETE FROM processed_messages WHERE provider = $1 AND message_id = $2',
+                [provider, messageId]
+            );
+        } catch (error) {
+            console.error('Error forgetting inbound message:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Delete inbound message IDs recorded before a cutoff
+     * @param {Date} before - Cutoff time
+     * @returns {Promise<number>} - Number of IDs deleted
+     */
+    async deleteInboundMessagesBefore(before) {
+        this._ensurePool();
+        try {
+            const result = await this.pool.query(
+                'DELETE FROM processed_messages WHERE received_at < $1',
+                [before]
+            );
+
+            return result.rowCount;
+        } catch (error) {
+            console.error('Error deleting processed messages:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Add a WhatsApp message to the outbound queue
+     * @param {object} data - Message data
+     * @param {string} data.phoneNumber - Recipient phone number (WhatsApp format)
+     * @param {string} data.body - Message text
+     * @param {object} data.interactive - List/button definition ({ type, options, buttonText }), or null for text
+     * @param {string} data.preferredProvider - Provider to try first (optional)
+     * @param {number} data.maxAttempts - Attempts before the message is dead-lettered
+     * @param {string} data.asyncRequestId - Transaction the message is about (optional)
+     * @returns {Promise<OutboundMessage>} - Queued message
+     */
+    async createOutboundMessage({ phoneNumber, body, interactive = null, preferredProvider = null, maxAttempts, asyncRequestId = null }) {
+        this._ensurePool();
+        try {
+            const result = await this.pool.query(
+                `INSERT INTO outbound_messages (phone_number, body, interactive, preferred_provider, max_attempts, async_request_id)
+                 VALUES ($1, $2, $3, $4, $5, $6)
+                 RETURNING *`,
+                [phoneNumber, body, interactive ? JSON.stringify(interactive) : null, preferredProvider, maxAttempts, asyncRequestId]
+            );
+
+            return new OutboundMessage(result.rows[0]);
+        } catch (error) {
+            console.error('Error creating outbound message:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Claim queued messages that are due, marking them SENDING and counting the attempt
+     * Only the oldest unsent message per recipient is claimed, so each customer gets messages in order.
+     * Messages left in SENDING by a crashed worker are claimed again once they are stale.
+     * @param {number} limit - Maximum number of messages
+     * @param {Date} staleBefore - SENDING messages last updated before this time count as abandoned
+     * @returns {Promise<Array<OutboundMessage>>} - Claimed messages, oldest first
+     */
+    async claimOutboundMessages(limit, staleBefore) {
+        this._ensurePool();
+        try {
+            const result = await this.pool.query(
+                `UPDATE outbound_messages
+                 SET status = 'SENDING', attempts = attempts + 1
+                 WHERE id IN (
+                     SELECT m.id FROM outbound_messages m
+                     WHERE ((m.status = 'PENDING' AND m.next_attempt_at <= CURRENT_TIMESTAMP)
+                            OR (m.status = 'SENDING' AND m.updated_at < $2))
+                       AND NOT EXISTS (
+                           SELECT 1 FROM outbound_messages earlier
+                           WHERE earlier.phone_number = m.phone_number
+                             AND earlier.status IN ('PENDING', 'SENDING')
+                             AND (earlier.created_at, earlier.id) < (m.created_at, m.id)
+                       )
+                     ORDER BY m.created_at ASC
+                     LIMIT $1
+                     FOR UPDATE SKIP LOCKED
+                 )
+                 RETURNING *`,
+                [limit, staleBefore]
+            );
+
+            return result.rows
+                .map(row => new OutboundMessage(row))
+                .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+        } catch (error) {
+            console.error('Error claiming outbound messages:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Mark a queued message as sent
+     * @param {string} id - Outbound message ID
+     * @param {string} provider - Provider that delivered it
+     * @returns {Promise<void>}
+     */
+    async markOutboundMessageSent(id, provider) {
+        this._ensurePool();
+        try {
+            await this.pool.query(
+                `UPDATE outbound_messages
+                 SET status = 'SENT', provider = $2, sent_at = CURRENT_TIMESTAMP, last_error = NULL
+                 WHERE id = $1`,
+                [id, provider]
+            );
+        } catch (error) {
+            console.error('Error marking outbound message sent:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Record a failed send attempt, scheduling a retry or dead-lettering the message
+     * @param {string} id - Outbound message ID
+     * @param {string} lastError - Why the attempt failed
+     * @param {Date|null} nextAttemptAt - When to retry, or null to move the message to DEAD
+     * @returns {Promise<void>}
+     */
+    async failOutboundMessage(id, lastError, nextAttemptAt) {
+        this._ensurePool();
+        try {
+            await this.pool.query(
+                `UPDATE outbound_messages
+                 SET status = $2, last_error = $3, next_attempt_at = COALESCE($4, next_attempt_at)
+                 WHERE id = $1`,
+                [id, nextAttemptAt ? 'PENDING' : 'DEAD', lastError, nextAttemptAt]
+            );
+        } catch (error) {
+            console.error('Error recording outbound message failure:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * List queued messages (for the admin view)
+     * @param {object} options - Query options
+     * @param {string} options.status - Only messages in this status (optional)
+     * @param {string} options.phoneNumber - Only messages to this number (optional)
+     * @param {number} options.limit - Maximum number of messages (default: 50)
+     * @param {number} options.offset - Messages to skip (default: 0)
+     * @returns {Promise<Array<OutboundMessage>>} - Messages, newest first
+     */
+    async getOutboundMessages({ status = null, phoneNumber = null, limit = 50, offset = 0 } = {}) {
+        this._ensurePool();
+        try {
+            const result = await this.pool.query(
+                `SELECT * FROM outbound_messages
+                 WHERE ($1::text IS NULL OR status = $1)
+                   AND ($2::text IS NULL OR phone_number = $2)
+                 ORDER BY created_at DESC LIMIT $3 OFFSET $4`,
+                [status, phoneNumber, limit, offset]
+            );
+
+            return result.rows.map(row => new OutboundMessage(row));
+        } catch (error) {
+            console.error('Error getting outbound messages:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Count queued messages per status
+     * @returns {Promise<object>} - { PENDING: n, SENDING: n, SENT: n, DEAD: n }
+     */
+    async getOutboundMessageCounts() {
+        this._ensurePool();
+        try {
+            const result = await this.pool.query(
+                'SELECT status, COUNT(*)::int AS count FROM outbound_messages GROUP BY status'
+            );
+
+            const counts = Object.fromEntries(Object.values(OutboundMessage.STATUSES).map(status => [status, 0]));
+            result.rows.forEach(row => {
+                counts[row.status] = row.count;
+            });
+            return counts;
+        } catch (error) {
+            console.error('Error counting outbound messages:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Put a dead-lettered message back in the queue with a fresh set of attempts
+     * @param {string} id - Outbound message ID
+     * @returns {Promise<OutboundMessage|null>} - Requeued message, or null if there is no dead message with that ID
+     */
+    async requeueOutboundMessage(id) {
+        this._ensurePool();
+        try {
+            const result = await this.pool.query(
+                `UPDATE outbound_messages
+                 SET status = 'PENDING', attempts = 0, next_attempt_at = CURRENT_TIMESTAMP
+                 WHERE id = $1 AND status = 'DEAD'
+                 RETURNING *`,
+                [id]
+            );
+
+            return result.rows.length > 0 ? new OutboundMessage(result.rows[0]) : null;
+        } catch (error) {
+            console.error('Error requeuing outbound message:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Record a provider-reported status of a sent WhatsApp message
+     * Creates the row if the status arrives first; a status never replaces a later one
+     * (MessageDelivery.STATUS_ORDER), and the time of each status is kept
+     * @param {object} data - Delivery data
+     * @param {string} data.provider - Provider that sent the message (twilio, wasender)
+     * @param {string} data.providerMessageId - Provider's message ID (Twilio SID, Wasender msgId)
+     * @param {string} data.status - SENT, DELIVERED, READ or FAILED
+     * @param {string} data.phoneNumber - Recipient phone number (optional)
+     * @param {string} data.outboundMessageId - Queued message it was sent for (optional)
+     * @param {string} data.asyncRequestId - Transaction the message is about (optional)
+     * @param {string} data.errorCode - Provider error code for failures (optional)
+     * @param {string} data.errorMessage - Provider error message for failures (optional)
+     * @returns {Promise<MessageDelivery>} - Updated delivery
+     */
+    async recordMessageDelivery({ provider, providerMessageId, status, phoneNumber = null, outboundMessageId = null,
+        asyncRequestId = null, errorCode = null, errorMessage = null }) {
+        this._ensurePool();
+        try {
+            const result = await this.pool.query(
+                `INSERT INTO message_deliveries (provider, provider_message_id, status, phone_number, outbound_message_id,
+                                                 async_request_id, error_code, error_message,
+                                                 sent_at, delivered_at, read_at, failed_at)
+                 VALUES ($1, $2, $3::text, $4, $5, $6, $7, $8,
+                         CASE WHEN $3 = 'SENT' THEN CURRENT_TIMESTAMP END,
+                         CASE WHEN $3 = 'DELIVERED' THEN CURRENT_TIMESTAMP END,
+                         CASE WHEN $3 = 'READ' THEN CURRENT_TIMESTAMP END,
+                         CASE WHEN $3 = 'FAILED' THEN CURRENT_TIMESTAMP END)
+                 ON CONFLICT (provider, provider_message_id) DO UPDATE SET
+                     status = CASE
+                         WHEN array_position($9::text[], EXCLUDED.status) >= array_position($9::text[], message_deliveries.status)
+                         THEN EXCLUDED.status ELSE message_deliveries.status END,
+                     phone_number = COALESCE(message_deliveries.phone_number, EXCLUDED.phone_number),
+                     outbound_message_id = COALESCE(message_deliveries.outbound_message_id, EXCLUDED.outbound_message_id),
+                     async_request_id = COALESCE(message_deliveries.async_request_id, EXCLUDED.async_request_id),
+                     error_code = COALESCE(EXCLUDED.error_code, message_deliveries.error_code),
+                     error_message = COALESCE(EXCLUDED.error_message, message_deliveries.error_message),
+                     sent_at = COALESCE(message_deliveries.sent_at, EXCLUDED.sent_at),
+                     delivered_at = COALESCE(message_deliveries.delivered_at, EXCLUDED.delivered_at),
+                     read_at = COALESCE(message_deliveries.read_at, EXCLUDED.read_at),
+                     failed_at = COALESCE(message_deliveries.failed_at, EXCLUDED.failed_at)
+                 RETURNING *`,
+                [provider, providerMessageId, status, phoneNumber, outboundMessageId, asyncRequestId,
+                    errorCode, errorMessage, MessageDelivery.STATUS_ORDER]
+            );
+
+            return new MessageDelivery(result.rows[0]);
+        } catch (error) {
+            console.error('Error recording message delivery:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get the delivery status of the messages sent about a transaction (receipt, payment updates)
+     * @param {string} asyncRequestId - Transaction's async request ID
+     * @returns {Promise<Array<MessageDelivery>>} - Deliveries with the message text, oldest first
+     */
+    async getMessageDeliveriesByAsyncRequestId(asyncRequestId) {
+        this._ensurePool();
+        try {
+            const result = await this.pool.query(
+                `SELECT d.*, o.body FROM message_deliveries d
+                 LEFT JOIN outbound_messages o ON o.id = d.outbound_message_id
+                 WHERE d.async_request_id = $1
+                 ORDER BY d.created_at ASC`,
+                [asyncRequestId]
+            );
+
+            return result.rows.map(row => new MessageDelivery(row));
+        } catch (error) {
+            console.error('Error getting message deliveries:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Add a message to the conversation log
+     * The phone number's current session and its state are recorded with it
+     * @param {object} data - Message data
+     * @param {string} data.phoneNumber - User's phone number
+     * @param {string} data.direction - INBOUND or OUTBOUND
+     * @param {string} data.channel - Channel (whatsapp, web)
+     * @param {string} data.provider - WhatsApp provider (optional)
+     * @param {string} data.body - Message text
+     * @returns {Promise<ConversationMessage>} - Logged message
+     */
+    async createConversationMessage({ phoneNumber, direction, channel, provider = null, body }) {
+        this._ensurePool();
+        try {
+            const result = await this.pool.query(
+                `INSERT INTO messages (phone_number, session_id, direction, channel, provider, body, state)
+                 SELECT $1, s.id, $2, $3, $4, $5, s.current_state
+                 FROM (SELECT 1) AS one
+                 LEFT JOIN LATERAL (
+                     SELECT id, current_state FROM user_sessions
+                     WHERE phone_number = $1
+                     ORDER BY updated_at DESC LIMIT 1
+                 ) s ON true
+                 RETURNING *`,
+                [phoneNumber, direction, channel, provider, body]
+            );
+
+            return new ConversationMessage(result.rows[0]);
+        } catch (error) {
+            console.error('Error logging conversation message:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get a page of a phone number's conversation log
+     * @param {string} phoneNumber - User's phone number
+     * @param {object} options - Query options
+     * @param {string} options.channel - Only messages on this channel (optional)
+     * @param {string} options.before - Only messages older than this message ID (optional, for the next page)
+     * @param {number} options.limit - Maximum number of messages (default: 50)
+     * @returns {Promise<Array<ConversationMessage>>} - Messages, newest first
+     */
+    async getConversationMessages(phoneNumber, { channel = null, before = null, limit = 50 } = {}) {
+        this._ensurePool();
+        try {
+            const result = await this.pool.query(
+                `SELECT * FROM messages
+                 WHERE phone_number = $1
+                   AND ($2::text IS NULL OR channel = $2)
+                   AND ($3::bigint IS NULL OR id < $3)
+                 ORDER BY id DESC LIMIT $4`,
+                [phoneNumber, channel, before, limit]
+            );
+
+            return result.rows.map(row => new ConversationMessage(row));
+        } catch (error) {
+            console.error('Error getting conversation messages:', error);
+            throw error;
+        }
+    }
+
     /**
      * Close database connection pool
      */
@@ -0,0 +1,106 @@
+/**
+ * Delivery Status Service - Tracks whether the WhatsApp messages we send are delivered and read
+ * Sends are recorded by the outbound queue; Twilio status callbacks and Wasender message update
+ * and receipt events move them on to DELIVERED, READ or FAILED
+ */
+
+const dbService = require('./dbService');
+const MessageDelivery = require('../models/messageDelivery');
+require('dotenv').config();
+
+class DeliveryStatusService {
+    // Twilio MessageStatus values we track (queued, sending, accepted, ... are ignored)
+    static TWILIO_STATUSES = {
+        sent: MessageDelivery.STATUSES.SENT,
+        delivered: MessageDelivery.STATUSES.DELIVERED,
+        read: MessageDelivery.STATUSES.READ,
+        undelivered: MessageDelivery.STATUSES.FAILED,
+        failed: MessageDelivery.STATUSES.FAILED
+    };
+
+    // Wasender (WhatsApp Web) message status codes and names (PENDING / 1 is ignored)
+    static WASENDER_STATUSES = {
+        0: MessageDelivery.STATUSES.FAILED,
+        2: MessageDelivery.STATUSES.SENT,
+        3: MessageDelivery.STATUSES.DELIVERED,
+        4: MessageDelivery.STATUSES.READ,
+        5: MessageDelivery.STATUSES.READ,
+        error: MessageDelivery.STATUSES.FAILED,
+        failed: MessageDelivery.STATUSES.FAILED,
+        server_ack: MessageDelivery.STATUSES.SENT,
+        sent: MessageDelivery.STATUSES.SENT,
+        delivery_ack: MessageDelivery.STATUSES.DELIVERED,
+        delivered: MessageDelivery.STATUSES.DELIVERED,
+        read: MessageDelivery.STATUSES.READ,
+        played: MessageDelivery.STATUSES.READ
+    };
+
+    /**
+     * Map a Twilio MessageStatus to a delivery status
+     * @param {string} status - Twilio status (e.g. delivered, undelivered)
+     * @returns {string|null} - Delivery status, or null if it is not tracked
+     */
+    mapTwilioStatus(status) {
+        return DeliveryStatusService.TWILIO_STATUSES[String(status || '').toLowerCase()] || null;
+    }
+
+    /**
+     * Map a Wasender message status to a delivery status
+     * @param {number|string} status - Status code (3) or name (DELIVERY_ACK, delivered)
+     * @returns {string|null} - Delivery status, or null if it is not tracked
+     */
+    mapWasenderStatus(status) {
+        if (status === null || status === undefined) {
+            return null;
+        }
+        return DeliveryStatusService.WASENDER_STATUSES[String(status).toLowerCase()] || null;
+    }
+
+    /**
+     * Record that a provider accepted a message
+     * Never throws: losing the status must not fail (and so repeat) the send
+     * @param {object} data - { provider, providerMessageId, phoneNumber, outboundMessageId, asyncRequestId }
+     * @returns {Promise<MessageDelivery|null>} - Delivery, or null if it could not be recorded
+     */
+    async recordSent(data) {
+        if (!data.providerMessageId) {
+            return null;
+        }
+
+        try {
+            return await dbService.recordMessageDelivery({ ...data, status: MessageDelivery.STATUSES.SENT });
+        } catch (error) {
+            console.error(`Could not record ${data.provider} message ${data.providerMessageId} as sent:`, error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Record a status reported by a provider
+     * @param {object} data - { provider, providerMessageId, status, phoneNumber, errorCode, errorMessage }
+     * @returns {Promise<MessageDelivery|null>} - Updated delivery, or null if there was nothing to record
+     */
+    async recordStatus(data) {
+        if (!data.providerMessageId || !data.status) {
+            return null;
+        }
+
+        const delivery = await dbService.recordMessageDelivery(data);
+        if (data.status === MessageDelivery.STATUSES.FAILED) {
+            console.warn(`⚠️  ${data.provider} message ${data.providerMessageId} to ${delivery.phoneNumber || 'unknown number'} failed` +
+                `${data.errorCode ? ` (${data.errorCode})` : ''}${data.errorMessage ? `: ${data.errorMessage}` : ''}`);
+        }
+        return delivery;
+    }
+
+    /**
+     * Get the delivery status of the messages sent about a transaction
+     * @param {string} asyncRequestId - Transaction's async request ID
+     * @returns {Promise<Array<MessageDelivery>>} - Deliveries, oldest first
+     */
+    async getTransactionDeliveries(asyncRequestId) {
+        return await dbService.getMessageDeliveriesByAsyncRequestId(asyncRequestId);
+    }
+}
+
+module.exports = new DeliveryStatusService();
@@ -5,6 +5,7 @@
 
 const axios = require('axios');
 const signatureService = require('./signatureService');
+const InputValidator = require('../utils/inputValidator');
 require('dotenv').config();
 
 class ECGService {
@@ -140,12 +141,17 @@ class ECGService {
     }
 
     /**
-     * Format phone number (remove spaces, dashes, etc.)
+     * Format phone number for the ECG APIs (remove spaces, dashes, etc.)
+     * The app keeps Ghana numbers in E.164 (+233244123456); ECG takes them in the local format (0244123456)
      * @param {string} phoneNumber - Phone number to format
      * @returns {string} - Formatted phone number
      */
     formatPhoneNumber(phoneNumber) {
         if (!phoneNumber) return '';
+        const validation = InputValidator.validatePhoneNumber(phoneNumber);
+        if (validation.valid) {
+            return validation.value.replace(/^\+233/, '0');
+        }
         // Remove all non-digit characters except +
         return phoneNumber.replace(/[^\d+]/g, '');
     }
@@ -279,7 +285,7 @@ class ECGService {
             asyncRequestId: asyncRequestId || '',
             referenceId: referenceId || '',
             meterSerial: meterSerial || '',
-            mobileNumber: mobileNumber || '',
+            mobileNumber: mobileNumber ? this.formatPhoneNumber(mobileNumber) : '',
             meterType: meterType || '',
             machineSignature: signature || ''
         };
@@ -310,6 +316,138 @@ class ECGService {
         }
     }
 
+    /**
+     * Charge (purchase) for prepaid/postpaid
+     * Must reuse the asyncRequestId that was sent with the enquiry
+     * @param {object} params - Charge parameters
+     * @param {string} params.asyncRequestId - Async request ID from the enquiry
+     * @param {string} params.referenceId - Reference ID
+     * @param {string} params.meterSerial - Meter serial number
+     * @param {string} params.mobileNumber - Mobile number
+     * @param {string} params.meterType - Meter type
+     * @param {number|string} params.amount - Amount to charge
+     * @param {string} params.machineSignature - Machine signature (optional)
+     * @returns {Promise<object>} - Charge response
+     * @throws {Error} - Throws error with type 'timeout', 'connection', or 'api' for proper handling
+     */
+    async charge({ asyncRequestId, referenceId, meterSerial, mobileNumber, meterType, amount, machineSignature }) {
+        this._ensureBaseUrl();
+
+        if (!asyncRequestId) {
+            const error = new Error('asyncRequestId is required to charge - it must match the enquiry');
+            error.type = 'api';
+            throw error;
+        }
+        
+        // Generate machine signature if not provided
+        let signature = machineSignature;
+        if (!signature) {
+            try {
+                signature = await signatureService.getMachineSignature();
+                console.log('Machine signature:', signature);
+            } catch (sigError) {
+                console.error('Failed to generate machine signature:', sigError.message);
+            }
+        }
+
+        const model = {
+            asyncRequestId: asyncRequestId,
+            referenceId: referenceId || '',
+            meterSerial: meterSerial || '',
+            mobileNumber: mobileNumber ? this.formatPhoneNumber(mobileNumber) : '',
+            meterType: meterType || '',
+            amount: Number(amount) || 0,
+            machineSignature: signature || ''
+        };
+
+        try {
+            const response = await this._makeAuthenticatedRequest(async (headers) => {
+                return axios.post(
+                    `${this.baseUrl}/api/Power/OnlineCharge`,
+                    model,
+                    {
+                        headers,
+                        timeout: 60000
+                    }
+                );
+            });
+
+            if (response.status === 200 && response.data) {
+                console.log('Charge response:', response.data);
+                return response.data;
+            }
+
+            const error = new Error('Failed to process charge');
+            error.type = 'api';
+            error.statusCode = response.status;
+            throw error;
+        } catch (error) {
+            this._handleError(error, 'processing charge');
+        }
+    }
+
+    /**
+     * Get the current status of a charge request
+     * @param {object} params - Status parameters
+     * @param {string} params.asyncRequestId - Async request ID used for the enquiry and charge
+     * @returns {Promise<object>} - Charge status response
+     * @throws {Error} - Throws error with type 'timeout', 'connection', or 'api' for proper handling
+     */
+    async getChargeStatus({ asyncRequestId }) {
+        this._ensureBaseUrl();
+
+        const model = {
+            asyncRequestId: asyncRequestId || ''
+        };
+
+        try {
+            const response = await this._makeAuthenticatedRequest(async (headers) => {
+                return axios.post(
+                    `${this.baseUrl}/api/Power/OnlineStatus`,
+                    model,
+                    {
+                        headers,
+                        timeout: 10000
+                    }
+                );
+            });
+
+            if (response.status === 200 && response.data) {
+                console.log('Charge status:', response.data);
+                return response.data;
+            }
+
+            const error = new Error('Failed to retrieve charge status');
+            error.type = 'api';
+            error.statusCode = response.status;
+            throw error;
+        } catch (error) {
+            this._handleError(error, 'getting charge status');
+        }
+    }
+
+    /**
+     * Interpret a charge status response
+     * @param {object} statusResponse - Response from getChargeStatus
+     * @returns {object} - { status: 'PENDING' | 'SUCCESSFUL' | 'FAILED', token, reference, reason, datum }
+     */
+    parseChargeStatus(statusResponse) {
+        const datum = statusResponse?.data?.[0] || {};
+        const token = datum.token || datum.stsToken || '';
+        const reference = datum.paymentReference || datum.transactionReference || '';
+        const rawStatus = String(datum.status || datum.chargeStatus || '').toUpperCase();
+        const reason = datum.reason || datum.message || statusResponse?.message || '';
+
+        let status = 'PENDING';
+        if (token || ['SUCCESS', 'SUCCESSFUL', 'COMPLETED', 'VENDED'].includes(rawStatus)) {
+            status = 'SUCCESSFUL';
+        } else if (['FAILED', 'FAILURE', 'ERROR', 'REVERSED', 'DECLINED'].includes(rawStatus)) {
+            status = 'FAILED';
+        }
+
+        return { status, token, reference, reason, datum };
+    }
+
     /**
      * Clear the current auth token (useful for testing or forced re-login)
      */
@@ -0,0 +1,432 @@
+/**
+ * Flow Engine - Runs declarative conversation flows
+ *
+ * A flow is a set of named states. Each state definition may declare:
+ *   - prompt(session)            What to show when entering/resuming the state (may be async)
+ *   - help                       Catalog key of extra text shown by HELP in this state
+ *   - timeoutMinutes             Inactivity timeout (omit for states that never expire)
+ *   - resumable                  Offer "continue where you left off?" after a short absence
+ *   - options                    Menu choices: { '1': async (session) => response, ... }
+ *   - fields, review, backState, onComplete
+ *                                Step-by-step field collection with validation, SKIP, BACK and EDIT
+ *                                (fields are shown by their labelKey translation, falling back to label)
+ *   - review: { onConfirm }      Review of the fields collected by the previous state
+ *   - confirm: { onYes, onNo }   YES/NO confirmation
+ *   - onMessage(session, text)   Custom handler for anything else (with options: for anything
+ *                                that is not one of the choices)
+ *   - locked                     Global commands other than HELP are not run and every message goes to
+ *                                the state's handler (states a payment is in progress in)
+ *
+ * Global commands (CANCEL, MENU, HELP and any registered with registerCommand)
+ * are checked before the current state's handler runs.
+ */
+
+const dbService = require('./dbService');
+const MessageFormatter = require('../utils/messageFormatter');
+const I18n = require('../utils/i18n');
+
+class FlowEngine {
+    // Keywords that cancel the current flow from any state
+    static CANCEL_KEYWORDS = ['CANCEL', 'STOP', 'END', 'QUIT', 'EXIT', 'ABORT'];
+
+    constructor() {
+        this.states = {};
+        this.commands = [];
+    }
+
+    /**
+     * Register the states of a flow
+     * @param {object} flow - Flow definition ({ name, states })
+     */
+    registerFlow(flow) {
+        Object.entries(flow.states).forEach(([name, definition]) => {
+            if (this.states[name]) {
+                throw new Error(`State ${name} is already defined by the ${this.states[name].flow} flow`);
+            }
+            this.states[name] = { ...definition, name, flow: flow.name };
+        });
+    }
+
+    /**
+     * Register a global command, available from any state
+     * @param {object} command - Command definition
+     * @param {string} command.name - Command name (for logging)
+     * @param {function(string, string): *} command.match - Returns a truthy match for (text, upperText)
+     * @param {function(object, *): Promise<string>} command.handle - Handles (session, match)
+     */
+    registerCommand(command) {
+        this.commands.push(command);
+    }
+
+    /**
+     * Get a state definition
+     * @param {string} name - State name
+     * @returns {object|null} - State definition or null if not registered
+     */
+    getState(name) {
+        return this.states[name] || null;
+    }
+
+    /**
+     * Handle an incoming message for a session
+     * @param {object} session - User session
+     * @param {string} message - User message
+     * @returns {Promise<string>} - Response message
+     */
+    async handleMessage(session, message) {
+        const text = message.trim();
+        const upperText = text.toUpperCase();
+        const state = this.getState(session.currentState);
+
+        // A payment in progress can't be cancelled or left; the state's handler says so
+        if (state && state.locked && upperText !== 'HELP') {
+            return await this._runState(session, state, text);
+        }
+
+        // Built-in global commands
+        if (FlowEngine.CANCEL_KEYWORDS.includes(upperText)) {
+            // Delete old session and create a fresh one
+            await dbService.deleteSession(session.id);
+            const newSession = await dbService.getOrCreateSession(session.phoneNumber);
+            return MessageFormatter.formatCancellationWithMenu(newSession.id);
+        }
+        if (upperText === 'MENU' || upperText === 'RESET') {
+            return await this.reset(session);
+        }
+        if (upperText === 'HELP') {
+            return MessageFormatter.formatHelp(state && state.help ? I18n.t(state.help) : null, !(state && state.locked));
+        }
+
+        // Registered global commands
+        for (const command of this.commands) {
+            const match = command.match(text, upperText);
+            if (match) {
+                return await command.handle(session, match);
+            }
+        }
+
+        if (!state) {
+            return await this.reset(session);
+        }
+
+        // Expire abandoned sessions and offer to resume recent ones
+        const inactivityResponse = await this._checkInactivity(session, state, upperText);
+        if (inactivityResponse) {
+            return inactivityResponse;
+        }
+
+        return await this._runState(session, state, text);
+    }
+
+    /**
+     * Move a session to a state and return the state's prompt
+     * @param {object} session - User session
+     * @param {string} stateName - State to enter
+     * @param {object} sessionData - Session data to merge (optional)
+     * @returns {Promise<string>} - Prompt of the new state
+     */
+    async enter(session, stateName, sessionData = {}) {
+        const updatedSession = await dbService.updateSession(session.id, stateName, sessionData);
+        return await this.prompt(updatedSession || { ...session, currentState: stateName, sessionData });
+    }
+
+    /**
+     * Get the prompt of the state a session is currently on
+     * @param {object} session - User session
+     * @returns {Promise<string>} - Prompt for the current step
+     */
+    async prompt(session) {
+        const state = this.getState(session.currentState);
+
+        if (state && state.fields) {
+            const sessionData = session.sessionData || {};
+            const field = state.fields[sessionData.currentFieldIndex || 0];
+            return MessageFormatter.formatMeterInfoPrompt(this._getFieldLabel(field), !field.required, sessionData[field.key]);
+        }
+        if (state && state.prompt) {
+            return await state.prompt(session);
+        }
+        return MessageFormatter.formatMenu(session.id);
+    }
+
+    /**
+     * Reset a session to the main menu
+     * @param {object} session - User session
+     * @returns {Promise<string>} - Menu message
+     */
+    async reset(session) {
+        const resetSession = await dbService.resetSession(session.id);
+        if (resetSession) {
+            return MessageFormatter.formatMenu(resetSession.id);
+        }
+        // Session was deleted, create new one
+        const newSession = await dbService.getOrCreateSession(session.phoneNumber);
+        return MessageFormatter.formatMenu(newSession.id);
+    }
+
+    /**
+     * Run the handler of the current state
+     * @private
+     * @param {object} session - User session
+     * @param {object} state - State definition
+     * @param {string} text - Trimmed user message
+     * @returns {Promise<string>} - Response message
+     */
+    async _runState(session, state, text) {
+        const upperText = text.toUpperCase();
+
+        if (state.options) {
+            const option = state.options[upperText];
+            if (option) {
+                return await option(session);
+            }
+            return state.onMessage ? await state.onMessage(session, text) : await this.prompt(session);
+        }
+
+        if (state.fields) {
+            return await this._handleFieldInput(session, state, text);
+        }
+
+        if (state.review) {
+            return await this._handleReview(session, state, upperText);
+        }
+
+        if (state.confirm) {
+            if (upperText === 'YES' || upperText === 'Y' || upperText === 'CONFIRM') {
+                return await state.confirm.onYes(session);
+            }
+            if (upperText === 'NO' || upperText === 'N') {
+                return await state.confirm.onNo(session);
+            }
+            return await this.prompt(session);
+        }
+
+        if (state.onMessage) {
+            return await state.onMessage(session, text);
+        }
+
+        return await this.prompt(session);
+    }
+
+    /**
+     * Handle input for a field collection state (value, SKIP, BACK or EDIT <field>)
+     * @private
+     * @param {object} session - User session
+     * @param {object} state - State definition with fields
+     * @param {string} text - Trimmed user message
+     * @returns {Promise<string>} - Response message
+     */
+    async _handleFieldInput(session, state, text) {
+        const upperText = text.toUpperCase();
+        const sessionData = session.sessionData || {};
+        let currentFieldIndex = sessionData.currentFieldIndex || 0;
+
+        // Handle navigation between fields
+        if (upperText === 'BACK') {
+            if (currentFieldIndex === 0) {
+                return state.backState ? await this.enter(session, state.backState) : await this.reset(session);
+            }
+            return await this._promptField(session, state, sessionData, currentFieldIndex - 1);
+        }
+        const editMatch = upperText.match(/^EDIT\s+(.+)$/);
+        if (editMatch) {
+            return await this._editField(session, state, sessionData, editMatch[1]);
+        }
+
+        const field = state.fields[currentFieldIndex];
+
+        // Handle SKIP for optional fields
+        if (upperText === 'SKIP' && !field.required) {
+            sessionData[field.key] = null;
+        } else {
+            // Validate and store the field value; re-prompt for the same field if invalid
+            const validation = field.validate ? field.validate(text, sessionData) : { valid: true, value: text };
+            if (!validation.valid) {
+                return MessageFormatter.formatValidationError(validation.error, this._getFieldLabel(field), !field.required);
+            }
+            sessionData[field.key] = validation.value;
+        }
+        currentFieldIndex++;
+
+        // After an EDIT, continue from where the user was before
+        if (Number.isInteger(sessionData.returnToFieldIndex)) {
+            currentFieldIndex = Math.max(currentFieldIndex, sessionData.returnToFieldIndex);
+            sessionData.returnToFieldIndex = null;
+        }
+        sessionData.currentFieldIndex = currentFieldIndex;
+
+        if (currentFieldIndex < state.fields.length) {
+            // Ask for next field
+            return await this.enter(session, state.name, sessionData);
+        }
+
+        // All fields collected - review them, or complete the step
+        if (state.review) {
+            return await this.enter(session, state.review, { ...sessionData, fieldsState: state.name });
+        }
+        return await state.onComplete(session, sessionData);
+    }
+
+    /**
+     * Handle input for a review state (YES, BACK or EDIT <field>)
+     * @private
+     * @param {object} session - User session
+     * @param {object} state - Review state definition
+     * @param {string} upperText - Upper-cased user message
+     * @returns {Promise<string>} - Response message
+     */
+    async _handleReview(session, state, upperText) {
+        const sessionData = session.sessionData || {};
+        const fieldsState = this.getState(sessionData.fieldsState);
+
+        if (upperText === 'YES' || upperText === 'Y' || upperText === 'CONFIRM') {
+            return await state.review.onConfirm(session, sessionData);
+        }
+
+        if (fieldsState && upperText === 'BACK') {
+            return await this._promptField(session, fieldsState, sessionData, fieldsState.fields.length - 1);
+        }
+
+        const editMatch = upperText.match(/^EDIT\s+(.+)$/);
+        if (fieldsState && editMatch) {
+            return await this._editField(session, fieldsState, sessionData, editMatch[1]);
+        }
+
+        return await this.prompt(session);
+    }
+
+    /**
+     * Handle EDIT <field> - change a value that was already entered
+     * @private
+     * @param {object} session - User session
+     * @param {object} state - Field collection state definition
+     * @param {object} sessionData - Session data
+     * @param {string} fieldName - Field name typed by the user (e.g. METER, PHONE NUMBER)
+     * @returns {Promise<string>} - Response message
+     */
+    async _editField(session, state, sessionData, fieldName) {
+        const name = fieldName.trim().toUpperCase();
+        const fieldIndex = state.fields.findIndex(field =>
+            field.label.toUpperCase() === name
+            || this._getFieldLabel(field).toUpperCase() === name
+            || (field.aliases || []).includes(name)
+        );
+        const currentFieldIndex = sessionData.currentFieldIndex || 0;
+
+        if (fieldIndex === -1) {
+            const names = state.fields.map(field => `*${(field.aliases || [field.label])[0].toUpperCase()}*`);
+            return MessageFormatter.formatError(I18n.t('meterInfo.editableFields', {
+                fields: names.slice(0, -1).join(', '),
+                last: names[names.length - 1],
+                example: (state.fields[0].aliases || [state.fields[0].label])[0].toUpperCase()
+            }));
+        }
+        if (fieldIndex >= currentFieldIndex) {
+            const currentField = state.fields[currentFieldIndex];
+            return MessageFormatter.formatValidationError(
+                I18n.t('meterInfo.notEntered', { field: this._getFieldLabel(state.fields[fieldIndex]) }),
+                this._getFieldLabel(currentField),
+                !currentField.required
+            );
+        }
+
+        return await this._promptField(session, state, {
+            ...sessionData,
+            returnToFieldIndex: currentFieldIndex
+        }, fieldIndex);
+    }
+
+    /**
+     * Move field collection to a field and prompt for it, showing its current value
+     * @private
+     * @param {object} session - User session
+     * @param {object} state - Field collection state definition
+     * @param {object} sessionData - Session data
+     * @param {number} fieldIndex - Index in the state's fields
+     * @returns {Promise<string>} - Response message
+     */
+    async _promptField(session, state, sessionData, fieldIndex) {
+        return await this.enter(session, state.name, {
+            ...sessionData,
+            currentFieldIndex: fieldIndex
+        });
+    }
+
+    /**
+     * Get the label of a field in the current language
+     * @private
+     * @param {object} field - Field definition
+     * @returns {string} - Field label
+     */
+    _getFieldLabel(field) {
+        return field.labelKey ? I18n.t(field.labelKey) : field.label;
+    }
+
+    /**
+     * Check how long a session has been inactive. Expired sessions are reset to the menu;
+     * partial sessions that have been idle for a while get a "continue where you left off?" prompt.
+     * @private
+     * @param {object} session - User session
+     * @param {object} state - Current state definition
+     * @param {string} upperText - Upper-cased user message
+     * @returns {Promise<string|null>} - Response message, or null to continue normally
+     */
+    async _checkInactivity(session, state, upperText) {
+        const sessionData = session.sessionData || {};
+        const timeoutMinutes = this._getTimeoutMinutes(state);
+        const idleMinutes = session.updatedAt
+            ? (Date.now() - new Date(session.updatedAt).getTime()) / 60000
+            : 0;
+
+        if (timeoutMinutes && idleMinutes >= timeoutMinutes) {
+            console.log(`Session ${session.id} expired in ${session.currentState} after ${Math.round(idleMinutes)} minutes`);
+            const resetSession = await dbService.resetSession(session.id);
+            return MessageFormatter.formatSessionExpired(resetSession ? resetSession.id : session.id);
+        }
+
+        // Answer to a previous resume prompt
+        if (sessionData.resumePending) {
+            if (upperText === 'YES' || upperText === 'Y') {
+                const resumedSession = await dbService.updateSession(session.id, session.currentState, { resumePending: false });
+                return await this.prompt(resumedSession || session);
+            }
+            if (upperText === 'NO' || upperText === 'N') {
+                return await this.reset(session);
+            }
+            return MessageFormatter.formatResumePrompt();
+        }
+
+        if (state.resumable && idleMinutes >= this._getResumeAfterMinutes()) {
+            await dbService.updateSession(session.id, session.currentState, { resumePending: true });
+            return MessageFormatter.formatResumePrompt();
+        }
+
+        return null;
+    }
+
+    /**
+     * Get the inactivity timeout of a state
+     * @private
+     * @param {object} state - State definition
+     * @returns {number|null} - Timeout in minutes, or null if the state never expires
+     */
+    _getTimeoutMinutes(state) {
+        const override = parseFloat(process.env[`SESSION_TIMEOUT_${state.name}_MINUTES`]);
+        if (!Number.isNaN(override)) {
+            return override > 0 ? override : null;
+        }
+        return state.timeoutMinutes || null;
+    }
+
+    /**
+     * Get how long a partial session must be idle before offering to resume it
+     * @private
+     * @returns {number} - Minutes (SESSION_RESUME_AFTER_MINUTES, default: 5)
+     */
+    _getResumeAfterMinutes() {
+        const minutes = parseFloat(process.env.SESSION_RESUME_AFTER_MINUTES);
+        return Number.isNaN(minutes) || minutes <= 0 ? 5 : minutes;
+    }
+}
+
+module.exports = FlowEngine;
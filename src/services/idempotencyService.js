@@ -0,0 +1,82 @@
+/**
+ * Idempotency Service - Remembers processed inbound message IDs so provider retries are not handled twice
+ */
+
+const dbService = require('./dbService');
+require('dotenv').config();
+
+class IdempotencyService {
+    // How often expired message IDs are purged (at most)
+    static PURGE_INTERVAL_MS = 60 * 60 * 1000;
+
+    constructor() {
+        const ttlHours = process.env.INBOUND_MESSAGE_TTL_HOURS ? parseFloat(process.env.INBOUND_MESSAGE_TTL_HOURS) : 24;
+        this.ttlSeconds = Math.round(ttlHours * 60 * 60);
+        this.lastPurgeAt = 0;
+    }
+
+    /**
+     * Record an inbound message as processed
+     * @param {string} provider - Provider name (twilio, wasender)
+     * @param {string} messageId - Provider message ID (MessageSid, key.id)
+     * @param {string} phoneNumber - Sender's WhatsApp number
+     * @returns {Promise<boolean>} - True if the message should be processed, false for a duplicate delivery
+     */
+    async markProcessed(provider, messageId, phoneNumber) {
+        if (!messageId) {
+            return true;
+        }
+
+        this._purgeExpired();
+
+        try {
+            return await dbService.recordInboundMessage(provider, messageId, phoneNumber, this.ttlSeconds);
+        } catch (error) {
+            // Better to risk a duplicate reply than to drop the message
+            console.error(`Could not check ${provider} message ${messageId} for duplicates:`, error.message);
+            return true;
+        }
+    }
+
+    /**
+     * Forget a message so the provider's retry is processed (used when processing failed)
+     * @param {string} provider - Provider name
+     * @param {string} messageId - Provider message ID
+     * @returns {Promise<void>}
+     */
+    async forget(provider, messageId) {
+        if (!messageId) {
+            return;
+        }
+
+        try {
+            await dbService.forgetInboundMessage(provider, messageId);
+        } catch (error) {
+            console.error(`Could not forget ${provider} message ${messageId}:`, error.message);
+        }
+    }
+
+    /**
+     * Delete expired message IDs, at most once per PURGE_INTERVAL_MS (async, don't wait)
+     * @private
+     */
+    _purgeExpired() {
+        const now = Date.now();
+        if (now - this.lastPurgeAt < IdempotencyService.PURGE_INTERVAL_MS) {
+            return;
+        }
+        this.lastPurgeAt = now;
+
+        dbService.deleteInboundMessagesBefore(new Date(now - this.ttlSeconds * 1000))
+            .then(count => {
+                if (count > 0) {
+                    console.log(`Purged ${count} expired inbound message IDs`);
+                }
+            })
+            .catch(error => {
+                console.error('Error purging inbound message IDs:', error.message);
+            });
+    }
+}
+
+module.exports = new IdempotencyService();
@@ -0,0 +1,76 @@
+/**
+ * Message Log Service - Keeps every inbound and outbound conversation message (all channels)
+ * for restoring the web chat and auditing disputes
+ */
+
+const dbService = require('./dbService');
+const ConversationMessage = require('../models/conversationMessage');
+const InteractiveMessage = require('../models/interactiveMessage');
+
+class MessageLogService {
+    /**
+     * Log a message a user sent us
+     * @param {string} phoneNumber - User's phone number
+     * @param {string} channel - Channel (whatsapp, web)
+     * @param {string} message - Message text
+     * @param {string|null} provider - WhatsApp provider that delivered it (optional)
+     * @returns {Promise<ConversationMessage|null>} - Logged message, or null if it could not be logged
+     */
+    async logInbound(phoneNumber, channel, message, provider = null) {
+        return await this._log(phoneNumber, ConversationMessage.DIRECTIONS.INBOUND, channel, message, provider);
+    }
+
+    /**
+     * Log a message we sent a user (replies and async follow-ups)
+     * @param {string} phoneNumber - User's phone number
+     * @param {string} channel - Channel (whatsapp, web)
+     * @param {string|InteractiveMessage} message - Message (logged as its text version)
+     * @param {string|null} provider - WhatsApp provider it was sent or queued through (optional)
+     * @returns {Promise<ConversationMessage|null>} - Logged message, or null if it could not be logged
+     */
+    async logOutbound(phoneNumber, channel, message, provider = null) {
+        return await this._log(phoneNumber, ConversationMessage.DIRECTIONS.OUTBOUND, channel, message, provider);
+    }
+
+    /**
+     * Get a page of a user's conversation, oldest first
+     * @param {string} phoneNumber - User's phone number
+     * @param {object} options - { channel, before (message ID), limit }
+     * @returns {Promise<{messages: Array<ConversationMessage>, hasMore: boolean}>} - Messages and whether older ones exist
+     */
+    async getHistory(phoneNumber, { channel = null, before = null, limit = 50 } = {}) {
+        // One extra row tells whether there is another page
+        const messages = await dbService.getConversationMessages(phoneNumber, { channel, before, limit: limit + 1 });
+        return {
+            messages: messages.slice(0, limit).reverse(),
+            hasMore: messages.length > limit
+        };
+    }
+
+    /**
+     * Write a message to the log
+     * Never throws: a message must not fail to send because it could not be logged
+     * @private
+     * @returns {Promise<ConversationMessage|null>} - Logged message, or null on error
+     */
+    async _log(phoneNumber, direction, channel, message, provider) {
+        if (!phoneNumber || message === null || message === undefined) {
+            return null;
+        }
+
+        try {
+            return await dbService.createConversationMessage({
+                phoneNumber,
+                direction,
+                channel,
+                provider,
+                body: InteractiveMessage.toText(message)
+            });
+        } catch (error) {
+            console.error(`Could not log ${direction.toLowerCase()} ${channel} message for ${phoneNumber}:`, error.message);
+            return null;
+        }
+    }
+}
+
+module.exports = new MessageLogService();
@@ -0,0 +1,151 @@
+/**
+ * Messaging Service - Delivers outbound messages on the channel(s) each user is talking to us on
+ * (WhatsApp, preferring the provider that delivered their message, the web/mobile chat's socket room, ...)
+ */
+
+const outboundQueueService = require('./outboundQueueService');
+const messageLogService = require('./messageLogService');
+const InteractiveMessage = require('../models/interactiveMessage');
+const I18n = require('../utils/i18n');
+require('dotenv').config();
+
+class MessagingService {
+    static CHANNELS = {
+        WHATSAPP: 'whatsapp',
+        WEB: 'web'
+    };
+
+    constructor() {
+        // A channel counts as active if the user wrote on it within this many minutes
+        this.activeMinutes = process.env.CHANNEL_ACTIVE_MINUTES ? parseInt(process.env.CHANNEL_ACTIVE_MINUTES) : 30;
+
+        // Socket.IO server for web/mobile chat rooms (set at startup)
+        this.io = null;
+
+        // phoneNumber -> Map(channel -> { details, lastSeenAt })
+        this.activity = new Map();
+
+        // channel -> async (phoneNumber, message, details, options) => result or null
+        this.senders = new Map();
+
+        // WhatsApp messages go through the durable send queue, which tries the provider the user
+        // wrote through first, then fails over in the configured order
+        this.registerChannel(MessagingService.CHANNELS.WHATSAPP, (phoneNumber, message, details, options) =>
+            outboundQueueService.enqueue(phoneNumber, message, details.provider || null, options.asyncRequestId || null)
+        );
+        this.registerChannel(MessagingService.CHANNELS.WEB, async (phoneNumber, message, details) =>
+            this.emitToWebSession(details.sessionId, message)
+        );
+    }
+
+    /**
+     * Add (or replace) an outbound channel
+     * @param {string} channel - Channel name
+     * @param {function(string, (string|InteractiveMessage), object, object): Promise<*>} sender - Sends a message
+     *        to a phone number using the details recorded for the channel and the send options; resolves to null on failure
+     */
+    registerChannel(channel, sender) {
+        this.senders.set(channel, sender);
+    }
+
+    /**
+     * Set the Socket.IO server used for web/mobile chat rooms
+     * @param {object} io - Socket.IO server
+     */
+    setSocketServer(io) {
+        this.io = io;
+    }
+
+    /**
+     * Remember that a user wrote to us on a channel
+     * @param {string} phoneNumber - User's phone number
+     * @param {string} channel - Channel name (whatsapp, web)
+     * @param {object} details - What the channel needs to reach the user again
+     *        (whatsapp: { provider: 'twilio'|'wasender' }, web: { sessionId })
+     */
+    recordInbound(phoneNumber, channel, details = {}) {
+        const channels = this.activity.get(phoneNumber) || new Map();
+        channels.set(channel, { details, lastSeenAt: Date.now() });
+        this.activity.set(phoneNumber, channels);
+    }
+
+    /**
+     * Get the channels an outbound message should go to
+     * Every channel used within CHANNEL_ACTIVE_MINUTES, otherwise the one used last, otherwise WhatsApp
+     * @param {string} phoneNumber - User's phone number
+     * @returns {Array<{channel: string, details: object}>} - Channels to deliver on
+     */
+    getChannels(phoneNumber) {
+        const channels = [...(this.activity.get(phoneNumber) || new Map()).entries()]
+            .map(([channel, entry]) => ({ channel, ...entry }))
+            .sort((a, b) => b.lastSeenAt - a.lastSeenAt);
+
+        if (channels.length === 0) {
+            return [{ channel: MessagingService.CHANNELS.WHATSAPP, details: {} }];
+        }
+
+        const activeSince = Date.now() - this.activeMinutes * 60 * 1000;
+        const active = channels.filter(entry => entry.lastSeenAt >= activeSince);
+        return (active.length > 0 ? active : channels.slice(0, 1))
+            .map(({ channel, details }) => ({ channel, details }));
+    }
+
+    /**
+     * Send a message to a user on the channel(s) they are using
+     * @param {string} phoneNumber - User's phone number
+     * @param {string|InteractiveMessage} message - Message to send
+     * @param {object} options - Send options
+     * @param {string} options.asyncRequestId - Transaction the message is about (its WhatsApp delivery status
+     *        is then shown on the transaction)
+     * @returns {Promise<object|null>} - Result from the first channel that delivered, or null if none did
+     */
+    async send(phoneNumber, message, options = {}) {
+        let delivered = null;
+
+        for (const { channel, details } of this.getChannels(phoneNumber)) {
+            const sender = this.senders.get(channel);
+            if (!sender) {
+                console.error(`No sender registered for channel ${channel}`);
+                continue;
+            }
+
+            try {
+                const result = await sender(phoneNumber, message, details, options);
+                if (result) {
+                    delivered = delivered || result;
+                    await messageLogService.logOutbound(phoneNumber, channel, message, details.provider || null);
+                } else {
+                    console.error(`Failed to send message to ${phoneNumber} on ${channel}`);
+                }
+            } catch (error) {
+                console.error(`Error sending message to ${phoneNumber} on ${channel}:`, error.message);
+            }
+        }
+
+        return delivered;
+    }
+
+    /**
+     * Push a bot message to the web/mobile chat clients of a session
+     * @param {string} sessionId - Session ID (socket room session-<id>)
+     * @param {string|InteractiveMessage} message - Message (the chat shows its text version)
+     * @param {string} language - Language code sent with the message (default: current language)
+     * @returns {object|null} - The emitted payload, or null if there is no socket server
+     */
+    emitToWebSession(sessionId, message, language = I18n.getLanguage()) {
+        if (!this.io || !sessionId) {
+            return null;
+        }
+
+        const payload = {
+            type: 'bot',
+            text: InteractiveMessage.toText(message),
+            language: language,
+            timestamp: new Date().toISOString()
+        };
+        this.io.to(`session-${sessionId}`).emit('message', payload);
+        return payload;
+    }
+}
+
+module.exports = new MessagingService();
@@ -0,0 +1,246 @@
+/**
+ * Outbound Queue Service - Durable WhatsApp send queue
+ * Messages are written to outbound_messages and sent by a worker that retries failures with
+ * exponential backoff and dead-letters messages that keep failing
+ */
+
+const dbService = require('./dbService');
+const whatsappProviderService = require('./whatsappProviderService');
+const deliveryStatusService = require('./deliveryStatusService');
+const InteractiveMessage = require('../models/interactiveMessage');
+require('dotenv').config();
+
+class OutboundQueueService {
+    // Messages sent per worker run
+    static BATCH_SIZE = 20;
+
+    // A message stuck in SENDING this long (e.g. the process died mid-send) is claimed again
+    static STALE_SENDING_MS = 5 * 60 * 1000;
+
+    constructor() {
+        this.pollMs = process.env.OUTBOUND_QUEUE_POLL_MS ? parseInt(process.env.OUTBOUND_QUEUE_POLL_MS) : 2000;
+        this.maxAttempts = process.env.OUTBOUND_MAX_ATTEMPTS ? parseInt(process.env.OUTBOUND_MAX_ATTEMPTS) : 6;
+        this.retryBaseMs = process.env.OUTBOUND_RETRY_BASE_MS ? parseInt(process.env.OUTBOUND_RETRY_BASE_MS) : 5000;
+        this.retryMaxMs = process.env.OUTBOUND_RETRY_MAX_MS ? parseInt(process.env.OUTBOUND_RETRY_MAX_MS) : 10 * 60 * 1000;
+
+        this.timer = null;
+        this.running = false;
+        this.runAgain = false;
+    }
+
+    /**
+     * Queue a WhatsApp message and wake the worker
+     * If the queue can't be written (e.g. the database is down) the message is sent directly instead
+     * @param {string} phoneNumber - Recipient phone number (WhatsApp format)
+     * @param {string|InteractiveMessage} message - Message to send
+     * @param {string|null} preferredProvider - Provider to try first (e.g. the one the user wrote through)
+     * @param {string|null} asyncRequestId - Transaction the message is about, so its delivery shows on the transaction
+     * @returns {Promise<OutboundMessage|object|null>} - Queued message, or the direct send result if queueing failed
+     */
+    async enqueue(phoneNumber, message, preferredProvider = null, asyncRequestId = null) {
+        let queued;
+        try {
+            queued = await dbService.createOutboundMessage({
+                phoneNumber,
+                body: InteractiveMessage.toText(message),
+                interactive: InteractiveMessage.isInteractive(message)
+                    ? { type: message.type, options: message.options, buttonText: message.buttonText }
+                    : null,
+                preferredProvider,
+                maxAttempts: this.maxAttempts,
+                asyncRequestId
+            });
+        } catch (error) {
+            console.error(`Could not queue message to ${phoneNumber}, sending directly:`, error.message);
+            const delivery = await whatsappProviderService.send(phoneNumber, message, preferredProvider);
+            if (delivery) {
+                await this._recordDeliveries(delivery, phoneNumber, null, asyncRequestId);
+            }
+            return delivery;
+        }
+
+        this.processQueue();
+        return queued;
+    }
+
+    /**
+     * Start polling the queue (retries come due without new messages arriving)
+     */
+    start() {
+        if (this.timer) {
+            return;
+        }
+        if (!process.env.DATABASE_URL) {
+            console.warn('⚠️  Warning: DATABASE_URL not set. Outbound message queue not started; messages are sent directly.');
+            return;
+        }
+        this.timer = setInterval(() => this.processQueue(), this.pollMs);
+        this.timer.unref();
+        this.processQueue();
+        console.log(`📤 Outbound message queue started (polling every ${this.pollMs}ms)`);
+    }
+
+    /**
+     * Stop polling the queue
+     */
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    /**
+     * Send every due message (one worker run at a time; a request during a run triggers another run after it)
+     * @returns {Promise<void>}
+     */
+    async processQueue() {
+        if (this.running) {
+            this.runAgain = true;
+            return;
+        }
+
+        this.running = true;
+        try {
+            do {
+                this.runAgain = false;
+                const messages = await dbService.claimOutboundMessages(
+                    OutboundQueueService.BATCH_SIZE,
+                    new Date(Date.now() - OutboundQueueService.STALE_SENDING_MS)
+                );
+                for (const message of messages) {
+                    await this._send(message);
+                }
+                // A full batch, or a sent message unblocking the recipient's next one, means more may be due
+                if (messages.length > 0) {
+                    this.runAgain = true;
+                }
+            } while (this.runAgain);
+        } catch (error) {
+            console.error('Error processing outbound message queue:', error.message);
+        } finally {
+            this.running = false;
+        }
+    }
+
+    /**
+     * Get how long to wait before the next attempt
+     * @param {number} attempts - Attempts made so far
+     * @returns {number} - Delay in milliseconds (base * 2^(attempts - 1), capped at OUTBOUND_RETRY_MAX_MS)
+     */
+    getRetryDelayMs(attempts) {
+        return Math.min(this.retryBaseMs * Math.pow(2, Math.max(0, attempts - 1)), this.retryMaxMs);
+    }
+
+    /**
+     * List queued messages (admin view)
+     * @param {object} options - { status, phoneNumber, limit, offset }
+     * @returns {Promise<{counts: object, messages: Array<OutboundMessage>}>} - Counts per status and matching messages
+     */
+    async getMessages(options = {}) {
+        const [counts, messages] = await Promise.all([
+            dbService.getOutboundMessageCounts(),
+            dbService.getOutboundMessages(options)
+        ]);
+        return { counts, messages };
+    }
+
+    /**
+     * Resend a dead-lettered message
+     * @param {string} id - Outbound message ID
+     * @returns {Promise<OutboundMessage|null>} - Requeued message, or null if no dead message has that ID
+     */
+    async resend(id) {
+        const message = await dbService.requeueOutboundMessage(id);
+        if (message) {
+            console.log(`Dead-lettered message ${id} to ${message.phoneNumber} queued for resending`);
+            this.processQueue();
+        }
+        return message;
+    }
+
+    /**
+     * Send one claimed message and record the outcome
+     * @private
+     * @param {OutboundMessage} message - Claimed message (attempts already counts this attempt)
+     * @returns {Promise<void>}
+     */
+    async _send(message) {
+        let delivery = null;
+        let failure = null;
+        try {
+            delivery = await whatsappProviderService.send(message.phoneNumber, message.getMessage(), message.preferredProvider);
+        } catch (error) {
+            failure = error.message;
+        }
+
+        if (delivery) {
+            await dbService.markOutboundMessageSent(message.id, delivery.provider);
+            await this._recordDeliveries(delivery, message.phoneNumber, message.id, message.asyncRequestId);
+            await this._queueUnsentParts(message, delivery.unsentParts);
+            return;
+        }
+
+        const lastError = failure || 'No WhatsApp provider delivered the message';
+        if (message.attempts >= message.maxAttempts) {
+            console.error(`❌ Message ${message.id} to ${message.phoneNumber} dead-lettered after ${message.attempts} attempts: ${lastError}`);
+            await dbService.failOutboundMessage(message.id, lastError, null);
+            return;
+        }
+
+        const delayMs = this.getRetryDelayMs(message.attempts);
+        console.warn(`Message ${message.id} to ${message.phoneNumber} failed (attempt ${message.attempts}/${message.maxAttempts}), ` +
+            `retrying in ${Math.round(delayMs / 1000)}s`);
+        await dbService.failOutboundMessage(message.id, lastError, new Date(Date.now() + delayMs));
+    }
+
+    /**
+     * Record every part of a sent message as sent, so each part's status callbacks are matched
+     * @private
+     * @param {object} delivery - Result of whatsappProviderService.send
+     * @param {string} phoneNumber - Recipient phone number
+     * @param {string|null} outboundMessageId - Queued message ID (null for a direct send)
+     * @param {string|null} asyncRequestId - Transaction the message is about
+     * @returns {Promise<void>}
+     */
+    async _recordDeliveries(delivery, phoneNumber, outboundMessageId, asyncRequestId) {
+        for (const part of delivery.deliveries) {
+            await deliveryStatusService.recordSent({
+                provider: part.provider,
+                providerMessageId: part.messageId,
+                phoneNumber,
+                outboundMessageId,
+                asyncRequestId
+            });
+        }
+    }
+
+    /**
+     * Queue the parts of a partly sent message that no provider could send, each as its own message
+     * The message itself stays SENT so its retries never repeat the parts that went out
+     * @private
+     * @param {OutboundMessage} message - Partly sent message
+     * @param {Array<string>} parts - Parts still to send, in order
+     * @returns {Promise<void>}
+     */
+    async _queueUnsentParts(message, parts) {
+        if (parts.length === 0) {
+            return;
+        }
+
+        console.warn(`⚠️  Message ${message.id} to ${message.phoneNumber} was only partly sent, ` +
+            `queueing the last ${parts.length} part(s) to send separately`);
+        for (const part of parts) {
+            await dbService.createOutboundMessage({
+                phoneNumber: message.phoneNumber,
+                body: part,
+                interactive: null,
+                preferredProvider: message.preferredProvider,
+                maxAttempts: message.maxAttempts,
+                asyncRequestId: message.asyncRequestId
+            });
+        }
+    }
+}
+
+module.exports = new OutboundQueueService();
@@ -0,0 +1,90 @@
+/**
+ * HTTP mobile money provider
+ * Generic JSON integration for a mobile money aggregator that sends a debit prompt
+ * to the customer's phone and reports the outcome to our callback URL
+ */
+
+const axios = require('axios');
+require('dotenv').config();
+
+class HttpPaymentProvider {
+    constructor() {
+        this.name = 'http';
+        this.apiUrl = process.env.PAYMENT_API_URL;
+        this.apiKey = process.env.PAYMENT_API_KEY;
+    }
+
+    /**
+     * Request a mobile money debit
+     * @param {object} params - Debit parameters
+     * @param {string} params.reference - Our payment reference
+     * @param {string} params.phoneNumber - Mobile money number to debit
+     * @param {number} params.amount - Amount to debit
+     * @param {string} params.callbackUrl - URL the provider should call with the outcome
+     * @param {string} params.description - Description shown on the debit prompt
+     * @returns {Promise<object>} - { providerReference, status }
+     * @throws {Error} - Throws error with type 'timeout', 'connection', or 'api'
+     */
+    async requestDebit({ reference, phoneNumber, amount, callbackUrl, description }) {
+        if (!this.apiUrl || !this.apiKey) {
+            throw new Error('PAYMENT_API_URL and PAYMENT_API_KEY environment variables are required');
+        }
+
+        try {
+            const response = await axios.post(
+                `${this.apiUrl}/debit`,
+                {
+                    reference: reference,
+                    msisdn: phoneNumber,
+                    amount: amount,
+                    currency: 'GHS',
+                    description: description || '',
+                    callbackUrl: callbackUrl
+                },
+                {
+                    headers: {
+                        'Authorization': `Bearer ${this.apiKey}`,
+                        'Content-Type': 'application/json'
+                    },
+                    timeout: 30000
+                }
+            );
+
+            return {
+                providerReference: response.data?.transactionId || response.data?.providerReference || '',
+                status: 'PENDING'
+            };
+        } catch (error) {
+            console.error('Payment provider error:', error.response?.data || error.message);
+
+            const paymentError = new Error('Failed to request mobile money payment');
+            if (error.code === 'ECONNABORTED' || (error.message && error.message.includes('timeout'))) {
+                paymentError.type = 'timeout';
+            } else if (!error.response) {
+                paymentError.type = 'connection';
+            } else {
+                paymentError.type = 'api';
+                paymentError.statusCode = error.response.status;
+            }
+            throw paymentError;
+        }
+    }
+
+    /**
+     * Parse a callback sent by the provider
+     * @param {object} body - Callback request body
+     * @returns {object} - { reference, providerReference, status, amount, currency, reason }
+     */
+    parseCallback(body) {
+        return {
+            reference: body.reference || body.clientReference,
+            providerReference: body.transactionId || body.providerReference,
+            status: body.status,
+            amount: body.amount,
+            currency: body.currency,
+            reason: body.reason || body.message || ''
+        };
+    }
+}
+
+module.exports = HttpPaymentProvider;
@@ -0,0 +1,71 @@
+/**
+ * Local stand-in mobile money provider
+ * Simulates a debit prompt by calling back our own payment webhook after a delay,
+ * so the full payment loop can be exercised without a real payment network
+ */
+
+const axios = require('axios');
+require('dotenv').config();
+
+class LocalPaymentProvider {
+    constructor() {
+        this.name = 'local';
+        // approved | declined | timeout (never calls back)
+        this.outcome = (process.env.PAYMENT_LOCAL_OUTCOME || 'approved').toLowerCase();
+        this.delayMs = process.env.PAYMENT_LOCAL_DELAY_MS ? parseInt(process.env.PAYMENT_LOCAL_DELAY_MS) : 5000;
+    }
+
+    /**
+     * Request a mobile money debit
+     * @param {object} params - Debit parameters
+     * @param {string} params.reference - Our payment reference
+     * @param {string} params.phoneNumber - Mobile money number to debit
+     * @param {number} params.amount - Amount to debit
+     * @param {string} params.callbackUrl - URL the provider should call with the outcome
+     * @returns {Promise<object>} - { providerReference, status }
+     */
+    async requestDebit({ reference, phoneNumber, amount, callbackUrl }) {
+        const providerReference = `LOCAL-${Date.now()}`;
+        console.log(`[Local payment] Debit prompt for ${phoneNumber}: ${amount} (ref ${reference}), outcome: ${this.outcome}`);
+
+        if (this.outcome !== 'timeout') {
+            setTimeout(() => {
+                const approved = this.outcome === 'approved';
+                axios.post(callbackUrl, {
+                    reference: reference,
+                    providerReference: providerReference,
+                    status: approved ? 'SUCCESSFUL' : 'DECLINED',
+                    amount: amount,
+                    currency: 'GHS',
+                    reason: approved ? '' : 'Customer declined the payment prompt'
+                }, {
+                    // Signed the same way a real provider's callbacks are
+                    headers: { 'X-Payment-Secret': process.env.PAYMENT_WEBHOOK_SECRET || '' },
+                    timeout: 10000
+                }).catch((error) => {
+                    console.error('[Local payment] Failed to deliver callback:', error.message);
+                });
+            }, this.delayMs);
+        }
+
+        return { providerReference, status: 'PENDING' };
+    }
+
+    /**
+     * Parse a callback sent by this provider
+     * @param {object} body - Callback request body
+     * @returns {object} - { reference, providerReference, status, amount, currency, reason }
+     */
+    parseCallback(body) {
+        return {
+            reference: body.reference,
+            providerReference: body.providerReference,
+            status: body.status,
+            amount: body.amount,
+            currency: body.currency,
+            reason: body.reason || ''
+        };
+    }
+}
+
+module.exports = LocalPaymentProvider;
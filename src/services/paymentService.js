@@ -0,0 +1,193 @@
+/**
+ * Payment Service - Collects money from customers via mobile money debit prompts
+ * Delegates to the provider selected by PAYMENT_PROVIDER (http, or local for development - never in production)
+ */
+
+const LocalPaymentProvider = require('./payment/localProvider');
+const HttpPaymentProvider = require('./payment/httpProvider');
+require('dotenv').config();
+
+class PaymentService {
+    // Normalised payment statuses
+    static STATUSES = {
+        PENDING: 'PENDING',
+        SUCCESSFUL: 'SUCCESSFUL',
+        DECLINED: 'DECLINED',
+        FAILED: 'FAILED',
+        TIMEOUT: 'TIMEOUT'
+    };
+
+    // Currency every payment is collected in
+    static CURRENCY = 'GHS';
+
+    constructor() {
+        this.isProduction = process.env.NODE_ENV === 'production';
+        this.providerName = (process.env.PAYMENT_PROVIDER || '').toLowerCase();
+        this.provider = this._createProvider(this.providerName);
+
+        this.timeoutMs = process.env.PAYMENT_TIMEOUT_MS ? parseInt(process.env.PAYMENT_TIMEOUT_MS) : 120000;
+    }
+
+    /**
+     * Get the URL providers should call back with payment outcomes
+     * @returns {string} - Callback URL
+     */
+    getCallbackUrl() {
+        if (process.env.PAYMENT_CALLBACK_URL) {
+            return process.env.PAYMENT_CALLBACK_URL;
+        }
+        const webBaseUrl = process.env.WEB_BASE_URL || 'http://localhost:3000';
+        return `${webBaseUrl}/webhook/payment`;
+    }
+
+    /**
+     * Get how long to wait for the customer to approve a payment
+     * @returns {number} - Timeout in milliseconds
+     */
+    getTimeoutMs() {
+        return this.timeoutMs;
+    }
+
+    /**
+     * Send a mobile money debit prompt to the customer
+     * @param {object} params - Payment parameters
+     * @param {string} params.reference - Payment reference (the purchase asyncRequestId)
+     * @param {string} params.phoneNumber - Mobile money number to debit
+     * @param {number} params.amount - Amount to collect
+     * @param {string} params.description - Description shown on the debit prompt
+     * @returns {Promise<object>} - { reference, providerReference, status, provider }
+     */
+    async requestPayment({ reference, phoneNumber, amount, description }) {
+        if (!this.provider) {
+            const error = new Error('No payment provider is configured (check PAYMENT_PROVIDER)');
+            error.type = 'config';
+            throw error;
+        }
+
+        const result = await this.provider.requestDebit({
+            reference,
+            phoneNumber,
+            amount,
+            description,
+            callbackUrl: this.getCallbackUrl()
+        });
+
+        console.log(`Payment requested via ${this.provider.name} for ${reference}`);
+
+        return {
+            reference: reference,
+            providerReference: result.providerReference,
+            status: PaymentService.STATUSES.PENDING,
+            provider: this.provider.name
+        };
+    }
+
+    /**
+     * Parse a provider callback into a normalised payment result
+     * @param {object} body - Callback request body
+     * @returns {object} - { reference, providerReference, status, amount, currency, reason }
+     * @throws {Error} - Error with type 'config' if no payment provider is configured
+     */
+    parseCallback(body) {
+        if (!this.provider) {
+            const error = new Error('No payment provider is configured (check PAYMENT_PROVIDER)');
+            error.type = 'config';
+            throw error;
+        }
+
+        const result = this.provider.parseCallback(body || {});
+        return {
+            ...result,
+            status: this._normaliseStatus(result.status)
+        };
+    }
+
+    /**
+     * Warn at startup when payments cannot be taken, or are only simulated
+     */
+    logConfiguration() {
+        if (this.provider && this.provider.name === 'local') {
+            console.warn('⚠️  ==========================================================');
+            console.warn('⚠️  WARNING: PAYMENT_PROVIDER=local. Payments are SIMULATED and');
+            console.warn(`⚠️  every purchase is ${this.provider.outcome} without collecting money.`);
+            console.warn('⚠️  Use PAYMENT_PROVIDER=http for real payments.');
+            console.warn('⚠️  ==========================================================');
+        } else if (this.provider) {
+            console.log(`✅ Payment provider: ${this.provider.name}`);
+        } else if (!this.providerName) {
+            console.error('❌ PAYMENT_PROVIDER not set. Purchases cannot be paid for until it is set to http (or local for development).');
+        } else if (this.providerName === 'local') {
+            console.error('❌ PAYMENT_PROVIDER=local is not allowed in production. Purchases cannot be paid for until it is set to http.');
+        } else {
+            console.error(`❌ Unknown PAYMENT_PROVIDER "${this.providerName}". Purchases cannot be paid for until it is set to http (or local for development).`);
+        }
+    }
+
+    /**
+     * Check that a callback is for the amount and currency we asked the customer to pay
+     * @param {object} result - Normalised payment result from parseCallback
+     * @param {number} expectedAmount - Amount of the pending transaction
+     * @returns {{valid: boolean, reason: string|null}} - Result and why the check failed
+     */
+    checkAmount(result, expectedAmount) {
+        const amount = Number(result.amount);
+        if (result.amount === undefined || result.amount === null || result.amount === '' || !Number.isFinite(amount)) {
+            return { valid: false, reason: 'Callback has no amount' };
+        }
+        // Compared in pesewas so 10 and "10.00" match
+        if (Math.round(amount * 100) !== Math.round(Number(expectedAmount) * 100)) {
+            return { valid: false, reason: `Callback amount ${result.amount} does not match ${expectedAmount}` };
+        }
+
+        const currency = String(result.currency || PaymentService.CURRENCY).toUpperCase();
+        if (currency !== PaymentService.CURRENCY) {
+            return { valid: false, reason: `Callback currency ${result.currency} is not ${PaymentService.CURRENCY}` };
+        }
+        return { valid: true, reason: null };
+    }
+
+    /**
+     * Create the provider selected by PAYMENT_PROVIDER
+     * The local stand-in approves payments without collecting money, so it is refused in production
+     * @private
+     * @param {string} providerName - http or local
+     * @returns {object|null} - Provider, or null if none can be used
+     */
+    _createProvider(providerName) {
+        if (providerName === 'http') {
+            return new HttpPaymentProvider();
+        }
+        if (providerName === 'local' && !this.isProduction) {
+            return new LocalPaymentProvider();
+        }
+        return null;
+    }
+
+    /**
+     * Map provider-specific statuses onto PaymentService.STATUSES
+     * @private
+     * @param {string} status - Provider status
+     * @returns {string} - Normalised status
+     */
+    _normaliseStatus(status) {
+        const value = String(status || '').toUpperCase();
+
+        if (['SUCCESSFUL', 'SUCCESS', 'SUCCEEDED', 'APPROVED', 'PAID', 'COMPLETED'].includes(value)) {
+            return PaymentService.STATUSES.SUCCESSFUL;
+        }
+        if (['DECLINED', 'REJECTED', 'CANCELLED', 'CANCELED'].includes(value)) {
+            return PaymentService.STATUSES.DECLINED;
+        }
+        if (['TIMEOUT', 'EXPIRED'].includes(value)) {
+            return PaymentService.STATUSES.TIMEOUT;
+        }
+        if (['PENDING', 'PROCESSING'].includes(value)) {
+            return PaymentService.STATUSES.PENDING;
+        }
+        return PaymentService.STATUSES.FAILED;
+    }
+}
+
+module.exports = new PaymentService();
+module.exports.STATUSES = PaymentService.STATUSES;
+module.exports.CURRENCY = PaymentService.CURRENCY;
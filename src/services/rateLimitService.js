@@ -0,0 +1,219 @@
+/**
+ * Rate Limit Service - Per-number, per-web-session and per-IP message limits, per-IP webhook limits,
+ * and tighter limits on ECG enquiries
+ * Limits are set as "<count>/<seconds>" (e.g. RATE_LIMIT_PHONE=20/60); 0 turns a limit off
+ */
+
+const net = require('net');
+const RateLimiter = require('../utils/rateLimiter');
+require('dotenv').config();
+
+class RateLimitService {
+    // Default limits: [count, window in seconds]
+    static DEFAULTS = {
+        RATE_LIMIT_PHONE: [20, 60],
+        RATE_LIMIT_WEB_SESSION: [20, 60],
+        RATE_LIMIT_IP: [60, 60],
+        RATE_LIMIT_WEBHOOK_IP: [300, 60],
+        RATE_LIMIT_ENQUIRY_PHONE: [10, 3600],
+        RATE_LIMIT_ENQUIRY_METER: [5, 3600]
+    };
+
+    constructor() {
+        this.phone = this._createLimiter('RATE_LIMIT_PHONE');
+        this.webSession = this._createLimiter('RATE_LIMIT_WEB_SESSION');
+        this.ip = this._createLimiter('RATE_LIMIT_IP');
+        this.webhookIp = this._createLimiter('RATE_LIMIT_WEBHOOK_IP');
+        this.webhookExemptIps = this._createIpList('RATE_LIMIT_WEBHOOK_EXEMPT_IPS');
+        this.enquiryPhone = this._createLimiter('RATE_LIMIT_ENQUIRY_PHONE');
+        this.enquiryMeter = this._createLimiter('RATE_LIMIT_ENQUIRY_METER');
+    }
+
+    /**
+     * Count an inbound message from a phone number (all channels)
+     * @param {string} phoneNumber - User's phone number
+     * @returns {{allowed: boolean, retryAfterMs: number, firstRejection: boolean}} - Limiter result
+     */
+    limitPhone(phoneNumber) {
+        return this._logRejection('phone', phoneNumber, this.phone.hit(phoneNumber));
+    }
+
+    /**
+     * Get how long a phone number has to wait before its next message is accepted
+     * @param {string} phoneNumber - User's phone number
+     * @returns {number} - Milliseconds (0 if it may send now)
+     */
+    getPhoneRetryAfterMs(phoneNumber) {
+        return this.phone.check(phoneNumber).retryAfterMs;
+    }
+
+    /**
+     * Count a message sent from a web chat session
+     * @param {string} sessionId - Web session ID
+     * @returns {{allowed: boolean, retryAfterMs: number, firstRejection: boolean}} - Limiter result
+     */
+    limitWebSession(sessionId) {
+        return this._logRejection('web session', sessionId, this.webSession.hit(sessionId));
+    }
+
+    /**
+     * Count a web API request from an IP address
+     * @param {string} ip - Client IP address
+     * @returns {{allowed: boolean, retryAfterMs: number, firstRejection: boolean}} - Limiter result
+     */
+    limitIp(ip) {
+        return this._logRejection('IP', ip, this.ip.hit(ip));
+    }
+
+    /**
+     * Count a webhook request from an IP address (addresses in RATE_LIMIT_WEBHOOK_EXEMPT_IPS are not limited)
+     * @param {string} ip - Client IP address
+     * @returns {{allowed: boolean, retryAfterMs: number, firstRejection: boolean}} - Limiter result
+     */
+    limitWebhookIp(ip) {
+        if (this._isWebhookExempt(ip)) {
+            return { allowed: true, retryAfterMs: 0, firstRejection: false };
+        }
+        return this._logRejection('webhook IP', ip, this.webhookIp.hit(ip));
+    }
+
+    /**
+     * Count an ECG enquiry (MeterInfo and enquiry API calls) for a phone number and meter
+     * Nothing is counted unless both limits allow it
+     * @param {string} phoneNumber - User's phone number
+     * @param {string} meterKey - Meter number or account number being enquired
+     * @returns {{allowed: boolean, retryAfterMs: number}} - Limiter result
+     */
+    limitEnquiry(phoneNumber, meterKey) {
+        const byPhone = this.enquiryPhone.check(phoneNumber);
+        const byMeter = this.enquiryMeter.check(meterKey);
+
+        if (!byPhone.allowed || !byMeter.allowed) {
+            const retryAfterMs = Math.max(byPhone.retryAfterMs, byMeter.retryAfterMs);
+            console.warn(`⚠️  Enquiry rate limit reached for ${byPhone.allowed ? `meter ${meterKey}` : phoneNumber} ` +
+                `(retry in ${Math.ceil(retryAfterMs / 1000)}s)`);
+            return { allowed: false, retryAfterMs };
+        }
+
+        this.enquiryPhone.record(phoneNumber);
+        this.enquiryMeter.record(meterKey);
+        return { allowed: true, retryAfterMs: 0 };
+    }
+
+    /**
+     * Create Express middleware that limits requests per client IP
+     * @returns {function} - Express middleware (responds 429 with Retry-After when limited)
+     */
+    ipMiddleware() {
+        return this._createIpMiddleware((ip) => this.limitIp(ip));
+    }
+
+    /**
+     * Create Express middleware that limits webhook requests per client IP
+     * Runs before signature verification, so forged floods are refused without any further work
+     * @returns {function} - Express middleware (responds 429 with Retry-After when limited)
+     */
+    webhookIpMiddleware() {
+        return this._createIpMiddleware((ip) => this.limitWebhookIp(ip));
+    }
+
+    /**
+     * Create Express middleware around a per-IP limit
+     * @private
+     * @param {function(string): {allowed: boolean, retryAfterMs: number}} limit - Limit to apply to req.ip
+     * @returns {function} - Express middleware
+     */
+    _createIpMiddleware(limit) {
+        return (req, res, next) => {
+            const result = limit(req.ip);
+            if (result.allowed) {
+                return next();
+            }
+
+            res.set('Retry-After', String(Math.ceil(result.retryAfterMs / 1000)));
+            return res.status(429).json({ error: 'Too many requests. Please try again shortly.' });
+        };
+    }
+
+    /**
+     * Build a limiter from an environment variable ("<count>/<seconds>")
+     * @private
+     * @param {string} envName - Environment variable name (also the key in DEFAULTS)
+     * @returns {RateLimiter} - Limiter
+     */
+    _createLimiter(envName) {
+        let [limit, windowSeconds] = RateLimitService.DEFAULTS[envName];
+        const value = process.env[envName];
+
+        if (value !== undefined && value !== '') {
+            const match = String(value).trim().match(/^(\d+)(?:\s*\/\s*(\d+))?$/);
+            if (match) {
+                limit = parseInt(match[1]);
+                windowSeconds = match[2] ? parseInt(match[2]) : windowSeconds;
+            } else {
+                console.warn(`⚠️  Invalid ${envName} "${value}" (expected <count>/<seconds>). Using ${limit}/${windowSeconds}.`);
+            }
+        }
+
+        return new RateLimiter({ limit, windowMs: windowSeconds * 1000 });
+    }
+
+    /**
+     * Build a list of IP addresses and ranges from an environment variable
+     * (comma-separated addresses or CIDR ranges, e.g. "54.172.60.0/23,2001:db8::/32")
+     * @private
+     * @param {string} envName - Environment variable name
+     * @returns {net.BlockList} - Address list
+     */
+    _createIpList(envName) {
+        const list = new net.BlockList();
+
+        for (const entry of String(process.env[envName] || '').split(',').map((value) => value.trim()).filter(Boolean)) {
+            const [address, prefix] = entry.split('/');
+            const type = net.isIP(address) === 6 ? 'ipv6' : 'ipv4';
+            const maxPrefix = type === 'ipv6' ? 128 : 32;
+
+            if (!net.isIP(address) || (prefix !== undefined && !(/^\d+$/.test(prefix) && parseInt(prefix) <= maxPrefix))) {
+                console.warn(`⚠️  Ignoring invalid ${envName} entry "${entry}" (expected an IP address or CIDR range)`);
+                continue;
+            }
+
+            if (prefix === undefined) {
+                list.addAddress(address, type);
+            } else {
+                list.addSubnet(address, parseInt(prefix), type);
+            }
+        }
+
+        return list;
+    }
+
+    /**
+     * Check whether an IP address is exempt from the webhook limit
+     * @private
+     * @param {string} ip - Client IP address (IPv4-mapped IPv6 addresses are checked as IPv4)
+     * @returns {boolean} - True if exempt
+     */
+    _isWebhookExempt(ip) {
+        const address = String(ip || '').replace(/^::ffff:(?=\d+\.\d+\.\d+\.\d+$)/i, '');
+        const version = net.isIP(address);
+        return version !== 0 && this.webhookExemptIps.check(address, version === 6 ? 'ipv6' : 'ipv4');
+    }
+
+    /**
+     * Log the first rejection of a key in a window
+     * @private
+     * @param {string} kind - What is being limited
+     * @param {string} key - Limiter key
+     * @param {object} result - Limiter result
+     * @returns {object} - The same result
+     */
+    _logRejection(kind, key, result) {
+        if (!result.allowed && result.firstRejection) {
+            console.warn(`⚠️  Rate limit reached for ${kind} ${key} (retry in ${Math.ceil(result.retryAfterMs / 1000)}s)`);
+        }
+        return result;
+    }
+}
+
+module.exports = new RateLimitService();
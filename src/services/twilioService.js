@@ -1,68 +1,191 @@
 /**
  * Twilio Service for sending WhatsApp messages
- * Falls back to Wasender API if Twilio fails
+ * Failover to other providers is handled by the WhatsApp provider service
  */
 
+const crypto = require('crypto');
+const axios = require('axios');
 const twilio = require('twilio');
-const wasenderService = require('./wasenderService');
+const InteractiveMessage = require('../models/interactiveMessage');
+const MessageChunker = require('../utils/messageChunker');
 require('dotenv').config();
 
+const CONTENT_API_URL = 'https://content.twilio.com/v1/Content';
+
 class TwilioService {
     constructor() {
         this.accountSid = process.env.TWILIO_ACCOUNT_SID;
         this.authToken = process.env.TWILIO_AUTH_TOKEN;
         this.whatsappNumber = process.env.TWILIO_WHATSAPP_NUMBER;
         
+        // List menus and quick-reply buttons need a WhatsApp sender that supports them
+        this.interactiveEnabled = process.env.TWILIO_INTERACTIVE_MESSAGES === 'true';
+        
+        // Content template SIDs by template definition, so each menu/button set is created once
+        this.contentSids = new Map();
+
+        // Longer messages are sent as numbered parts (Twilio rejects bodies over 1600 characters)
+        this.maxMessageLength = MessageChunker.readMaxLength('TWILIO_MAX_MESSAGE_LENGTH', 1600);
+
+        // Where Twilio reports sent/delivered/read/failed for our messages (none if no public URL is set)
+        this.statusCallbackUrl = process.env.TWILIO_STATUS_CALLBACK_URL ||
+            (process.env.WEB_BASE_URL ? `${process.env.WEB_BASE_URL.replace(/\/+$/, '')}/webhook/whatsapp/status` : null);
+        
         if (this.accountSid && this.authToken) {
             this.client = twilio(this.accountSid, this.authToken);
         } else {
-            console.warn('⚠️  Twilio credentials not configured. Will use Wasender API as fallback.');
+            console.warn('⚠️  Twilio credentials not configured. Twilio will be skipped when sending messages.');
             this.client = null;
         }
     }
 
     /**
-     * Send a WhatsApp message asynchronously
-     * Falls back to Wasender API if Twilio fails
+     * Check whether Twilio can send messages
+     * @returns {boolean} - True if credentials and the WhatsApp number are set
+     */
+    isConfigured() {
+        return Boolean(this.client && this.whatsappNumber);
+    }
+
+    /**
+     * Send a WhatsApp message through Twilio
+     * Messages longer than TWILIO_MAX_MESSAGE_LENGTH are split with splitMessage and sent part by part by whatsappProviderService
      * @param {string} to - Recipient phone number (WhatsApp format)
-     * @param {string} message - Message to send
-     * @returns {Promise<object|null>} - Twilio message object, Wasender response, or null on error
+     * @param {string|InteractiveMessage} message - Message to send (interactive messages fall back to their text)
+     * @returns {Promise<object|null>} - Twilio message object, or null if not sent
      */
     async sendMessage(to, message) {
-        // Try Twilio first if available
-        // if (this.client && this.whatsappNumber) {
-        //     try {
-        //         const result = await this.client.messages.create({
-        //             from: this.whatsappNumber,
-        //             to: to,
-        //             body: message
-        //         });
-                
-        //         console.log(`Message sent via Twilio to ${to}: ${result.sid}`);
-        //         return result;
-        //     } catch (error) {
-        //         console.error('Error sending Twilio message:', error.message);
-        //         console.log('Falling back to Wasender API...');
-        //         // Fall through to Wasender fallback
-        //     }
-        // } else {
-        //     console.log('Twilio not configured, using Wasender API...');
-        // }
-
-        // Fallback to Wasender API
-        try {
-            const result = await wasenderService.sendMessage(to, message);
-            if (result) {
-                console.log(`Message sent via Wasender API to ${to}`);
-                return result;
+        if (!this.isConfigured()) {
+            console.error('Twilio not configured. Cannot send message.');
+            return null;
+        }
+
+        // List menus and buttons are sent natively through Twilio when enabled
+        if (InteractiveMessage.isInteractive(message)) {
+            const interactiveResult = await this.sendInteractive(to, message);
+            if (interactiveResult) {
+                return interactiveResult;
             }
+        }
+
+        try {
+            const result = await this.client.messages.create({
+                from: this.whatsappNumber,
+                to: to,
+                body: InteractiveMessage.toText(message),
+                ...this._getStatusCallbackOptions()
+            });
+
+            console.log(`Message sent via Twilio to ${to}: ${result.sid}`);
+            return result;
+        } catch (error) {
+            console.error('Error sending Twilio message:', error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Split a message into the parts it is sent as
+     * Text over TWILIO_MAX_MESSAGE_LENGTH becomes numbered parts (Twilio rejects longer bodies)
+     * @param {string|InteractiveMessage} message - Message to send
+     * @returns {Array<string|InteractiveMessage>} - Parts in order (just the message if it fits)
+     */
+    splitMessage(message) {
+        const parts = MessageChunker.split(InteractiveMessage.toText(message), this.maxMessageLength);
+        return parts.length > 1 ? parts : [message];
+    }
+
+    /**
+     * Send a list menu or quick-reply buttons through Twilio (as a Content API template)
+     * Only used when TWILIO_INTERACTIVE_MESSAGES=true
+     * @param {string} to - Recipient phone number (WhatsApp format)
+     * @param {InteractiveMessage} message - Interactive message
+     * @returns {Promise<object|null>} - Twilio message object, or null if not sent (send the text instead)
+     */
+    async sendInteractive(to, message) {
+        if (!this.interactiveEnabled || !this.client || !this.whatsappNumber || !message.isRenderable()) {
+            return null;
+        }
+
+        try {
+            const contentSid = await this._getContentSid(message);
+            const result = await this.client.messages.create({
+                from: this.whatsappNumber,
+                to: to,
+                contentSid: contentSid,
+                contentVariables: JSON.stringify({ 1: message.text }),
+                ...this._getStatusCallbackOptions()
+            });
+
+            console.log(`Interactive message sent via Twilio to ${to}: ${result.sid}`);
+            return result;
         } catch (error) {
-            console.error('Error sending via Wasender API:', error.message);
+            console.error('Error sending Twilio interactive message:', error.response?.data || error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Get the messages.create options that ask Twilio for delivery status callbacks
+     * @private
+     * @returns {object} - { statusCallback } or an empty object if no callback URL is set
+     */
+    _getStatusCallbackOptions() {
+        return this.statusCallbackUrl ? { statusCallback: this.statusCallbackUrl } : {};
+    }
+
+    /**
+     * Get (creating on first use) the Content API template for a list menu or button set
+     * The message text is passed as the {{1}} variable, so templates are reused across messages
+     * @private
+     * @param {InteractiveMessage} message - Interactive message
+     * @returns {Promise<string>} - Content SID
+     */
+    async _getContentSid(message) {
+        const options = message.getRenderedOptions();
+        const types = message.type === InteractiveMessage.TYPES.LIST
+            ? {
+                'twilio/list-picker': {
+                    body: '{{1}}',
+                    button: message.getRenderedButtonText(),
+                    items: options.map(option => ({
+                        id: option.id,
+                        item: option.title,
+                        ...(option.description ? { description: option.description } : {})
+                    }))
+                }
+            }
+            : {
+                'twilio/quick-reply': {
+                    body: '{{1}}',
+                    actions: options.map(option => ({ id: option.id, title: option.title }))
+                }
+            };
+        types['twilio/text'] = { body: '{{1}}' };
+
+        const key = JSON.stringify(types);
+        if (this.contentSids.has(key)) {
+            return this.contentSids.get(key);
         }
 
-        // Both services failed
-        console.error('Both Twilio and Wasender API failed to send message');
-        return null;
+        const hash = crypto.createHash('sha1').update(key).digest('hex').slice(0, 12);
+        const response = await axios.post(
+            CONTENT_API_URL,
+            {
+                friendly_name: `ecg_bot_${message.type}_${hash}`,
+                language: 'en',
+                variables: { 1: 'message' },
+                types: types
+            },
+            {
+                auth: { username: this.accountSid, password: this.authToken },
+                timeout: 10000
+            }
+        );
+
+        console.log(`Created Twilio content template ${response.data.sid} for ${message.type}`);
+        this.contentSids.set(key, response.data.sid);
+        return response.data.sid;
     }
 }
 
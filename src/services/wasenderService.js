@@ -1,25 +1,40 @@
 /**
  * Wasender API Service for sending WhatsApp messages
- * Fallback service for Twilio WhatsApp integration
+ * Failover to other providers is handled by the WhatsApp provider service
  */
 
 const axios = require('axios');
+const InteractiveMessage = require('../models/interactiveMessage');
+const MessageChunker = require('../utils/messageChunker');
 require('dotenv').config();
 
 class WasenderService {
     constructor() {
         this.apiKey = process.env.WASENDER_API_KEY;
         this.apiUrl = 'https://www.wasenderapi.com/api/send-message';
+
+        // Longer messages are sent as numbered parts (WhatsApp's text limit is 4096 characters)
+        this.maxMessageLength = MessageChunker.readMaxLength('WASENDER_MAX_MESSAGE_LENGTH', 4096);
         
         if (!this.apiKey) {
-            console.warn('⚠️  Wasender API key not configured. Fallback messaging will not work.');
+            console.warn('⚠️  Wasender API key not configured. Wasender will be skipped when sending messages.');
         }
     }
 
+    /**
+     * Check whether Wasender can send messages
+     * @returns {boolean} - True if the API key is set
+     */
+    isConfigured() {
+        return Boolean(this.apiKey);
+    }
+
     /**
      * Send a WhatsApp message
+     * Wasender sends plain text, so list menus and buttons are sent as their text version;
+     * messages longer than WASENDER_MAX_MESSAGE_LENGTH are split with splitMessage and sent part by part by whatsappProviderService
      * @param {string} to - Recipient phone number (format: +1234567890)
-     * @param {string} message - Message to send
+     * @param {string|InteractiveMessage} message - Message to send
      * @returns {Promise<object|null>} - Response object with msgId, jid, status or null on error
      */
     async sendMessage(to, message) {
@@ -36,7 +51,7 @@ class WasenderService {
                 this.apiUrl,
                 {
                     to: cleanTo,
-                    text: message
+                    text: InteractiveMessage.toText(message)
                 },
                 {
                     headers: {
@@ -70,6 +85,17 @@ class WasenderService {
             return null;
         }
     }
+
+    /**
+     * Split a message into the parts it is sent as
+     * Text over WASENDER_MAX_MESSAGE_LENGTH becomes numbered parts
+     * @param {string|InteractiveMessage} message - Message to send
+     * @returns {Array<string|InteractiveMessage>} - Parts in order (just the message if it fits)
+     */
+    splitMessage(message) {
+        const parts = MessageChunker.split(InteractiveMessage.toText(message), this.maxMessageLength);
+        return parts.length > 1 ? parts : [message];
+    }
 }
 
 module.exports = new WasenderService();
@@ -0,0 +1,242 @@
+/**
+ * Webhook Auth Service - Verifies that inbound webhooks really come from Twilio, Wasender or the payment provider
+ */
+
+const crypto = require('crypto');
+const twilio = require('twilio');
+require('dotenv').config();
+
+class WebhookAuthService {
+    // What happens to requests that fail verification
+    static MODES = {
+        ENFORCE: 'enforce', // reject with 403
+        LOG: 'log',         // log and let through (report-only, for rolling out)
+        TEST: 'test'        // also accept requests carrying WEBHOOK_TEST_TOKEN (never in production)
+    };
+
+    static TEST_TOKEN_HEADER = 'x-webhook-test-token';
+
+    // Secret each provider's requests are verified with
+    static SECRETS = {
+        twilio: 'TWILIO_AUTH_TOKEN',
+        wasender: 'WASENDER_WEBHOOK_SECRET',
+        payment: 'PAYMENT_WEBHOOK_SECRET'
+    };
+
+    constructor() {
+        this.isProduction = process.env.NODE_ENV === 'production';
+        this.testToken = process.env.WEBHOOK_TEST_TOKEN || null;
+        this.modes = {
+            twilio: this._resolveMode('TWILIO_WEBHOOK_AUTH'),
+            wasender: this._resolveMode('WASENDER_WEBHOOK_AUTH'),
+            payment: this._resolveMode('PAYMENT_WEBHOOK_AUTH')
+        };
+    }
+
+    /**
+     * Create Express middleware that verifies a provider's webhook requests
+     * @param {string} provider - twilio, wasender or payment
+     * @param {object} options - Verification options
+     * @param {string} options.url - URL Twilio was given for this endpoint (e.g. a status callback URL),
+     *        checked instead of the one rebuilt from the request
+     * @returns {function} - Express middleware
+     */
+    middleware(provider, options = {}) {
+        return (req, res, next) => {
+            const result = this.verify(provider, req, options);
+            if (result.valid) {
+                return next();
+            }
+
+            const logOnly = this.modes[provider] === WebhookAuthService.MODES.LOG;
+            const source = req.headers['x-forwarded-for'] || req.ip;
+            console.warn(`⚠️  ${logOnly ? 'Unverified (allowed in log mode)' : 'Rejected'} ${provider} webhook ` +
+                `from ${source} (${req.method} ${req.originalUrl}): ${result.reason}`);
+
+            if (logOnly) {
+                return next();
+            }
+            return res.status(403).json({ error: 'Forbidden' });
+        };
+    }
+
+    /**
+     * Verify a webhook request
+     * @param {string} provider - twilio, wasender or payment
+     * @param {object} req - Express request
+     * @param {object} options - Verification options ({ url } for Twilio)
+     * @returns {{valid: boolean, reason: string|null}} - Result and why verification failed
+     */
+    verify(provider, req, options = {}) {
+        if (this.modes[provider] === WebhookAuthService.MODES.TEST && this._hasTestToken(req)) {
+            console.log(`Accepted ${provider} webhook with the local test token`);
+            return { valid: true, reason: null };
+        }
+
+        if (provider === 'twilio') {
+            return this.verifyTwilio(req, options.url);
+        }
+        if (provider === 'wasender') {
+            return this.verifyWasender(req);
+        }
+        if (provider === 'payment') {
+            return this.verifyPayment(req);
+        }
+        return { valid: false, reason: `Unknown provider ${provider}` };
+    }
+
+    /**
+     * Verify the X-Twilio-Signature header of a Twilio webhook
+     * @param {object} req - Express request (form-encoded body already parsed)
+     * @param {string|null} signedUrl - URL Twilio signed (default: rebuilt from the request)
+     * @returns {{valid: boolean, reason: string|null}} - Result and why verification failed
+     */
+    verifyTwilio(req, signedUrl = null) {
+        const authToken = process.env.TWILIO_AUTH_TOKEN;
+        const signature = req.headers['x-twilio-signature'];
+
+        if (!authToken) {
+            return { valid: false, reason: 'TWILIO_AUTH_TOKEN is not set' };
+        }
+        if (!signature) {
+            return { valid: false, reason: 'Missing X-Twilio-Signature header' };
+        }
+
+        const url = signedUrl || this.getTwilioRequestUrl(req);
+        if (!twilio.validateRequest(authToken, signature, url, req.body || {})) {
+            return { valid: false, reason: `Invalid X-Twilio-Signature for ${url}` };
+        }
+        return { valid: true, reason: null };
+    }
+
+    /**
+     * Verify the X-Webhook-Signature header of a Wasender webhook (it carries the webhook secret)
+     * @param {object} req - Express request
+     * @returns {{valid: boolean, reason: string|null}} - Result and why verification failed
+     */
+    verifyWasender(req) {
+        const secret = process.env.WASENDER_WEBHOOK_SECRET;
+        const signature = req.headers['x-webhook-signature'];
+
+        if (!secret) {
+            return { valid: false, reason: 'WASENDER_WEBHOOK_SECRET is not set' };
+        }
+        if (!signature) {
+            return { valid: false, reason: 'Missing X-Webhook-Signature header' };
+        }
+        if (!WebhookAuthService._safeEqual(signature, secret)) {
+            return { valid: false, reason: 'Invalid X-Webhook-Signature' };
+        }
+        return { valid: true, reason: null };
+    }
+
+    /**
+     * Verify the X-Payment-Secret header of a payment provider callback (it carries the shared secret)
+     * @param {object} req - Express request
+     * @returns {{valid: boolean, reason: string|null}} - Result and why verification failed
+     */
+    verifyPayment(req) {
+        const secret = process.env.PAYMENT_WEBHOOK_SECRET;
+        const signature = req.headers['x-payment-secret'];
+
+        if (!secret) {
+            return { valid: false, reason: 'PAYMENT_WEBHOOK_SECRET is not set' };
+        }
+        if (!signature) {
+            return { valid: false, reason: 'Missing X-Payment-Secret header' };
+        }
+        if (!WebhookAuthService._safeEqual(signature, secret)) {
+            return { valid: false, reason: 'Invalid X-Payment-Secret' };
+        }
+        return { valid: true, reason: null };
+    }
+
+    /**
+     * Get the public URL Twilio called, which is what it signs
+     * Behind a proxy or tunnel (nginx, a load balancer, ngrok) the URL is rebuilt from the
+     * X-Forwarded-Proto and X-Forwarded-Host headers; TWILIO_WEBHOOK_URL overrides it when the proxy rewrites paths
+     * @param {object} req - Express request
+     * @returns {string} - URL
+     */
+    getTwilioRequestUrl(req) {
+        if (process.env.TWILIO_WEBHOOK_URL) {
+            return process.env.TWILIO_WEBHOOK_URL;
+        }
+
+        const firstValue = (header) => (header || '').split(',')[0].trim();
+        const protocol = firstValue(req.headers['x-forwarded-proto']) || req.protocol;
+        const host = firstValue(req.headers['x-forwarded-host']) || req.get('host');
+
+        return `${protocol}://${host}${req.originalUrl}`;
+    }
+
+    /**
+     * Warn at startup about webhooks that will be rejected or are not protected
+     */
+    logConfiguration() {
+        Object.entries(this.modes).forEach(([provider, mode]) => {
+            const secretName = WebhookAuthService.SECRETS[provider];
+
+            if (mode === WebhookAuthService.MODES.LOG) {
+                console.warn(`⚠️  Warning: ${provider} webhook verification is in log mode. Unverified requests are accepted.`);
+            } else if (mode === WebhookAuthService.MODES.TEST) {
+                console.warn(this.testToken
+                    ? `⚠️  Warning: ${provider} webhook accepts the local test token (${provider.toUpperCase()}_WEBHOOK_AUTH=test).`
+                    : `⚠️  Warning: ${provider} webhook is in test mode but WEBHOOK_TEST_TOKEN is not set.`);
+            }
+
+            if (!process.env[secretName]) {
+                console.warn(`⚠️  Warning: ${secretName} not set. ${provider} webhooks cannot be verified.`);
+            } else {
+                console.log(`✅ ${provider} webhook verification: ${mode}`);
+            }
+        });
+    }
+
+    /**
+     * Read a provider's verification mode (falls back to WEBHOOK_AUTH_MODE, then enforce)
+     * Test mode is only honoured outside production
+     * @private
+     * @param {string} envName - Environment variable name
+     * @returns {string} - Mode
+     */
+    _resolveMode(envName) {
+        const value = (process.env[envName] || process.env.WEBHOOK_AUTH_MODE || WebhookAuthService.MODES.ENFORCE).toLowerCase();
+
+        if (!Object.values(WebhookAuthService.MODES).includes(value)) {
+            console.warn(`⚠️  Unknown ${envName} "${value}". Using enforce.`);
+            return WebhookAuthService.MODES.ENFORCE;
+        }
+        if (value === WebhookAuthService.MODES.TEST && this.isProduction) {
+            console.warn(`⚠️  ${envName}=test is ignored in production. Using enforce.`);
+            return WebhookAuthService.MODES.ENFORCE;
+        }
+        return value;
+    }
+
+    /**
+     * Check for the local test token header
+     * @private
+     * @param {object} req - Express request
+     * @returns {boolean} - True if the request carries WEBHOOK_TEST_TOKEN
+     */
+    _hasTestToken(req) {
+        const token = req.headers[WebhookAuthService.TEST_TOKEN_HEADER];
+        return Boolean(this.testToken && token) && WebhookAuthService._safeEqual(token, this.testToken);
+    }
+
+    /**
+     * Compare two strings in constant time
+     * @private
+     * @param {string} a - First value
+     * @param {string} b - Second value
+     * @returns {boolean} - True if equal
+     */
+    static _safeEqual(a, b) {
+        const left = crypto.createHash('sha256').update(String(a)).digest();
+        const right = crypto.createHash('sha256').update(String(b)).digest();
+        return crypto.timingSafeEqual(left, right);
+    }
+}
+
+module.exports = new WebhookAuthService();
@@ -0,0 +1,184 @@
+/**
+ * WhatsApp Provider Service - Sends WhatsApp messages through the first healthy provider in a configurable order
+ * Each provider has a circuit breaker, so one that keeps failing is skipped for a cool-down period
+ */
+
+const twilioService = require('./twilioService');
+const wasenderService = require('./wasenderService');
+const CircuitBreaker = require('../utils/circuitBreaker');
+const InteractiveMessage = require('../models/interactiveMessage');
+require('dotenv').config();
+
+class WhatsappProviderService {
+    static DEFAULT_ORDER = ['twilio', 'wasender'];
+
+    constructor() {
+        this.failureThreshold = process.env.WHATSAPP_PROVIDER_FAILURE_THRESHOLD ? parseInt(process.env.WHATSAPP_PROVIDER_FAILURE_THRESHOLD) : 3;
+        this.cooldownMs = (process.env.WHATSAPP_PROVIDER_COOLDOWN_SECONDS ? parseInt(process.env.WHATSAPP_PROVIDER_COOLDOWN_SECONDS) : 60) * 1000;
+
+        // Provider order, e.g. WHATSAPP_PROVIDERS=wasender,twilio to switch during a Twilio outage
+        this.order = process.env.WHATSAPP_PROVIDERS
+            ? process.env.WHATSAPP_PROVIDERS.split(',').map(name => name.trim().toLowerCase()).filter(Boolean)
+            : [...WhatsappProviderService.DEFAULT_ORDER];
+
+        // name -> { send, split, isConfigured, getMessageId, breaker, stats }
+        this.providers = new Map();
+        this.registerProvider('twilio', {
+            send: (to, message) => twilioService.sendMessage(to, message),
+            split: (message) => twilioService.splitMessage(message),
+            isConfigured: () => twilioService.isConfigured(),
+            getMessageId: (result) => result.sid
+        });
+        this.registerProvider('wasender', {
+            send: (to, message) => wasenderService.sendMessage(to, message),
+            split: (message) => wasenderService.splitMessage(message),
+            isConfigured: () => wasenderService.isConfigured(),
+            getMessageId: (result) => result.msgId
+        });
+
+        this.order.filter(name => !this.providers.has(name)).forEach(name => {
+            console.warn(`⚠️  Unknown WhatsApp provider "${name}" in WHATSAPP_PROVIDERS. It will be skipped until registered.`);
+        });
+    }
+
+    /**
+     * Add (or replace) a WhatsApp provider
+     * Providers are only used if listed in WHATSAPP_PROVIDERS (or the default order)
+     * @param {string} name - Provider name
+     * @param {object} provider - Provider
+     * @param {function(string, (string|InteractiveMessage)): Promise<object|null>} provider.send - Sends a message;
+     *        resolves to the provider's response, or null if it was not sent
+     * @param {function((string|InteractiveMessage)): Array<string|InteractiveMessage>} provider.split - Splits a message
+     *        that is too long for the provider into parts (optional; messages are sent whole by default)
+     * @param {function(): boolean} provider.isConfigured - Whether the provider has the credentials it needs
+     * @param {function(object): *} provider.getMessageId - Gets the provider's message ID from a send response
+     *        (used to match delivery status callbacks; optional)
+     */
+    registerProvider(name, { send, split = (message) => [message], isConfigured, getMessageId = () => null }) {
+        this.providers.set(name, {
+            send,
+            split,
+            isConfigured,
+            getMessageId,
+            breaker: new CircuitBreaker({ failureThreshold: this.failureThreshold, cooldownMs: this.cooldownMs }),
+            stats: { sent: 0, failed: 0, lastSuccessAt: null, lastFailureAt: null, lastError: null }
+        });
+    }
+
+    /**
+     * Send a WhatsApp message through the first provider that delivers it
+     * A message too long for the provider is sent part by part. If a part fails, the next provider carries on
+     * from that part, so parts that were already sent are never sent twice
+     * @param {string} to - Recipient phone number (WhatsApp format)
+     * @param {string|InteractiveMessage} message - Message to send
+     * @param {string|null} preferredProvider - Provider to try first (e.g. the one the user wrote through);
+     *        ignored unless it is in the configured order, so removing a provider from WHATSAPP_PROVIDERS stops all use of it
+     * @returns {Promise<{provider: string, result: object, messageId: string|null, deliveries: Array<{provider: string, messageId: string|null}>, unsentParts: Array<string>}|null>}
+     *          - Provider, response and message ID of the first part, the provider and message ID of every part sent,
+     *          and the parts no provider could send; null if nothing was sent
+     */
+    async send(to, message, preferredProvider = null) {
+        const names = [preferredProvider, ...this.order]
+            .filter((name, index, list) => this.order.includes(name) && list.indexOf(name) === index);
+
+        // Parts still to send, split by the first provider tried
+        let parts = null;
+        let first = null;
+        const deliveries = [];
+
+        for (const name of names) {
+            const provider = this.providers.get(name);
+            if (!provider || !provider.isConfigured() || !provider.breaker.canRequest()) {
+                continue;
+            }
+
+            // A part left over from another provider is split again only if it is too long for this one
+            const pending = parts ? parts.flatMap(part => provider.split(part)) : provider.split(message);
+            let sentCount = 0;
+            let failure = null;
+
+            for (const part of pending) {
+                let result = null;
+                try {
+                    result = await provider.send(to, part);
+                } catch (error) {
+                    failure = error.message;
+                }
+                if (!result) {
+                    break;
+                }
+
+                const messageId = provider.getMessageId(result);
+                deliveries.push({ provider: name, messageId: messageId ? String(messageId) : null });
+                first = first || { provider: name, result };
+                sentCount++;
+            }
+
+            if (sentCount === pending.length) {
+                provider.breaker.recordSuccess();
+                provider.stats.sent++;
+                provider.stats.lastSuccessAt = new Date().toISOString();
+                console.log(`Message to ${to} delivered via ${name}${pending.length > 1 ? ` (${pending.length} parts)` : ''}`);
+                return this._delivery(first, deliveries, []);
+            }
+
+            parts = pending.slice(sentCount);
+            provider.stats.failed++;
+            provider.stats.lastFailureAt = new Date().toISOString();
+            provider.stats.lastError = failure || 'Not sent';
+            if (provider.breaker.recordFailure()) {
+                console.warn(`⚠️  WhatsApp provider ${name} failed ${provider.breaker.consecutiveFailures} time(s) in a row. ` +
+                    `Skipping it for ${Math.round(this.cooldownMs / 1000)}s`);
+            }
+            console.error(`Sending to ${to} via ${name} failed` +
+                `${sentCount > 0 ? ` after ${sentCount} of ${pending.length} parts` : ''}${failure ? `: ${failure}` : ''}, trying the next provider`);
+        }
+
+        if (!first) {
+            console.error(`No WhatsApp provider could deliver the message to ${to}`);
+            return null;
+        }
+
+        // Some parts went out, so the message counts as sent; resending it would repeat them
+        console.error(`No WhatsApp provider could deliver the last ${parts.length} part(s) of the message to ${to}`);
+        return this._delivery(first, deliveries, parts);
+    }
+
+    /**
+     * Build the result of a send
+     * @private
+     * @param {{provider: string, result: object}} first - Provider and response of the first part
+     * @param {Array<{provider: string, messageId: string|null}>} deliveries - Every part sent
+     * @param {Array<string|InteractiveMessage>} unsentParts - Parts that could not be sent
+     * @returns {object} - { provider, result, messageId, deliveries, unsentParts }
+     */
+    _delivery(first, deliveries, unsentParts) {
+        return {
+            provider: first.provider,
+            result: first.result,
+            messageId: deliveries[0].messageId,
+            deliveries,
+            unsentParts: unsentParts.map(part => InteractiveMessage.toText(part))
+        };
+    }
+
+    /**
+     * Get the health of every provider in the configured order
+     * @returns {Array<object>} - { name, configured, state, consecutiveFailures, retryAt, sent, failed, ... } per provider
+     */
+    getHealth() {
+        return this.order
+            .filter(name => this.providers.has(name))
+            .map(name => {
+                const provider = this.providers.get(name);
+                return {
+                    name,
+                    configured: provider.isConfigured(),
+                    ...provider.breaker.getStatus(),
+                    ...provider.stats
+                };
+            });
+    }
+}
+
+module.exports = new WhatsappProviderService();
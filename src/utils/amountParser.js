@@ -0,0 +1,51 @@
+/**
+ * Amount parsing utilities for purchase amounts entered by users
+ */
+
+class AmountParser {
+    /**
+     * Parse a user-entered amount such as "50", "GHS 50", "GH₵50" or "50.00"
+     * @param {string} text - Raw user input
+     * @returns {number|null} - Parsed amount rounded to 2 decimal places, or null if invalid
+     */
+    static parse(text) {
+        if (text === null || text === undefined) return null;
+
+        const cleaned = String(text)
+            .trim()
+            .toUpperCase()
+            .replace(/^(GHS|GH₵|GHC|GH¢|₵|¢)\s*/, '')
+            .replace(/\s*(GHS|CEDIS?)$/, '')
+            .replace(/,/g, '')
+            .trim();
+
+        if (!/^\d+(\.\d{1,2})?$/.test(cleaned)) {
+            return null;
+        }
+
+        const amount = Math.round(parseFloat(cleaned) * 100) / 100;
+        return amount > 0 ? amount : null;
+    }
+
+    /**
+     * Format an amount for display
+     * @param {number|string} amount - Amount
+     * @returns {string} - Formatted amount (e.g. "GHS 50.00")
+     */
+    static format(amount) {
+        const value = Number(amount);
+        if (Number.isNaN(value)) return `GHS ${amount}`;
+        return `GHS ${value.toFixed(2)}`;
+    }
+
+    /**
+     * Get the configured maximum purchase amount
+     * @returns {number} - Maximum amount per purchase
+     */
+    static getMaxAmount() {
+        const max = parseFloat(process.env.MAX_PURCHASE_AMOUNT);
+        return Number.isNaN(max) || max <= 0 ? 5000 : max;
+    }
+}
+
+module.exports = AmountParser;
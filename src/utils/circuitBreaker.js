@@ -0,0 +1,89 @@
+/**
+ * Circuit breaker - stops calling a failing dependency for a cool-down period, then lets one trial call through
+ */
+
+class CircuitBreaker {
+    static STATES = {
+        CLOSED: 'CLOSED',       // healthy - calls go through
+        OPEN: 'OPEN',           // failing - calls are skipped until the cool-down ends
+        HALF_OPEN: 'HALF_OPEN'  // cool-down over - one trial call decides whether to close or open again
+    };
+
+    /**
+     * @param {object} options - Breaker options
+     * @param {number} options.failureThreshold - Consecutive failures that open the circuit (default: 3)
+     * @param {number} options.cooldownMs - How long the circuit stays open (default: 60000)
+     */
+    constructor({ failureThreshold = 3, cooldownMs = 60000 } = {}) {
+        this.failureThreshold = failureThreshold;
+        this.cooldownMs = cooldownMs;
+        this.state = CircuitBreaker.STATES.CLOSED;
+        this.consecutiveFailures = 0;
+        this.openedAt = null;
+        this.trialInProgress = false;
+    }
+
+    /**
+     * Check whether a call may be made now (starts the trial call when the cool-down is over)
+     * @returns {boolean} - True if the call should go ahead
+     */
+    canRequest() {
+        if (this.state === CircuitBreaker.STATES.OPEN && Date.now() - this.openedAt >= this.cooldownMs) {
+            this.state = CircuitBreaker.STATES.HALF_OPEN;
+            this.trialInProgress = false;
+        }
+
+        if (this.state === CircuitBreaker.STATES.CLOSED) {
+            return true;
+        }
+        if (this.state === CircuitBreaker.STATES.HALF_OPEN && !this.trialInProgress) {
+            this.trialInProgress = true;
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * Record a successful call (closes the circuit)
+     */
+    recordSuccess() {
+        this.state = CircuitBreaker.STATES.CLOSED;
+        this.consecutiveFailures = 0;
+        this.openedAt = null;
+        this.trialInProgress = false;
+    }
+
+    /**
+     * Record a failed call (opens the circuit after failureThreshold failures, or when the trial call fails)
+     * @returns {boolean} - True if this failure opened the circuit
+     */
+    recordFailure() {
+        this.consecutiveFailures++;
+        this.trialInProgress = false;
+
+        const shouldOpen = this.state === CircuitBreaker.STATES.HALF_OPEN ||
+            (this.state === CircuitBreaker.STATES.CLOSED && this.consecutiveFailures >= this.failureThreshold);
+        if (shouldOpen) {
+            this.state = CircuitBreaker.STATES.OPEN;
+            this.openedAt = Date.now();
+        }
+        return shouldOpen;
+    }
+
+    /**
+     * Get the breaker's current state
+     * @returns {{state: string, consecutiveFailures: number, retryAt: string|null}} - State, failure count
+     *          and when an open circuit will allow a trial call
+     */
+    getStatus() {
+        return {
+            state: this.state,
+            consecutiveFailures: this.consecutiveFailures,
+            retryAt: this.state === CircuitBreaker.STATES.OPEN
+                ? new Date(this.openedAt + this.cooldownMs).toISOString()
+                : null
+        };
+    }
+}
+
+module.exports = CircuitBreaker;
@@ -0,0 +1,175 @@
+/**
+ * Translation utilities - message catalogs and the language of the current conversation
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+const catalogs = {
+    en: require('../locales/en.json'),
+    tw: require('../locales/tw.json'),
+    gaa: require('../locales/gaa.json'),
+    ee: require('../locales/ee.json')
+};
+
+class I18n {
+    // Supported languages in the order they are offered, with the names users may type to pick them
+    static LANGUAGES = [
+        { code: 'en', aliases: ['ENGLISH', 'EN'] },
+        { code: 'tw', aliases: ['TWI', 'AKAN', 'TW'] },
+        { code: 'gaa', aliases: ['GA', 'GÃ', 'GAA'] },
+        { code: 'ee', aliases: ['EWE', 'EVEGBE', 'EE'] }
+    ];
+
+    static FALLBACK_LANGUAGE = 'en';
+
+    // Carries the language through async work started while handling a message
+    static storage = new AsyncLocalStorage();
+
+    /**
+     * Check whether a language code has a catalog
+     * @param {string} language - Language code
+     * @returns {boolean} - True if supported
+     */
+    static isSupported(language) {
+        return Boolean(language) && Object.prototype.hasOwnProperty.call(catalogs, language);
+    }
+
+    /**
+     * Get the language used when a user has not chosen one
+     * @returns {string} - Language code (DEFAULT_LANGUAGE, default: en)
+     */
+    static getDefaultLanguage() {
+        const language = process.env.DEFAULT_LANGUAGE;
+        return I18n.isSupported(language) ? language : I18n.FALLBACK_LANGUAGE;
+    }
+
+    /**
+     * Run a function with a language as the current language
+     * @param {string|null} language - Language code (unsupported or empty uses the default)
+     * @param {function(): *} fn - Function to run
+     * @returns {*} - Result of fn
+     */
+    static run(language, fn) {
+        const code = I18n.isSupported(language) ? language : I18n.getDefaultLanguage();
+        return I18n.storage.run({ language: code }, fn);
+    }
+
+    /**
+     * Get the current language
+     * @returns {string} - Language code
+     */
+    static getLanguage() {
+        const store = I18n.storage.getStore();
+        return store ? store.language : I18n.getDefaultLanguage();
+    }
+
+    /**
+     * Switch the current language for the rest of the message being handled
+     * @param {string} language - Language code
+     */
+    static setLanguage(language) {
+        const store = I18n.storage.getStore();
+        if (store && I18n.isSupported(language)) {
+            store.language = language;
+        }
+    }
+
+    /**
+     * Translate a catalog key, falling back to English for missing translations
+     * @param {string} key - Dotted catalog key (e.g. "menu.title")
+     * @param {object} params - Values for {placeholders} (optional)
+     * @param {string} language - Language code (default: current language)
+     * @returns {string} - Translated text, or the key itself if it is not in any catalog
+     */
+    static t(key, params = {}, language = I18n.getLanguage()) {
+        let text = I18n._lookup(catalogs[language], key);
+        if (typeof text !== 'string') {
+            text = I18n._lookup(catalogs[I18n.FALLBACK_LANGUAGE], key);
+        }
+        if (typeof text !== 'string') {
+            return key;
+        }
+        return text.replace(/\{(\w+)\}/g, (placeholder, name) =>
+            params[name] !== undefined && params[name] !== null ? String(params[name]) : placeholder
+        );
+    }
+
+    /**
+     * Check whether a catalog key exists
+     * @param {string} key - Dotted catalog key
+     * @returns {boolean} - True if the English catalog defines it
+     */
+    static has(key) {
+        return typeof I18n._lookup(catalogs[I18n.FALLBACK_LANGUAGE], key) === 'string';
+    }
+
+    /**
+     * Get the full catalog of a language, with English filling in missing translations
+     * @param {string} language - Language code
+     * @returns {object} - Merged catalog
+     */
+    static getCatalog(language) {
+        const code = I18n.isSupported(language) ? language : I18n.FALLBACK_LANGUAGE;
+        return I18n._merge(catalogs[I18n.FALLBACK_LANGUAGE], catalogs[code]);
+    }
+
+    /**
+     * Get the name of a language in that language (e.g. "Eʋegbe")
+     * @param {string} language - Language code
+     * @returns {string} - Language name
+     */
+    static getLanguageName(language) {
+        return I18n.t('language.name', {}, language);
+    }
+
+    /**
+     * Resolve what a user typed to pick a language (a list number, code or name)
+     * @param {string} input - User input (e.g. "2", "tw", "Twi")
+     * @returns {string|null} - Language code, or null if not recognised
+     */
+    static resolveLanguage(input) {
+        const value = String(input || '').trim().toUpperCase();
+        if (!value) return null;
+
+        const index = parseInt(value, 10);
+        if (/^\d+$/.test(value)) {
+            return I18n.LANGUAGES[index - 1] ? I18n.LANGUAGES[index - 1].code : null;
+        }
+
+        const match = I18n.LANGUAGES.find(language =>
+            language.aliases.includes(value) || I18n.getLanguageName(language.code).toUpperCase() === value
+        );
+        return match ? match.code : null;
+    }
+
+    /**
+     * Look up a dotted key in a catalog
+     * @private
+     * @param {object} catalog - Catalog
+     * @param {string} key - Dotted key
+     * @returns {*} - Value, or undefined
+     */
+    static _lookup(catalog, key) {
+        return String(key).split('.').reduce((node, part) =>
+            node && typeof node === 'object' ? node[part] : undefined, catalog);
+    }
+
+    /**
+     * Deep-merge a translation over the English catalog
+     * @private
+     * @param {object} base - English catalog (section)
+     * @param {object} overrides - Translated catalog (section)
+     * @returns {object} - Merged catalog
+     */
+    static _merge(base, overrides = {}) {
+        const merged = { ...base };
+        Object.entries(overrides || {}).forEach(([key, value]) => {
+            merged[key] = value && typeof value === 'object' && base[key] && typeof base[key] === 'object'
+                ? I18n._merge(base[key], value)
+                : value;
+        });
+        return merged;
+    }
+}
+
+module.exports = I18n;
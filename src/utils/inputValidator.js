@@ -0,0 +1,114 @@
+/**
+ * Ghana-aware validation for phone, meter and account numbers entered by users
+ */
+
+const I18n = require('./i18n');
+
+class InputValidator {
+    // Ghana mobile numbers are 9 digits after the country code / trunk 0 and start with 2 or 5
+    static PHONE_PATTERN = /^(?:\+233|00233|233|0)?([25]\d{8})$/;
+
+    // Meter number formats per meter type (after removing spaces and dashes)
+    static METER_NUMBER_RULES = {
+        PREPAID: {
+            // 11/13-digit STS meter numbers or prefixed serials such as P17123456
+            pattern: /^(?:\d{11}|\d{13}|[A-Z]{1,3}\d{6,17})$/,
+            example: '04123456789'
+        },
+        POSTPAID: {
+            pattern: /^(?:\d{6,13}|[A-Z]{1,3}\d{6,17})$/,
+            example: '12345678'
+        }
+    };
+
+    // ECG account numbers are numeric
+    static ACCOUNT_NUMBER_PATTERN = /^\d{8,15}$/;
+
+    /**
+     * Normalise a Ghana phone number (0XX..., 233XX..., +233XX...) to E.164
+     * @param {string} text - Raw user input (a "whatsapp:" prefix is ignored)
+     * @returns {{valid: boolean, value?: string, error?: string}} - E.164 number (e.g. "+233244123456") or an error
+     */
+    static validatePhoneNumber(text) {
+        const cleaned = String(text || '')
+            .trim()
+            .replace(/^whatsapp:/i, '')
+            .replace(/[\s\-().]/g, '');
+
+        const match = cleaned.match(InputValidator.PHONE_PATTERN);
+        if (!match) {
+            return {
+                valid: false,
+                error: I18n.t('validation.phoneNumber')
+            };
+        }
+
+        return { valid: true, value: `+233${match[1]}` };
+    }
+
+    /**
+     * Validate a meter number for the given meter type
+     * @param {string} text - Raw user input
+     * @param {string|null} meterType - PREPAID, POSTPAID, or null if not yet known
+     * @returns {{valid: boolean, value?: string, error?: string}} - Cleaned meter number or an error
+     */
+    static validateMeterNumber(text, meterType = null) {
+        const cleaned = String(text || '').trim().toUpperCase().replace(/[\s-]/g, '');
+        const type = (meterType || '').toUpperCase();
+        const rules = InputValidator.METER_NUMBER_RULES[type]
+            ? [InputValidator.METER_NUMBER_RULES[type]]
+            : Object.values(InputValidator.METER_NUMBER_RULES);
+
+        if (!rules.some(rule => rule.pattern.test(cleaned))) {
+            const meterTypeName = type ? I18n.t(`meterTypes.${type.charAt(0)}${type.slice(1).toLowerCase()}`) : null;
+            return {
+                valid: false,
+                error: meterTypeName
+                    ? I18n.t('validation.typedMeterNumber', { meterType: meterTypeName, meterTypeLower: meterTypeName.toLowerCase(), example: rules[0].example })
+                    : I18n.t('validation.meterNumber', { example: rules[0].example })
+            };
+        }
+
+        return { valid: true, value: cleaned };
+    }
+
+    /**
+     * Validate an ECG account number
+     * @param {string} text - Raw user input
+     * @returns {{valid: boolean, value?: string, error?: string}} - Cleaned account number or an error
+     */
+    static validateAccountNumber(text) {
+        const cleaned = String(text || '').trim().replace(/[\s\-/]/g, '');
+
+        if (!InputValidator.ACCOUNT_NUMBER_PATTERN.test(cleaned)) {
+            return {
+                valid: false,
+                error: I18n.t('validation.accountNumber')
+            };
+        }
+
+        return { valid: true, value: cleaned };
+    }
+
+    /**
+     * Validate a meter info field collected during the conversation
+     * @param {string} key - Field key (phoneNumber, meterNumber or accountNumber)
+     * @param {string} text - Raw user input
+     * @param {string|null} meterType - PREPAID, POSTPAID, or null if not yet known
+     * @returns {{valid: boolean, value?: string, error?: string}} - Normalised value or an error
+     */
+    static validateField(key, text, meterType = null) {
+        switch (key) {
+            case 'phoneNumber':
+                return InputValidator.validatePhoneNumber(text);
+            case 'meterNumber':
+                return InputValidator.validateMeterNumber(text, meterType);
+            case 'accountNumber':
+                return InputValidator.validateAccountNumber(text);
+            default:
+                return { valid: true, value: String(text || '').trim() };
+        }
+    }
+}
+
+module.exports = InputValidator;
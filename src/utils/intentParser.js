@@ -0,0 +1,165 @@
+/**
+ * Rule and keyword based intent recognition for free text typed instead of menu digits
+ * (e.g. "I want to buy light for 30 cedis", "check my balance", or a bare meter number)
+ */
+
+const AmountParser = require('./amountParser');
+const InputValidator = require('./inputValidator');
+
+class IntentParser {
+    // Intents the bot can route free text to
+    static INTENTS = {
+        BUY: 'BUY',
+        BALANCE: 'BALANCE',
+        STATUS: 'STATUS',
+        RECEIPT: 'RECEIPT',
+        MY_METERS: 'MY_METERS'
+    };
+
+    // Keyword rules, checked in order - the first matching intent wins.
+    // Includes a few common Twi/Ewe words (tɔ/ƒle = buy, kanea = light).
+    static RULES = [
+        { intent: 'RECEIPT', pattern: /\breceipts?\b/i },
+        { intent: 'STATUS', pattern: /\b(?:status|transactions?|(?:not|never|didn'?t|did not|haven'?t|have not)\s+(?:get|got|receive|received)|no token|where is my token)\b/i },
+        { intent: 'MY_METERS', pattern: /\b(?:my|saved)\s+meters\b/i },
+        { intent: 'BUY', pattern: /(?:\b(?:buy|purchase|recharge|top\s*-?\s*up|load|vend|pay|light|credit|units?|electricity|power)\b|(?:^|\s)(?:tɔ|ƒle|kanea)(?:\s|$))/i },
+        { intent: 'BALANCE', pattern: /\b(?:balance|enquiry|enquire|inquiry|inquire|owe|owing|arrears|bill|check\s+(?:my\s+)?meter)\b/i }
+    ];
+
+    // Amounts written with a currency, e.g. "GHS 30", "₵30", "30 cedis", "30ghs"
+    static CURRENCY_AMOUNT_PATTERNS = [
+        /(?:GHS|GH₵|GHC|GH¢|₵|¢)\s*(\d{1,7}(?:[.,]\d{1,2})?)/i,
+        /(\d{1,7}(?:\.\d{1,2})?)\s*(?:cedis?|ghs|gh₵|ghc)\b/i
+    ];
+
+    // Amounts introduced by a preposition, e.g. "for 30", "worth 50.50"
+    static PREPOSITION_AMOUNT_PATTERN = /\b(?:for|worth|of)\s+(\d{1,5}(?:\.\d{1,2})?)(?!\d)/i;
+
+    /**
+     * Parse free text into an intent and the details it mentions
+     * @param {string} text - Raw user input
+     * @returns {{intent: string|null, amount: number|null, meterNumber: string|null, meterType: string|null, phoneNumber: string|null}}
+     *          - Intent (null if none was recognised) and extracted fields (null if not mentioned)
+     */
+    static parse(text) {
+        const input = String(text || '').trim();
+        const meterType = IntentParser.extractMeterType(input);
+        const { meterNumber, phoneNumber } = IntentParser.extractNumbers(input, meterType);
+        const rule = IntentParser.RULES.find(candidate => candidate.pattern.test(input));
+
+        let amount = IntentParser.extractAmount(input, meterNumber);
+        let intent = rule ? rule.intent : null;
+
+        // A bare meter number, an amount with a currency or a meter type is a purchase
+        if (!intent && (meterNumber || amount !== null || meterType)) {
+            intent = IntentParser.INTENTS.BUY;
+        }
+
+        // When buying, a lone short number is the amount ("buy light 30")
+        if (intent === IntentParser.INTENTS.BUY && amount === null) {
+            const loneNumber = IntentParser._stripNumbers(input, [meterNumber, phoneNumber]).match(/(?:^|\s)(\d{1,5}(?:\.\d{1,2})?)(?=\s|$)/);
+            amount = loneNumber ? AmountParser.parse(loneNumber[1]) : null;
+        }
+
+        return {
+            intent,
+            amount,
+            meterNumber,
+            meterType: meterType || IntentParser._postpaidHint(input),
+            phoneNumber
+        };
+    }
+
+    /**
+     * Extract the meter type mentioned in the text
+     * @param {string} text - User input
+     * @returns {string|null} - Prepaid, Postpaid or null
+     */
+    static extractMeterType(text) {
+        if (/\bpost[\s-]?paid\b/i.test(text)) return 'Postpaid';
+        if (/\bpre[\s-]?paid\b/i.test(text)) return 'Prepaid';
+        return null;
+    }
+
+    /**
+     * Extract an amount written with a currency or after "for"/"worth"/"of"
+     * @param {string} text - User input
+     * @param {string|null} meterNumber - Meter number found in the text (never read as an amount)
+     * @returns {number|null} - Amount or null if none was found
+     */
+    static extractAmount(text, meterNumber = null) {
+        const stripped = IntentParser._stripNumbers(text, [meterNumber]);
+        const patterns = [...IntentParser.CURRENCY_AMOUNT_PATTERNS, IntentParser.PREPOSITION_AMOUNT_PATTERN];
+
+        for (const pattern of patterns) {
+            const match = stripped.match(pattern);
+            if (match) {
+                const amount = AmountParser.parse(match[1].replace(',', '.'));
+                if (amount !== null) return amount;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Extract a meter number and a Ghana mobile number from the text
+     * @param {string} text - User input
+     * @param {string|null} meterType - Prepaid or Postpaid, if mentioned
+     * @returns {{meterNumber: string|null, phoneNumber: string|null}} - Cleaned values (null if not found)
+     */
+    static extractNumbers(text, meterType = null) {
+        let meterNumber = null;
+        let phoneNumber = null;
+
+        // Candidates are long digit runs (dashes inside allowed) or prefixed serials like P17123456
+        const candidates = text.match(/(?:\+|\b)[A-Z]{0,3}\d[\d-]{4,}\d\b/gi) || [];
+
+        candidates.forEach(candidate => {
+            const compact = candidate.replace(/-/g, '');
+
+            // Numbers in a Ghana mobile format are read as the customer's phone number
+            if (/^(?:\+233|00233|233|0)[25]\d{8}$/.test(compact)) {
+                const phone = InputValidator.validatePhoneNumber(compact);
+                if (phone.valid && !phoneNumber) {
+                    phoneNumber = phone.value;
+                    return;
+                }
+            }
+
+            const meter = InputValidator.validateMeterNumber(compact, meterType ? meterType.toUpperCase() : null);
+            if (meter.valid && !meterNumber) {
+                meterNumber = meter.value;
+            }
+        });
+
+        return { meterNumber, phoneNumber };
+    }
+
+    /**
+     * Remove already-recognised numbers so they are not read as amounts
+     * @private
+     * @param {string} text - User input
+     * @param {Array<string|null>} values - Values to remove
+     * @returns {string} - Text without those numbers
+     */
+    static _stripNumbers(text, values) {
+        let stripped = text;
+        values.filter(Boolean).forEach(value => {
+            const digits = value.replace(/^\+233/, '').split('').join('-?');
+            stripped = stripped.replace(new RegExp(`(?:\\+?233|0)?${digits}`, 'i'), ' ');
+        });
+        return stripped;
+    }
+
+    /**
+     * Bills and arrears only apply to postpaid meters
+     * @private
+     * @param {string} text - User input
+     * @returns {string|null} - Postpaid if the text talks about a bill or arrears
+     */
+    static _postpaidHint(text) {
+        return /\b(?:bill|arrears)\b/i.test(text) ? 'Postpaid' : null;
+    }
+}
+
+module.exports = IntentParser;
@@ -0,0 +1,47 @@
+/**
+ * Per-key async lock - runs tasks for the same key (e.g. a phone number) one at a time, in arrival order
+ */
+
+class KeyedLock {
+    /**
+     * @param {number} maxPending - Most tasks allowed to run or wait per key (default: 5)
+     */
+    constructor(maxPending = 5) {
+        this.maxPending = maxPending;
+        this.queues = new Map();
+    }
+
+    /**
+     * Run a task once the earlier tasks for the same key have finished
+     * @param {string} key - Lock key
+     * @param {function(): Promise<*>} task - Task to run
+     * @returns {Promise<*>} - Result of the task
+     * @throws {Error} - Error with type 'busy' if too many tasks are already queued for the key
+     */
+    async run(key, task) {
+        const queue = this.queues.get(key) || { tail: Promise.resolve(), pending: 0 };
+
+        if (queue.pending >= this.maxPending) {
+            const error = new Error(`Too many queued tasks for ${key}`);
+            error.type = 'busy';
+            throw error;
+        }
+
+        queue.pending++;
+        this.queues.set(key, queue);
+
+        const result = queue.tail.then(() => task());
+        queue.tail = result
+            .catch(() => {})
+            .then(() => {
+                queue.pending--;
+                if (queue.pending === 0 && this.queues.get(key) === queue) {
+                    this.queues.delete(key);
+                }
+            });
+
+        return await result;
+    }
+}
+
+module.exports = KeyedLock;
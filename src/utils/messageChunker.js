@@ -0,0 +1,118 @@
+/**
+ * Splits messages that are too long for a provider into numbered parts
+ * Splits between sections (blank lines) where possible, then between lines, then between words,
+ * and keeps *bold* text bold when a line has to be split
+ */
+
+class MessageChunker {
+    // Room kept in each part for its "(n/total)" header
+    static HEADER_LENGTH = 10;
+
+    // Shortest limit we split to; anything lower leaves next to no room for text after the header
+    static MIN_LENGTH = 160;
+
+    /**
+     * Read a provider's message length limit from the environment
+     * @param {string} name - Environment variable (e.g. TWILIO_MAX_MESSAGE_LENGTH)
+     * @param {number} defaultLength - Limit used when the variable is unset
+     * @returns {number} - Limit, raised to MIN_LENGTH if set lower
+     */
+    static readMaxLength(name, defaultLength) {
+        if (!process.env[name]) {
+            return defaultLength;
+        }
+
+        const value = parseInt(process.env[name]);
+        if (Number.isNaN(value)) {
+            console.warn(`⚠️  Warning: ${name} is not a number. Using the default of ${defaultLength}.`);
+            return defaultLength;
+        }
+        if (value < MessageChunker.MIN_LENGTH) {
+            console.warn(`⚠️  Warning: ${name} (${value}) is below the minimum of ${MessageChunker.MIN_LENGTH}. ` +
+                `Using ${MessageChunker.MIN_LENGTH}.`);
+            return MessageChunker.MIN_LENGTH;
+        }
+        return value;
+    }
+
+    /**
+     * Split a message into parts that each fit within a length limit
+     * @param {string} text - Message text
+     * @param {number} maxLength - Longest allowed part, header included (raised to MIN_LENGTH if lower)
+     * @returns {Array<string>} - The text unchanged if it fits, otherwise parts headed "(1/3)", "(2/3)", ...
+     */
+    static split(text, maxLength) {
+        if (!text || !maxLength || text.length <= maxLength) {
+            return [text];
+        }
+
+        const limit = Math.max(maxLength, MessageChunker.MIN_LENGTH) - MessageChunker.HEADER_LENGTH;
+        const parts = MessageChunker._pack(text.split(/\n{2,}/), '\n\n', limit,
+            section => MessageChunker._pack(section.split('\n'), '\n', limit,
+                line => MessageChunker._splitLine(line, limit)));
+
+        return parts.map((part, index) => `(${index + 1}/${parts.length})\n${part}`);
+    }
+
+    /**
+     * Join pieces into as few chunks as fit, splitting pieces that are too long on their own
+     * @private
+     * @param {Array<string>} pieces - Pieces in order
+     * @param {string} separator - What the pieces were split on
+     * @param {number} limit - Longest allowed chunk
+     * @param {function(string): Array<string>} splitPiece - Splits a piece longer than the limit
+     * @returns {Array<string>} - Chunks
+     */
+    static _pack(pieces, separator, limit, splitPiece) {
+        const chunks = [];
+        let current = null;
+
+        for (const piece of pieces) {
+            for (const part of piece.length > limit ? splitPiece(piece) : [piece]) {
+                if (current !== null && current.length + separator.length + part.length <= limit) {
+                    current += separator + part;
+                } else {
+                    if (current !== null) {
+                        chunks.push(current);
+                    }
+                    current = part;
+                }
+            }
+        }
+
+        if (current !== null) {
+            chunks.push(current);
+        }
+        return chunks;
+    }
+
+    /**
+     * Split one line that is too long between words (or anywhere, for a word that is too long)
+     * A *bold* span cut in two is closed at the end of one chunk and reopened at the start of the next
+     * @private
+     * @param {string} line - Line text
+     * @param {number} limit - Longest allowed chunk
+     * @returns {Array<string>} - Chunks
+     */
+    static _splitLine(line, limit) {
+        // Two characters are kept free for closing and reopening a bold span (at least one is always left
+        // for text, so every slice moves on through the word)
+        const wordLimit = Math.max(limit - 2, 1);
+        const words = line.split(' ').flatMap(word => {
+            const slices = [];
+            for (let start = 0; start < word.length; start += wordLimit) {
+                slices.push(word.slice(start, start + wordLimit));
+            }
+            return slices.length > 0 ? slices : [word];
+        });
+
+        let bold = false;
+        return MessageChunker._pack(words, ' ', wordLimit, word => [word]).map(chunk => {
+            const opensBold = bold;
+            bold = (chunk.match(/\*/g) || []).length % 2 === 1 ? !bold : bold;
+            return `${opensBold ? '*' : ''}${chunk}${bold ? '*' : ''}`;
+        });
+    }
+}
+
+module.exports = MessageChunker;
@@ -2,32 +2,97 @@
  * Message formatting utilities for WhatsApp messages
  */
 
+const AmountParser = require('./amountParser');
+const ReceiptGenerator = require('./receiptGenerator');
+const I18n = require('./i18n');
+const InteractiveMessage = require('../models/interactiveMessage');
+
+const t = (key, params) => I18n.t(key, params);
+
 class MessageFormatter {
     /**
      * Format main menu message
      * @param {string} sessionId - Optional session ID to include web URL
-     * @returns {string} - Formatted menu message
+     * @returns {InteractiveMessage} - Formatted menu message (list menu where supported)
      */
     static formatMenu(sessionId = null) {
         const webBaseUrl = process.env.WEB_BASE_URL || 'http://localhost:3000';
-        let option4 = '4️⃣ Open Web Version';
+        let option4 = `4️⃣ ${t('menu.openWeb')}`;
         
         if (sessionId) {
             const webUrl = `${webBaseUrl}/web?session=${sessionId}`;
-            option4 = `4️⃣ Open Web Version : ${webUrl}`;
+            option4 = `4️⃣ ${t('menu.openWeb')} : ${webUrl}`;
         }
         
-        return `*ECG Credit Purchase Bot*
+        const text = `*${t('menu.title')}*
 
-Please select an option:
-1️⃣ Prepaid
-2️⃣ Postpaid
-3️⃣ Charge Status
+${t('menu.selectOption')}
+1️⃣ ${t('menu.prepaid')}
+2️⃣ ${t('menu.postpaid')}
+3️⃣ ${t('menu.chargeStatus')}
 ${option4}
 
-Reply with the number of your choice.
+${t('menu.replyWithNumber')}
+
+${t('menu.tip')}
+${t('language.hint')}`;
+
+        // Option 4 is a link in the text, so the list only offers the purchase options
+        return MessageFormatter._list(text, [
+            { id: '1', title: t('menu.prepaid') },
+            { id: '2', title: t('menu.postpaid') },
+            { id: '3', title: t('menu.chargeStatus') }
+        ]);
+    }
+
+    /**
+     * Format the language selection menu (each language is listed in its own name)
+     * @returns {InteractiveMessage} - Formatted language menu (list menu where supported)
+     */
+    static formatLanguageMenu() {
+        let message = `🌐 *${t('language.title')}*\n\n`;
+        I18n.LANGUAGES.forEach((language, index) => {
+            message += `${index + 1}. ${I18n.getLanguageName(language.code)}\n`;
+        });
+        message += `\n${t('language.prompt')}`;
+        return MessageFormatter._list(message, I18n.LANGUAGES.map((language, index) => ({
+            id: String(index + 1),
+            title: I18n.getLanguageName(language.code)
+        })));
+    }
+
+    /**
+     * Format language changed confirmation
+     * @param {string|InteractiveMessage} nextMessage - Message for the step the user continues with (e.g. the menu)
+     * @returns {string|InteractiveMessage} - Formatted confirmation message
+     */
+    static formatLanguageChanged(nextMessage) {
+        return InteractiveMessage.combine(
+            t('language.changed', { language: I18n.getLanguageName(I18n.getLanguage()) }),
+            nextMessage
+        );
+    }
+
+    /**
+     * Format the question asked when free text asks to buy without saying the meter type
+     * @param {number|null} amount - Amount understood from the message (optional)
+     * @param {string} sessionId - Session ID for the web link in the menu
+     * @returns {InteractiveMessage} - Formatted question followed by the menu
+     */
+    static formatMeterTypeQuestion(amount, sessionId = null) {
+        const noted = amount !== null && amount !== undefined
+            ? `${t('intent.amountNoted', { amount: AmountParser.format(amount) })}\n`
+            : '';
+        return InteractiveMessage.combine(`${noted}${t('intent.chooseMeterType')}`, MessageFormatter.formatMenu(sessionId));
+    }
 
-*Tip:* Type *CANCEL*, *STOP*, *END*, or *QUIT* at any time to cancel and start over.`;
+    /**
+     * Translate a meter type for display
+     * @param {string} meterType - Prepaid or Postpaid
+     * @returns {string} - Meter type in the current language
+     */
+    static formatMeterType(meterType) {
+        return meterType && I18n.has(`meterTypes.${meterType}`) ? t(`meterTypes.${meterType}`) : (meterType || '');
     }
 
     /**
@@ -35,11 +100,11 @@ Reply with the number of your choice.
      * @param {string} message - Error message
      * @returns {string} - Formatted error message
      */
-    static formatError(message = 'An error occurred. Please try again.') {
-        return `❌ *Error*
+    static formatError(message = t('error.default')) {
+        return `❌ *${t('error.title')}*
 ${message}
 
-Type *MENU* to return to the main menu.`;
+${t('menu.returnToMenu')}`;
     }
 
     /**
@@ -49,29 +114,29 @@ Type *MENU* to return to the main menu.`;
      */
     static formatEnquiryResponse(enquiryData) {
         if (!enquiryData || !enquiryData.data || enquiryData.data.length === 0) {
-            return `❌ No enquiry data found. Please try again.`;
+            return t('enquiry.noData');
         }
 
         const datum = enquiryData.data[0];
-        let message = `*Account Enquiry Results*\n\n`;
+        let message = `*${t('enquiry.title')}*\n\n`;
 
         if (datum.customerName) {
-            message += `👤 *Customer Name:* ${datum.customerName}\n`;
+            message += `👤 *${t('labels.customerName')}:* ${datum.customerName}\n`;
         }
         if (datum.accountNumber) {
-            message += `🔢 *Account Number:* ${datum.accountNumber}\n`;
+            message += `🔢 *${t('labels.accountNumber')}:* ${datum.accountNumber}\n`;
         }
         if (datum.address) {
-            message += `📍 *Address:* ${datum.address}\n`;
+            message += `📍 *${t('labels.address')}:* ${datum.address}\n`;
         }
         if (datum.meterSerial) {
-            message += `⚡ *Meter Serial:* ${datum.meterSerial}\n`;
+            message += `⚡ *${t('labels.meterSerial')}:* ${datum.meterSerial}\n`;
         }
         if (datum.balance) {
-            message += `💰 *Balance:* ${datum.balance}\n`;
+            message += `💰 *${t('labels.balance')}:* ${datum.balance}\n`;
         }
         if (datum.meterType) {
-            message += `🔌 *Meter Type:* ${datum.meterType}\n`;
+            message += `🔌 *${t('labels.meterType')}:* ${datum.meterType}\n`;
         }
         // if (datum.meterCategory) {
         //     message += `📋 *Category:* ${datum.meterCategory}\n`;
@@ -80,39 +145,494 @@ Type *MENU* to return to the main menu.`;
         //     message += `🌍 *Region:* ${datum.region}\n`;
         // }
         if (datum.district) {
-            message += `🏘️ *District:* ${datum.district}\n`;
+            message += `🏘️ *${t('labels.district')}:* ${datum.district}\n`;
         }
         if (datum.payMinAmount) {
-            message += `💵 *Minimum Amount:* ${datum.payMinAmount}\n`;
+            message += `💵 *${t('labels.minimumAmount')}:* ${datum.payMinAmount}\n`;
         }
 
-        message += `\nWould you like to proceed with charging? Reply *YES* to confirm or *NO* to cancel.`;
+        message += `\n${MessageFormatter.formatAmountPrompt(datum.payMinAmount)}`;
 
         return message;
     }
 
+    /**
+     * Format amount entry prompt
+     * @param {number|string} minAmount - Minimum amount from the enquiry (optional)
+     * @returns {string} - Formatted prompt message
+     */
+    static formatAmountPrompt(minAmount = null) {
+        const limits = [];
+        if (minAmount) {
+            limits.push(t('amount.minimum', { amount: AmountParser.format(minAmount) }));
+        }
+        limits.push(t('amount.maximum', { amount: AmountParser.format(AmountParser.getMaxAmount()) }));
+
+        return t('amount.prompt', { limits: limits.join(', ') });
+    }
+
+    /**
+     * Format amount validation error
+     * @param {string} reason - Why the amount was rejected
+     * @param {number|string} minAmount - Minimum amount from the enquiry (optional)
+     * @returns {string} - Formatted error message
+     */
+    static formatAmountError(reason, minAmount = null) {
+        return `⚠️ ${reason}
+
+${MessageFormatter.formatAmountPrompt(minAmount)}`;
+    }
+
+    /**
+     * Format a saved meter as a one-line label
+     * @param {SavedMeter} meter - Saved meter
+     * @param {boolean} includeType - Whether to include the meter type
+     * @returns {string} - Meter label (e.g. "HOME - Prepaid 0123456789 (Ama Mensah)")
+     */
+    static formatMeterLabel(meter, includeType = true) {
+        let label = meter.nickname ? `*${meter.nickname}* - ` : '';
+        label += includeType ? `${MessageFormatter.formatMeterType(meter.meterType)} ${meter.meterNumber}` : meter.meterNumber;
+        if (meter.customerName) {
+            label += ` (${meter.customerName})`;
+        }
+        return label;
+    }
+
+    /**
+     * Format the list of a user's saved meters (MY METERS)
+     * @param {Array<SavedMeter>} meters - Saved meters
+     * @returns {string} - Formatted saved meters message
+     */
+    static formatSavedMeters(meters = []) {
+        if (meters.length === 0) {
+            return `*${t('savedMeters.title')}*
+
+${t('savedMeters.empty')}
+
+${t('menu.returnToMenu')}`;
+        }
+
+        let message = `*${t('savedMeters.title')}*\n\n`;
+        meters.forEach((meter, index) => {
+            message += `${index + 1}. ${MessageFormatter.formatMeterLabel(meter)}\n`;
+        });
+
+        message += `\n• ${t('savedMeters.saveAsHelp')}
+• ${t('savedMeters.removeHelp')}
+
+${t('menu.returnToMenu')}`;
+
+        return message;
+    }
+
+    /**
+     * Format saved meter choices shown when starting a purchase
+     * @param {Array<SavedMeter>} meters - Saved meters of the selected type
+     * @param {string} meterType - Prepaid or Postpaid
+     * @returns {InteractiveMessage} - Formatted choice message (list menu where supported)
+     */
+    static formatSavedMeterChoices(meters, meterType) {
+        let message = `*${t('savedMeters.chooseTitle', { meterType: MessageFormatter.formatMeterType(meterType) })}*\n\n`;
+        meters.forEach((meter, index) => {
+            message += `${index + 1}. ${MessageFormatter.formatMeterLabel(meter, false)}\n`;
+        });
+        message += `0. ${t('savedMeters.newMeter')}\n`;
+        message += `\n${t('menu.replyWithNumber')}`;
+
+        const options = meters.map((meter, index) => ({
+            id: String(index + 1),
+            title: meter.nickname || meter.meterNumber,
+            description: meter.nickname ? meter.meterNumber : meter.customerName
+        }));
+        options.push({ id: '0', title: t('savedMeters.newMeter') });
+        return MessageFormatter._list(message, options);
+    }
+
+    /**
+     * Format meter saved confirmation
+     * @param {SavedMeter} meter - Saved meter
+     * @returns {string} - Formatted confirmation message
+     */
+    static formatMeterSaved(meter) {
+        return `${t('savedMeters.saved', { meterNumber: meter.meterNumber, nickname: meter.nickname })}
+
+${t('savedMeters.savedNext', { meterType: MessageFormatter.formatMeterType(meter.meterType), nickname: meter.nickname })}`;
+    }
+
+    /**
+     * Format quick purchase usage help
+     * @returns {string} - Formatted usage message
+     */
+    static formatQuickBuyUsage() {
+        return `*${t('quickBuy.title')}*
+
+${t('quickBuy.usage')}
+• ${t('quickBuy.exampleNickname')}
+• ${t('quickBuy.exampleNumber')}
+
+${t('quickBuy.myMeters')}`;
+    }
+
+    /**
+     * Format meter removed confirmation
+     * @param {SavedMeter} meter - Removed meter
+     * @returns {string} - Formatted confirmation message
+     */
+    static formatMeterRemoved(meter) {
+        return t('savedMeters.removed', { meter: MessageFormatter.formatMeterLabel(meter) });
+    }
+
+    /**
+     * Format tip suggesting a nickname for a newly saved meter
+     * @returns {string} - Formatted tip
+     */
+    static formatSaveMeterTip() {
+        return t('savedMeters.saveTip');
+    }
+
     /**
      * Format meter info request prompt
      * @param {string} field - Field name being requested
      * @param {boolean} isOptional - Whether the field is optional
-     * @returns {string} - Formatted prompt message
+     * @param {string|null} currentValue - Value already entered, when going back or editing
+     * @returns {string|InteractiveMessage} - Formatted prompt message (with Skip/Back buttons for optional fields)
+     */
+    static formatMeterInfoPrompt(field, isOptional = false, currentValue = null) {
+        const optionalText = isOptional ? t('meterInfo.optional') : '';
+        let message = t('meterInfo.prompt', { field, optional: optionalText });
+        if (currentValue) {
+            message += `\n\n${t('meterInfo.currentValue', { value: currentValue })}`;
+        }
+        message += `\n\n${t('meterInfo.back')}`;
+        if (!isOptional) {
+            return message;
+        }
+        return MessageFormatter._buttons(message, [
+            { id: 'SKIP', title: t('buttons.skip') },
+            { id: 'BACK', title: t('buttons.back') }
+        ]);
+    }
+
+    /**
+     * Format the review of collected meter info before the enquiry is sent
+     * @param {object} details - Collected details (meterType, phoneNumber, meterNumber, accountNumber)
+     * @returns {InteractiveMessage} - Formatted review message (with Yes/Back buttons)
+     */
+    static formatMeterInfoReview({ meterType = '', phoneNumber, meterNumber, accountNumber } = {}) {
+        let message = `*${t('meterInfo.reviewTitle', { meterType: MessageFormatter.formatMeterType(meterType) })}*\n\n`;
+
+        message += `📱 *${t('labels.phoneNumber')}:* ${phoneNumber}\n`;
+        message += `⚡ *${t('labels.meterNumber')}:* ${meterNumber}\n`;
+        message += `🔢 *${t('labels.accountNumber')}:* ${accountNumber || t('meterInfo.notProvided')}\n`;
+
+        message += `\n${t('meterInfo.reviewConfirm')}`;
+        message += `\n${t('meterInfo.reviewEdit')}`;
+
+        return MessageFormatter._buttons(message, [
+            { id: 'YES', title: t('buttons.yes') },
+            { id: 'BACK', title: t('buttons.back') }
+        ]);
+    }
+
+    /**
+     * Format an invalid meter info field, re-prompting for the same field
+     * @param {string} error - Validation error
+     * @param {string} field - Field label
+     * @param {boolean} isOptional - Whether field is optional
+     * @returns {string|InteractiveMessage} - Formatted validation error
      */
-    static formatMeterInfoPrompt(field, isOptional = false) {
-        const optionalText = isOptional ? ' (or type SKIP to skip)' : '';
-        return `Please provide your *${field}*${optionalText}:`;
+    static formatValidationError(error, field, isOptional = false) {
+        return InteractiveMessage.combine(`⚠️ ${error}`, MessageFormatter.formatMeterInfoPrompt(field, isOptional));
     }
 
     /**
      * Format confirmation message
+     * @param {object} details - Purchase details
+     * @param {string} details.meterType - Prepaid or Postpaid
+     * @param {string} details.meterNumber - Meter number
+     * @param {string} details.customerName - Customer name from the enquiry
+     * @param {number|string} details.amount - Amount to charge
+     * @returns {InteractiveMessage} - Formatted confirmation message (with Yes/No buttons)
+     */
+    static formatChargeConfirmation({ meterType = '', meterNumber, customerName, amount } = {}) {
+        let message = `*${t('confirm.title', { meterType: MessageFormatter.formatMeterType(meterType) })}*\n\n`;
+
+        if (meterNumber) {
+            message += `⚡ *${t('labels.meterNumber')}:* ${meterNumber}\n`;
+        }
+        if (customerName) {
+            message += `👤 *${t('labels.customerName')}:* ${customerName}\n`;
+        }
+        if (amount) {
+            message += `💵 *${t('labels.amount')}:* ${AmountParser.format(amount)}\n`;
+        }
+
+        message += `\n${t('confirm.prompt')}`;
+
+        return MessageFormatter._yesNo(message);
+    }
+
+    /**
+     * Format charge response (vend token for prepaid, payment reference for postpaid)
+     * @param {object} chargeData - Charge response data
+     * @param {string} status - Charge status: SUCCESSFUL, PENDING or FAILED (see ecgService.parseChargeStatus)
      * @param {string} meterType - Prepaid or Postpaid
-     * @returns {string} - Formatted confirmation message
+     * @returns {string} - Formatted charge result message
+     */
+    static formatChargeResponse(chargeData, status, meterType = '') {
+        if (!chargeData || !chargeData.data || chargeData.data.length === 0) {
+            return t('charge.noData');
+        }
+
+        const datum = chargeData.data[0];
+        const isPrepaid = (meterType || datum.meterType || '').toUpperCase() === 'PREPAID';
+        let message;
+        if (status === 'SUCCESSFUL') {
+            message = `✅ *${isPrepaid ? t('charge.purchaseSuccessful') : t('charge.paymentSuccessful')}*\n\n`;
+        } else if (status === 'FAILED') {
+            message = `❌ *${isPrepaid ? t('charge.purchaseFailed') : t('charge.paymentFailed')}*\n\n${t('charge.failedBody')}\n\n`;
+        } else {
+            message = `⏳ *${isPrepaid ? t('charge.purchasePending') : t('charge.paymentPending')}*\n\n${t('charge.pendingBody')}\n\n`;
+        }
+
+        if (datum.customerName) {
+            message += `👤 *${t('labels.customerName')}:* ${datum.customerName}\n`;
+        }
+        if (datum.meterSerial) {
+            message += `⚡ *${t('labels.meterSerial')}:* ${datum.meterSerial}\n`;
+        }
+        if (datum.accountNumber) {
+            message += `🔢 *${t('labels.accountNumber')}:* ${datum.accountNumber}\n`;
+        }
+        if (datum.amount) {
+            message += `💵 *${t('labels.amount')}:* ${AmountParser.format(datum.amount)}\n`;
+        }
+        if (datum.units && status === 'SUCCESSFUL') {
+            message += `🔋 *${t('labels.units')}:* ${datum.units}\n`;
+        }
+
+        const token = datum.token || datum.stsToken;
+        const reference = datum.paymentReference || datum.transactionReference || datum.referenceId;
+
+        // Only a successful charge has units and a token to use
+        if (token && status === 'SUCCESSFUL') {
+            message += `\n🔑 *${t('labels.token')}:* ${token}\n`;
+            message += `\n${t('charge.enterToken')}`;
+        } else if (reference) {
+            message += `\n🧾 *${t('labels.paymentReference')}:* ${reference}\n`;
+            message += `\n${t('charge.keepReference')}`;
+        }
+
+        message += `\n\n${t('menu.returnToMenu')}`;
+
+        return message;
+    }
+
+    /**
+     * Format mobile money payment prompt notice
+     * @param {number|string} amount - Amount being collected
+     * @param {string} phoneNumber - Mobile money number being debited
+     * @returns {string} - Formatted payment prompt message
+     */
+    static formatPaymentPrompt(amount, phoneNumber) {
+        return `📲 *${t('payment.promptTitle')}*
+
+${t('payment.promptSent', { amount: AmountParser.format(amount), phoneNumber })}
+
+${t('payment.promptApprove')}`;
+    }
+
+    /**
+     * Format message shown while still waiting for payment approval
+     * @returns {string} - Formatted waiting message
+     */
+    static formatAwaitingPayment() {
+        return `⏳ *${t('payment.waitingTitle')}*
+
+${t('payment.waitingBody')}
+
+${t('payment.waitingLocked')}`;
+    }
+
+    /**
+     * Format payment received message
+     * @param {number|string} amount - Amount collected
+     * @returns {string} - Formatted payment received message
      */
-    static formatChargeConfirmation(meterType) {
-        return `*Confirm ${meterType} Charge*
+    static formatPaymentReceived(amount) {
+        return `✅ *${t('payment.receivedTitle')}*
+
+${t('payment.receivedBody', { amount: AmountParser.format(amount) })}`;
+    }
 
-Please confirm to proceed with the charge. Reply *YES* to confirm or *NO* to cancel.
+    /**
+     * Format payment declined/failed message
+     * @param {string} reason - Reason reported by the payment provider (optional)
+     * @returns {string} - Formatted payment declined message
+     */
+    static formatPaymentDeclined(reason = '') {
+        const reasonText = reason ? `\n${t('payment.declinedReason', { reason })}\n` : '';
+        return `❌ *${t('payment.declinedTitle')}*
+${reasonText}
+${t('payment.declinedBody')}
 
-*Note:* The charge endpoint will be implemented soon.`;
+${t('menu.tryAgain')}`;
+    }
+
+    /**
+     * Format payment timeout message
+     * @returns {string} - Formatted payment timeout message
+     */
+    static formatPaymentTimeout() {
+        return `⏱️ *${t('payment.timeoutTitle')}*
+
+${t('payment.timeoutBody')}
+
+${t('menu.tryAgain')}`;
+    }
+
+    /**
+     * Format message for a payment confirmed after the purchase was cancelled
+     * @param {number|string} amount - Amount collected
+     * @param {string} reference - Payment reference (asyncRequestId)
+     * @returns {string} - Formatted late payment message
+     */
+    static formatLatePayment(amount, reference) {
+        return `⚠️ *${t('payment.lateTitle')}*
+
+${t('payment.lateBody', { amount: AmountParser.format(amount), reference })}`;
+    }
+
+    /**
+     * Format a charge status label for display
+     * @param {string} status - Charge status
+     * @returns {string} - Status label with emoji
+     */
+    static formatChargeStatusLabel(status) {
+        if (status && I18n.has(`chargeStatus.statuses.${status}`)) {
+            return t(`chargeStatus.statuses.${status}`);
+        }
+        return status || t('chargeStatus.statuses.UNKNOWN');
+    }
+
+    /**
+     * Format the list of recent charge requests to pick from
+     * @param {Array<Transaction>} charges - Recent charges (most recent first)
+     * @returns {string} - Formatted charge status menu
+     */
+    static formatChargeStatusMenu(charges = []) {
+        if (charges.length === 0) {
+            return `*${t('chargeStatus.title')}*
+
+${t('chargeStatus.none')}
+
+${t('chargeStatus.noneHint')}`;
+        }
+
+        let message = `*${t('chargeStatus.title')}*\n\n${t('chargeStatus.recent')}\n`;
+
+        charges.forEach((charge, index) => {
+            const date = charge.createdAt ? new Date(charge.createdAt).toLocaleDateString('en-GB', { day: 'numeric', month: 'short' }) : '';
+            const amount = charge.amount ? ` - ${AmountParser.format(charge.amount)}` : '';
+            message += `${index + 1}. ${charge.type || ''} ${charge.meterNumber || ''}${amount} - ${MessageFormatter.formatChargeStatusLabel(charge.status)}${date ? ` (${date})` : ''}\n`;
+        });
+
+        message += `\n${t('chargeStatus.pick')}`;
+
+        return message;
+    }
+
+    /**
+     * Format the current status of a charge request
+     * @param {object} result - Parsed status from ecgService.parseChargeStatus
+     * @param {Transaction|object} charge - Known details of the charge (asyncRequestId, meter, amount)
+     * @returns {string} - Formatted charge status message
+     */
+    static formatChargeStatus(result, charge = {}) {
+        let message = `*${t('chargeStatus.title')}*\n\n`;
+
+        message += `🧾 *${t('labels.reference')}:* ${charge.asyncRequestId}\n`;
+        if (charge.meterNumber) {
+            message += `⚡ *${t('labels.meterNumber')}:* ${charge.meterNumber}\n`;
+        }
+        if (charge.amount) {
+            message += `💵 *${t('labels.amount')}:* ${AmountParser.format(charge.amount)}\n`;
+        }
+        message += `📋 *${t('labels.status')}:* ${MessageFormatter.formatChargeStatusLabel(result.status)}\n`;
+
+        if (result.status === 'SUCCESSFUL') {
+            if (result.token) {
+                message += `\n🔑 *${t('labels.token')}:* ${result.token}\n`;
+                message += `\n${t('charge.enterToken')}`;
+            } else if (result.reference) {
+                message += `\n🧾 *${t('labels.paymentReference')}:* ${result.reference}\n`;
+            }
+        } else if (result.status === 'FAILED') {
+            if (result.reason) {
+                message += `❗ *${t('labels.reason')}:* ${result.reason}\n`;
+            }
+            message += `\n${t('chargeStatus.failedHint')}`;
+        } else {
+            message += `\n${t('chargeStatus.pendingHint')}`;
+        }
+
+        message += `\n\n${t('menu.returnToMenu')}`;
+
+        return message;
+    }
+
+    /**
+     * Format a purchase receipt
+     * @param {Transaction} transaction - Successful transaction with a receipt number
+     * @returns {string} - Formatted receipt message
+     */
+    static formatReceipt(transaction) {
+        const completedAt = transaction.completedAt ? new Date(transaction.completedAt) : new Date();
+        // Older purchases without a receipt number are looked up by their reference
+        const receiptId = transaction.receiptNumber || transaction.asyncRequestId;
+        let message = `🧾 *${t('receipt.title')}*\n\n`;
+
+        message += `📄 *${t('labels.receiptNo')}:* ${receiptId}\n`;
+        message += `📅 *${t('labels.date')}:* ${completedAt.toLocaleString('en-GB', { timeZone: 'Africa/Accra' })}\n`;
+        if (transaction.meterNumber) {
+            message += `⚡ *${t('labels.meterNumber')}:* ${transaction.meterNumber}\n`;
+        }
+        if (transaction.accountNumber) {
+            message += `🔢 *${t('labels.accountNumber')}:* ${transaction.accountNumber}\n`;
+        }
+        if (transaction.customerName) {
+            message += `👤 *${t('labels.customerName')}:* ${transaction.customerName}\n`;
+        }
+        if (transaction.amount) {
+            message += `💵 *${t('labels.amount')}:* ${AmountParser.format(transaction.amount)}\n`;
+        }
+        if (transaction.units) {
+            message += `🔋 *${t('labels.units')}:* ${transaction.units}\n`;
+        }
+
+        if (transaction.token) {
+            message += `\n🔑 *${t('labels.token')}:* ${transaction.token}\n`;
+            message += `\n${t('charge.enterToken')}`;
+        } else if (transaction.ecgTransactionReference) {
+            message += `\n🧾 *${t('labels.paymentReference')}:* ${transaction.ecgTransactionReference}\n`;
+        }
+
+        message += `\n\n${t('receipt.download', { url: ReceiptGenerator.getReceiptUrl(receiptId), hours: ReceiptGenerator.LINK_TTL_HOURS })}`;
+        message += `\n\n${t('receipt.again', { receiptId })}`;
+
+        return message;
+    }
+
+    /**
+     * Format receipt not found message
+     * @param {string} reference - Reference the user searched for (empty for the last receipt)
+     * @returns {string} - Formatted message
+     */
+    static formatReceiptNotFound(reference = '') {
+        if (!reference) {
+            return `${t('receipt.noneYet')}\n\n${t('menu.returnToMenu')}`;
+        }
+        return `${t('receipt.notFound', { reference })}\n\n${t('receipt.notFoundHint')}`;
     }
 
     /**
@@ -121,7 +641,7 @@ Please confirm to proceed with the charge. Reply *YES* to confirm or *NO* to can
      * @returns {string} - Formatted success message
      */
     static formatSuccess(message) {
-        return `✅ *Success*
+        return `✅ *${t('success.title')}*
 ${message}`;
     }
 
@@ -130,40 +650,67 @@ ${message}`;
      * @returns {string} - Formatted cancellation message
      */
     static formatCancellation() {
-        return `❌ Transaction cancelled.
+        return `${t('cancel.transaction')}
 
-Type *MENU* to return to the main menu.`;
+${t('menu.returnToMenu')}`;
     }
 
     /**
      * Format cancellation message with menu (for session cancellation)
      * @param {string} sessionId - Session ID for web URL
-     * @returns {string} - Formatted cancellation message with menu
+     * @returns {InteractiveMessage} - Formatted cancellation message with menu
      */
     static formatCancellationWithMenu(sessionId = null) {
-        const webBaseUrl = process.env.WEB_BASE_URL || 'http://localhost:3000';
-        let option4 = '4️⃣ Open Web Version';
-        
-        if (sessionId) {
-            const webUrl = `${webBaseUrl}/web?session=${sessionId}`;
-            option4 = `4️⃣ Open Web Version : ${webUrl}`;
+        return InteractiveMessage.combine(`❌ *${t('cancel.sessionTitle')}*
+
+${t('cancel.sessionBody')}`, MessageFormatter.formatMenu(sessionId));
+    }
+
+    /**
+     * Format help message listing the commands available at any time
+     * @param {string} stateHelp - Help for the current step (optional)
+     * @param {boolean} showCommands - List the commands (false in states that don't accept them)
+     * @returns {string} - Formatted help message
+     */
+    static formatHelp(stateHelp = null, showCommands = true) {
+        let message = `ℹ️ *${t('help.title')}*\n\n`;
+
+        if (stateHelp) {
+            message += `${stateHelp}\n\n`;
+        }
+        if (!showCommands) {
+            return message.trim();
         }
-        
-        return `❌ *Session Cancelled*
 
-Your previous session has been cancelled. Starting fresh:
+        message += `${t('help.anyTime')}
+• ${t('help.commands.menu')}
+• ${t('help.commands.cancel')}
+• ${t('help.commands.buy')}
+• ${t('help.commands.myMeters')}
+• ${t('help.commands.lastReceipt')}
+• ${t('help.commands.lang')}
+• ${t('help.commands.help')}`;
 
-*ECG Credit Purchase Bot*
+        return message;
+    }
 
-Please select an option:
-1️⃣ Prepaid
-2️⃣ Postpaid
-3️⃣ Charge Status
-${option4}
+    /**
+     * Format session expired message with the main menu
+     * @param {string} sessionId - Optional session ID to include web URL
+     * @returns {InteractiveMessage} - Formatted expiry message
+     */
+    static formatSessionExpired(sessionId = null) {
+        return InteractiveMessage.combine(t('session.expired'), MessageFormatter.formatMenu(sessionId));
+    }
 
-Reply with the number of your choice.
+    /**
+     * Format prompt offering to resume a partially completed session
+     * @returns {InteractiveMessage} - Formatted resume prompt (with Yes/No buttons)
+     */
+    static formatResumePrompt() {
+        return MessageFormatter._yesNo(`👋 *${t('session.welcomeBack')}*
 
-*Tip:* Type *CANCEL*, *STOP*, *END*, or *QUIT* at any time to cancel and start over.`;
+${t('session.resume')}`);
     }
 
     /**
@@ -171,10 +718,22 @@ Reply with the number of your choice.
      * @param {string} action - Action being performed
      * @returns {string} - Formatted processing message
      */
-    static formatProcessing(action = 'Processing your request') {
+    static formatProcessing(action = t('processing.default')) {
         return `⏳ *${action}*
 
-Please wait while we process your request. This may take a few moments...`;
+${t('processing.wait')}`;
+    }
+
+    /**
+     * Format the reply to a user who hit a rate limit
+     * @param {string} messageKey - Catalog key of the limit that was hit (rateLimit.messages or rateLimit.enquiries)
+     * @param {number} retryAfterMs - Milliseconds until the user may try again
+     * @returns {string} - Formatted rate limit message
+     */
+    static formatRateLimited(messageKey, retryAfterMs) {
+        const wait = t('rateLimit.minutes', { count: Math.max(1, Math.ceil(retryAfterMs / 60000)) });
+        return `🙏 *${t('rateLimit.title')}*
+${t(messageKey, { wait })}`;
     }
 
     /**
@@ -182,14 +741,12 @@ Please wait while we process your request. This may take a few moments...`;
      * @returns {string} - Formatted timeout error message
      */
     static formatTimeoutError() {
-        return `⏱️ *Request Timeout*
+        return `⏱️ *${t('timeout.title')}*
 
-The service is taking longer than expected to respond. This could be due to:
-• High server load
-• Network connectivity issues
-• Service temporarily unavailable
+${t('timeout.body')}
+${t('timeout.reasons')}
 
-Please try again in a few moments. Type *MENU* to return to the main menu.`;
+${t('timeout.action')}`;
     }
 
     /**
@@ -197,14 +754,52 @@ Please try again in a few moments. Type *MENU* to return to the main menu.`;
      * @returns {string} - Formatted connection error message
      */
     static formatConnectionError() {
-        return `🔌 *Connection Error*
+        return `🔌 *${t('connection.title')}*
+
+${t('connection.body')}
+${t('connection.reasons')}
+
+${t('connection.action')}`;
+    }
+
+    /**
+     * Attach a list menu to a text message
+     * @private
+     * @param {string} text - Full text message (also the fallback for channels without lists)
+     * @param {Array<object>} options - Rows ({ id, title, description })
+     * @returns {InteractiveMessage} - List message
+     */
+    static _list(text, options) {
+        return new InteractiveMessage({
+            type: InteractiveMessage.TYPES.LIST,
+            text,
+            options,
+            buttonText: t('buttons.choose')
+        });
+    }
 
-We're unable to reach the service at this time. This could be due to:
-• Network connectivity issues
-• Service maintenance
-• Temporary service outage
+    /**
+     * Attach quick-reply buttons to a text message
+     * @private
+     * @param {string} text - Full text message (also the fallback for channels without buttons)
+     * @param {Array<object>} options - Buttons ({ id, title })
+     * @returns {InteractiveMessage} - Button message
+     */
+    static _buttons(text, options) {
+        return new InteractiveMessage({ type: InteractiveMessage.TYPES.BUTTONS, text, options });
+    }
 
-Please try again later. Type *MENU* to return to the main menu.`;
+    /**
+     * Attach YES/NO quick-reply buttons to a text message
+     * @private
+     * @param {string} text - Full text message
+     * @returns {InteractiveMessage} - Button message
+     */
+    static _yesNo(text) {
+        return MessageFormatter._buttons(text, [
+            { id: 'YES', title: t('buttons.yes') },
+            { id: 'NO', title: t('buttons.no') }
+        ]);
     }
 }
 
@@ -0,0 +1,111 @@
+/**
+ * Sliding-window rate limiter - allows at most `limit` hits per key in any `windowMs` period
+ */
+
+class RateLimiter {
+    // Sweep keys with no recent hits after this many hits, so idle keys don't pile up
+    static SWEEP_EVERY = 1000;
+
+    /**
+     * @param {object} options - Limiter options
+     * @param {number} options.limit - Hits allowed per window (0 disables the limiter)
+     * @param {number} options.windowMs - Window length in milliseconds
+     */
+    constructor({ limit, windowMs }) {
+        this.limit = limit;
+        this.windowMs = windowMs;
+        this.hits = new Map(); // key -> { times: number[], notified: boolean }
+        this.hitsSinceSweep = 0;
+    }
+
+    /**
+     * Check whether a key may make another hit, without recording one
+     * @param {string} key - Limiter key (phone number, session ID, IP, meter number)
+     * @returns {{allowed: boolean, retryAfterMs: number}} - Result and how long until the next hit is allowed
+     */
+    check(key) {
+        if (!this.limit || !key) {
+            return { allowed: true, retryAfterMs: 0 };
+        }
+
+        const entry = this._prune(key, Date.now());
+        if (!entry || entry.times.length < this.limit) {
+            return { allowed: true, retryAfterMs: 0 };
+        }
+        return { allowed: false, retryAfterMs: entry.times[0] + this.windowMs - Date.now() };
+    }
+
+    /**
+     * Record a hit for a key
+     * @param {string} key - Limiter key
+     */
+    record(key) {
+        if (!this.limit || !key) {
+            return;
+        }
+
+        const entry = this.hits.get(key) || { times: [], notified: false };
+        entry.times.push(Date.now());
+        entry.notified = false;
+        this.hits.set(key, entry);
+
+        if (++this.hitsSinceSweep >= RateLimiter.SWEEP_EVERY) {
+            this._sweep();
+        }
+    }
+
+    /**
+     * Check a key and record the hit if it is allowed
+     * @param {string} key - Limiter key
+     * @returns {{allowed: boolean, retryAfterMs: number, firstRejection: boolean}} - Result, how long until
+     *          the next hit is allowed, and whether this is the first rejection since the key was last allowed
+     *          (so the user is told once rather than on every message)
+     */
+    hit(key) {
+        const result = this.check(key);
+        if (result.allowed) {
+            this.record(key);
+            return { ...result, firstRejection: false };
+        }
+
+        const entry = this.hits.get(key);
+        const firstRejection = !entry.notified;
+        entry.notified = true;
+        return { ...result, firstRejection };
+    }
+
+    /**
+     * Drop a key's hits that have left the window
+     * @private
+     * @param {string} key - Limiter key
+     * @param {number} now - Current time in milliseconds
+     * @returns {object|undefined} - Remaining entry, or undefined if the key has no hits in the window
+     */
+    _prune(key, now) {
+        const entry = this.hits.get(key);
+        if (!entry) {
+            return undefined;
+        }
+
+        while (entry.times.length > 0 && entry.times[0] <= now - this.windowMs) {
+            entry.times.shift();
+        }
+        if (entry.times.length === 0) {
+            this.hits.delete(key);
+            return undefined;
+        }
+        return entry;
+    }
+
+    /**
+     * Remove every key with no hits in the window
+     * @private
+     */
+    _sweep() {
+        const now = Date.now();
+        this.hitsSinceSweep = 0;
+        [...this.hits.keys()].forEach(key => this._prune(key, now));
+    }
+}
+
+module.exports = RateLimiter;
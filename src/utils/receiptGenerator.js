@@ -0,0 +1,180 @@
+/**
+ * Receipt utilities - receipt numbers, links and PDF generation
+ */
+
+const crypto = require('crypto');
+const PDFDocument = require('pdfkit');
+const AmountParser = require('./amountParser');
+const I18n = require('./i18n');
+require('dotenv').config();
+
+class ReceiptGenerator {
+    // How long a receipt download link works
+    static LINK_TTL_HOURS = parseInt(process.env.RECEIPT_LINK_TTL_HOURS) || 72;
+
+    // Key receipt links are signed with (a random one when not set, so links stop working on restart)
+    static LINK_SECRET = process.env.RECEIPT_LINK_SECRET || crypto.randomBytes(32).toString('hex');
+
+    // TrueType fonts for PDFs (e.g. Noto Sans); the built-in Helvetica can only draw Latin-1 text
+    static FONT = process.env.RECEIPT_FONT || null;
+    static BOLD_FONT = process.env.RECEIPT_BOLD_FONT || process.env.RECEIPT_FONT || null;
+
+    /**
+     * Generate a receipt number for a successful purchase
+     * @param {string} asyncRequestId - Async request ID of the purchase
+     * @param {Date} date - Purchase date (default: now)
+     * @returns {string} - Receipt number (e.g. "ECG20261019-1A2B3C4D")
+     */
+    static generateReceiptNumber(asyncRequestId, date = new Date()) {
+        const datePart = date.toISOString().slice(0, 10).replace(/-/g, '');
+        const idPart = String(asyncRequestId || '').replace(/-/g, '').slice(-8)
+            || Math.random().toString(16).slice(2, 10);
+        return `ECG${datePart}-${idPart}`.toUpperCase();
+    }
+
+    /**
+     * Get the signed download URL of a receipt PDF (valid for LINK_TTL_HOURS)
+     * @param {string} receiptNumber - Receipt number
+     * @returns {string} - Receipt PDF URL
+     */
+    static getReceiptUrl(receiptNumber) {
+        const webBaseUrl = process.env.WEB_BASE_URL || 'http://localhost:3000';
+        const expires = Math.floor(Date.now() / 1000) + ReceiptGenerator.LINK_TTL_HOURS * 3600;
+        const signature = ReceiptGenerator._signLink(receiptNumber, expires);
+        return `${webBaseUrl}/api/web/receipt/${encodeURIComponent(receiptNumber)}?expires=${expires}&signature=${signature}`;
+    }
+
+    /**
+     * Check the signature and expiry of a receipt download link
+     * @param {string} receiptNumber - Receipt number from the link
+     * @param {string} expires - Expiry from the link (Unix seconds)
+     * @param {string} signature - Signature from the link
+     * @returns {{valid: boolean, reason: string|null}} - Result and why the link was refused
+     */
+    static verifyReceiptLink(receiptNumber, expires, signature) {
+        const expiresAt = parseInt(expires);
+        if (!expiresAt || !signature) {
+            return { valid: false, reason: 'Receipt link is not signed' };
+        }
+
+        const expected = Buffer.from(ReceiptGenerator._signLink(receiptNumber, expiresAt));
+        const actual = Buffer.from(String(signature));
+        if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+            return { valid: false, reason: 'Receipt link is invalid' };
+        }
+        if (expiresAt * 1000 < Date.now()) {
+            return { valid: false, reason: 'Receipt link has expired' };
+        }
+        return { valid: true, reason: null };
+    }
+
+    /**
+     * Sign a receipt number and expiry
+     * @private
+     * @param {string} receiptNumber - Receipt number
+     * @param {number} expires - Expiry (Unix seconds)
+     * @returns {string} - Signature (base64url)
+     */
+    static _signLink(receiptNumber, expires) {
+        return crypto.createHmac('sha256', ReceiptGenerator.LINK_SECRET)
+            .update(`${receiptNumber}:${expires}`)
+            .digest('base64url');
+    }
+
+    /**
+     * Get the labelled rows shown on a receipt, in the current language
+     * @param {Transaction} transaction - Successful transaction
+     * @returns {Array<{key: string, label: string, value: string}>} - Receipt rows
+     */
+    static getReceiptRows(transaction) {
+        const completedAt = transaction.completedAt ? new Date(transaction.completedAt) : new Date();
+        const meterType = transaction.type && I18n.has(`meterTypes.${transaction.type}`)
+            ? I18n.t(`meterTypes.${transaction.type}`)
+            : transaction.type;
+        const rows = [
+            { key: 'receiptNo', value: transaction.receiptNumber || transaction.asyncRequestId },
+            { key: 'date', value: completedAt.toLocaleString('en-GB', { timeZone: 'Africa/Accra' }) },
+            { key: 'meterType', value: meterType },
+            { key: 'meterNumber', value: transaction.meterNumber },
+            { key: 'accountNumber', value: transaction.accountNumber },
+            { key: 'customerName', value: transaction.customerName },
+            { key: 'amount', value: transaction.amount !== null ? AmountParser.format(transaction.amount) : null },
+            { key: 'units', value: transaction.units },
+            { key: 'token', value: transaction.token },
+            { key: 'reference', value: transaction.ecgTransactionReference || transaction.asyncRequestId }
+        ];
+        return rows
+            .filter(row => row.value)
+            .map(row => ({ ...row, label: I18n.t(`labels.${row.key}`) }));
+    }
+
+    /**
+     * Generate a receipt PDF in the current language
+     * Without RECEIPT_FONT, languages Helvetica can't draw (e.g. Twi's ɛ and ɔ) get English labels
+     * @param {Transaction} transaction - Successful transaction
+     * @returns {Promise<Buffer>} - PDF document
+     */
+    static generatePdf(transaction) {
+        return new Promise((resolve, reject) => {
+            try {
+                let content = ReceiptGenerator._getPdfContent(transaction);
+                if (!ReceiptGenerator.FONT && !ReceiptGenerator._isLatin1(content)) {
+                    content = I18n.run(I18n.FALLBACK_LANGUAGE, () => ReceiptGenerator._getPdfContent(transaction));
+                }
+
+                const doc = new PDFDocument({ size: 'A5', margin: 40 });
+                const chunks = [];
+                const font = ReceiptGenerator.FONT || 'Helvetica';
+                const boldFont = ReceiptGenerator.BOLD_FONT || 'Helvetica-Bold';
+
+                doc.on('data', chunk => chunks.push(chunk));
+                doc.on('end', () => resolve(Buffer.concat(chunks)));
+                doc.on('error', reject);
+
+                doc.fontSize(18).font(boldFont).text(content.title, { align: 'center' });
+                doc.moveDown(1.5);
+
+                content.rows.forEach(row => {
+                    doc.fontSize(10).font(font).fillColor('#666666').text(row.label);
+                    doc.fontSize(row.key === 'token' ? 14 : 12).font(boldFont).fillColor('#000000').text(row.value);
+                    doc.moveDown(0.6);
+                });
+
+                doc.moveDown(1);
+                doc.fontSize(9).font(font).fillColor('#666666')
+                    .text(content.footer, { align: 'center' });
+
+                doc.end();
+            } catch (error) {
+                reject(error);
+            }
+        });
+    }
+
+    /**
+     * Get the text of a receipt PDF in the current language
+     * @private
+     * @param {Transaction} transaction - Successful transaction
+     * @returns {{title: string, rows: Array<{key: string, label: string, value: string}>, footer: string}} - PDF text
+     */
+    static _getPdfContent(transaction) {
+        return {
+            title: I18n.t('receipt.pdfTitle'),
+            rows: ReceiptGenerator.getReceiptRows(transaction),
+            footer: I18n.t('receipt.pdfFooter')
+        };
+    }
+
+    /**
+     * Check whether the built-in PDF fonts can draw all of a receipt's text
+     * @private
+     * @param {object} content - PDF text from _getPdfContent
+     * @returns {boolean} - True if every character is Latin-1
+     */
+    static _isLatin1(content) {
+        const text = [content.title, content.footer, ...content.rows.map(row => `${row.label}${row.value}`)].join('');
+        return /^[\u0000-\u00ff]*$/.test(text);
+    }
+}
+
+module.exports = ReceiptGenerator;
@@ -1,12 +1,23 @@
 /**
  * Quick test script to verify webhook endpoint is accessible
  * Run: node test-webhook.js
+ * The POST is authenticated with WASENDER_WEBHOOK_SECRET, or with WEBHOOK_TEST_TOKEN when the
+ * server runs with WASENDER_WEBHOOK_AUTH=test
  */
 
 const axios = require('axios');
+require('dotenv').config();
 
 const WEBHOOK_URL = process.env.WEBHOOK_URL || 'http://localhost:3000/webhook/wasender';
 
+const authHeaders = {};
+if (process.env.WASENDER_WEBHOOK_SECRET) {
+    authHeaders['X-Webhook-Signature'] = process.env.WASENDER_WEBHOOK_SECRET;
+}
+if (process.env.WEBHOOK_TEST_TOKEN) {
+    authHeaders['X-Webhook-Test-Token'] = process.env.WEBHOOK_TEST_TOKEN;
+}
+
 async function testWebhook() {
     console.log('Testing Wasender webhook endpoint...\n');
     
@@ -38,7 +49,7 @@ async function testWebhook() {
                 }
             },
             timestamp: Date.now()
-        });
+        }, { headers: authHeaders });
         console.log('✅ POST endpoint working:', postResponse.data);
     } catch (error) {
         console.error('❌ POST endpoint failed:', error.response?.data || error.message);